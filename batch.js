@@ -0,0 +1,162 @@
+/**
+ * Helpers for batch conversion: expanding uploads, bounded concurrency and packaging results
+ */
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { PDFDocument } = require('pdf-lib');
+const pdfPostprocess = require('./pdf-postprocess');
+
+// Limits for SVGs unpacked from an uploaded ZIP
+const MAX_ZIP_ENTRIES = 500;
+const MAX_ZIP_ENTRY_SIZE = 10 * 1024 * 1024; // Same as the single upload limit
+
+/**
+ * Whether an uploaded file is a ZIP archive
+ * @param {Object} file - Multer file object
+ * @returns {boolean}
+ */
+function isZipUpload(file) {
+  return /zip/i.test(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Turn the uploaded files into an ordered list of SVG inputs, unpacking any ZIP archives in place
+ * @param {Object[]} files - Multer file objects, in upload order
+ * @param {string} tempDir - Directory to write unpacked SVGs to
+ * @returns {{name: string, path: string}[]} - SVG inputs, each with a .svg path on disk
+ * @throws {Error} - When a ZIP breaks a limit or can't be read; the SVGs written so far are removed first
+ */
+function expandUploads(files, tempDir) {
+  const inputs = [];
+
+  try {
+    for (const file of files) {
+      if (!isZipUpload(file)) {
+        const svgPath = `${file.path}.svg`;
+        fs.renameSync(file.path, svgPath);
+        inputs.push({ name: file.originalname, path: svgPath });
+        continue;
+      }
+
+      let zip;
+      try {
+        zip = new AdmZip(file.path);
+      } finally {
+        fs.unlinkSync(file.path);
+      }
+
+      const entries = zip.getEntries().filter(entry =>
+        !entry.isDirectory &&
+        entry.entryName.toLowerCase().endsWith('.svg') &&
+        !entry.entryName.startsWith('__MACOSX/')
+      );
+
+      if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`${file.originalname} contains ${entries.length} SVGs - the limit is ${MAX_ZIP_ENTRIES}`);
+      }
+
+      entries.forEach((entry, index) => {
+        if (entry.header.size > MAX_ZIP_ENTRY_SIZE) {
+          throw new Error(`${entry.entryName} in ${file.originalname} is larger than 10MB`);
+        }
+
+        const svgPath = path.join(tempDir, `${file.filename}-${index}.svg`);
+        inputs.push({ name: path.basename(entry.entryName), path: svgPath });
+        fs.writeFileSync(svgPath, entry.getData());
+      });
+    }
+  } catch (error) {
+    // Don't leave the SVGs unpacked so far behind
+    inputs.forEach(input => fs.rmSync(input.path, { force: true }));
+    throw error;
+  }
+
+  return inputs;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order in the result
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Make file names unique by appending a counter to repeats
+ * @param {string[]} names - File names
+ * @returns {string[]} - Unique file names in the same order
+ */
+function uniqueNames(names) {
+  const seen = new Map();
+  return names.map(name => {
+    const count = seen.get(name) || 0;
+    seen.set(name, count + 1);
+    if (count === 0) return name;
+
+    const ext = path.extname(name);
+    return `${path.basename(name, ext)}-${count + 1}${ext}`;
+  });
+}
+
+/**
+ * Write a ZIP containing the converted PDFs and a manifest
+ * @param {{name: string, path: string}[]} files - Files to include, in order
+ * @param {Object} manifest - Batch manifest, written as manifest.json
+ * @param {string} zipPath - Where to write the ZIP
+ */
+function createZip(files, manifest, zipPath) {
+  const zip = new AdmZip();
+  const names = uniqueNames(files.map(file => file.name));
+
+  files.forEach((file, index) => {
+    zip.addFile(names[index], fs.readFileSync(file.path));
+  });
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  zip.writeZip(zipPath);
+}
+
+/**
+ * Merge PDFs into a single multi-page PDF, in the given order
+ * @param {string[]} pdfPaths - PDFs to merge
+ * @param {string} outputPath - Where to write the merged PDF
+ * @param {string} pdfVersion - PDF version of the merged file (e.g. "1.4")
+ * @returns {Promise<number>} - Number of pages in the merged PDF
+ */
+async function mergePdfs(pdfPaths, outputPath, pdfVersion) {
+  const merged = await PDFDocument.create();
+
+  for (const pdfPath of pdfPaths) {
+    const source = await PDFDocument.load(fs.readFileSync(pdfPath));
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  await pdfPostprocess.savePdf(merged, outputPath, pdfVersion);
+  return merged.getPageCount();
+}
+
+module.exports = {
+  isZipUpload,
+  expandUploads,
+  mapWithConcurrency,
+  createZip,
+  mergePdfs
+};
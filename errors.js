@@ -0,0 +1,40 @@
+/**
+ * Error types shared by the conversion pipeline and the server
+ */
+
+/**
+ * Error raised by a conversion stage, carrying a message that is safe to show the client
+ */
+class ConversionError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'ConversionError';
+    this.details = details;
+  }
+}
+
+/**
+ * Raised inside a job when the client cancels it
+ */
+class JobCancelledError extends Error {
+  constructor(message = 'Conversion cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Raised when a request's credentials don't identify anyone
+ */
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+module.exports = {
+  ConversionError,
+  JobCancelledError,
+  AuthenticationError
+};
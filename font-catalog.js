@@ -0,0 +1,344 @@
+/**
+ * Google Fonts catalog: the `webfonts` API response cached on disk with a TTL and indexed by
+ * family name, optionally seeded from a local file, plus font file fetching with a mirror
+ * directory and an offline mode that never touches the network.
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Catalog endpoint; point it at a stand-in server to test without the real API
+const CATALOG_URL = process.env.GOOGLE_FONTS_API_URL || 'https://www.googleapis.com/webfonts/v1/webfonts';
+
+// Where the fetched catalog is cached between restarts
+const CACHE_FILE = path.resolve(process.env.FONT_CATALOG_CACHE || path.join(__dirname, 'fonts', 'google-fonts-catalog.json'));
+
+// How long a cached catalog is used before it is fetched again
+const CACHE_TTL_MS = (parseFloat(process.env.FONT_CATALOG_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Catalog file (webfonts API response format) used when there is no cache yet
+const SEED_FILE = process.env.FONT_CATALOG_SEED ? path.resolve(process.env.FONT_CATALOG_SEED) : null;
+
+// Directory of mirrored font files, laid out like the font URLs (s/opensans/v40/....ttf) or flat
+const MIRROR_DIR = process.env.FONT_MIRROR_DIR ? path.resolve(process.env.FONT_MIRROR_DIR) : null;
+
+// Offline mode: fonts come only from the cached/seeded catalog and the mirror directory
+const OFFLINE = /^(1|true|yes)$/i.test(process.env.FONTS_OFFLINE || '');
+
+// How long a catalog or font file request may go without receiving data before it is dropped
+const REQUEST_TIMEOUT_MS = (parseInt(process.env.FONT_REQUEST_TIMEOUT_SECONDS, 10) || 30) * 1000;
+
+// The loaded catalog: { items, fetchedAt, checkedAt, source, index }
+let catalog = null;
+
+// Load in progress, shared by concurrent lookups
+let loading = null;
+
+/**
+ * GET a URL over HTTP or HTTPS
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Drops the request when aborted; it then rejects with the signal's reason
+ * @returns {Promise<Buffer>} - Response body; rejects when it is shorter than its Content-Length, or when
+ *   the connection is idle for REQUEST_TIMEOUT_MS
+ */
+function httpGetBuffer(url, { signal = null } = {}) {
+  const client = url.startsWith('http://') ? http : https;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    // Dropping the request fails it with a generic error, so report why it was dropped instead
+    let dropped = null;
+    const fail = (error) => reject(signal && signal.aborted ? signal.reason : dropped || error);
+
+    const request = client.get(url, { signal }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        fail(new Error(`HTTP error: ${response.statusCode}`));
+        return;
+      }
+
+      // A connection dropped mid-body still ends the response, so check the length
+      const expected = Number(response.headers['content-length']) || null;
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => {
+        const body = Buffer.concat(chunks);
+        if (expected !== null && body.length !== expected) {
+          fail(new Error(`Incomplete response: received ${body.length} of ${expected} bytes`));
+          return;
+        }
+        resolve(body);
+      });
+      response.on('aborted', () => fail(new Error('Connection closed before the response was complete')));
+      response.on('error', fail);
+    });
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      dropped = new Error(`No response for ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+      request.destroy(dropped);
+    });
+    request.on('error', fail);
+  });
+}
+
+/**
+ * Wait for a promise unless the signal aborts first
+ * @param {Promise} promise - What to wait for (left running when the signal aborts)
+ * @param {AbortSignal|null} signal - Stops the wait
+ * @returns {Promise} - The promise's result; rejects with the signal's reason when it aborts first
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Build the loaded catalog from webfonts API data
+ * @param {Object} data - API response ({ items: [...] })
+ * @param {number} fetchedAt - When the data was fetched (ms since epoch)
+ * @param {string} source - api, cache or seed
+ * @returns {Object} - Catalog with its family index. checkedAt is when it was loaded, so a stale
+ *   copy used after a failed refresh isn't refreshed again until the TTL has passed once more
+ */
+function buildCatalog(data, fetchedAt, source) {
+  if (!data || !Array.isArray(data.items)) {
+    throw new Error('Invalid Google Fonts catalog - expected an object with an "items" array');
+  }
+
+  const index = new Map();
+  for (const item of data.items) {
+    if (item && item.family) index.set(item.family.toLowerCase(), item);
+  }
+  return { items: data.items, fetchedAt, checkedAt: Date.now(), source, index };
+}
+
+/**
+ * Read a catalog file (the cache or a seed)
+ * @param {string} filePath - Catalog file
+ * @returns {{data: Object, fetchedAt: number}|null} - null when the file doesn't exist
+ */
+function readCatalogFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const fetchedAt = data.fetchedAt ? Date.parse(data.fetchedAt) : fs.statSync(filePath).mtimeMs;
+  return { data, fetchedAt };
+}
+
+/**
+ * Write the catalog to the cache file
+ * @param {Object} data - API response ({ items: [...] })
+ * @param {number} fetchedAt - When the data was fetched
+ */
+function writeCache(data, fetchedAt) {
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+  const tempFile = `${CACHE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ fetchedAt: new Date(fetchedAt).toISOString(), items: data.items }));
+  fs.renameSync(tempFile, CACHE_FILE);
+}
+
+/**
+ * Fetch the catalog from the Google Fonts API and cache it
+ * @returns {Promise<Object>} - Loaded catalog
+ */
+async function fetchCatalog() {
+  const apiKey = process.env.GOOGLE_FONTS_API_KEY;
+  if (!apiKey) {
+    throw new Error('Google Fonts API key not configured - set GOOGLE_FONTS_API_KEY environment variable');
+  }
+
+  console.log('Fetching font catalog from Google Fonts API');
+  const body = await httpGetBuffer(`${CATALOG_URL}?key=${encodeURIComponent(apiKey)}`);
+
+  let data;
+  try {
+    data = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid response from Google Fonts API');
+  }
+
+  const fetched = buildCatalog(data, Date.now(), 'api');
+  writeCache(data, fetched.fetchedAt);
+  console.log(`Cached Google Fonts catalog (${fetched.items.length} families)`);
+  return fetched;
+}
+
+/**
+ * Load the catalog: the fresh cache, else the API, else a stale cache or the seed file.
+ * In offline mode the API is never used and a stale cache is fine.
+ * @param {Object} options - Load options
+ * @param {boolean} options.force - Fetch from the API even if the cache is fresh
+ * @returns {Promise<Object>} - Loaded catalog
+ */
+async function loadCatalog({ force = false } = {}) {
+  const cached = readCatalogFile(CACHE_FILE);
+  const fresh = cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS;
+
+  if (cached && (OFFLINE || (fresh && !force))) {
+    return buildCatalog(cached.data, cached.fetchedAt, 'cache');
+  }
+
+  if (!OFFLINE) {
+    try {
+      return await fetchCatalog();
+    } catch (error) {
+      if (!cached && !SEED_FILE) throw error;
+      console.warn(`Could not refresh the Google Fonts catalog (${error.message}) - using the ${cached ? 'cached' : 'seed'} copy`);
+    }
+  }
+
+  if (cached) {
+    return buildCatalog(cached.data, cached.fetchedAt, 'cache');
+  }
+
+  const seed = SEED_FILE && readCatalogFile(SEED_FILE);
+  if (!seed) {
+    throw new Error(`${OFFLINE ? 'Offline mode: no' : 'No'} cached Google Fonts catalog - set FONT_CATALOG_SEED to a catalog file`);
+  }
+  return buildCatalog(seed.data, seed.fetchedAt, 'seed');
+}
+
+/**
+ * Get the catalog, loading it when it isn't in memory or has expired
+ * @param {Object} options - Load options
+ * @param {boolean} options.force - Fetch from the API even if the cache is fresh
+ * @returns {Promise<Object>} - Catalog ({ items, fetchedAt, checkedAt, source, index })
+ */
+async function getCatalog({ force = false } = {}) {
+  const expired = catalog && !OFFLINE && Date.now() - catalog.checkedAt >= CACHE_TTL_MS;
+  if (catalog && !force && !expired) return catalog;
+
+  if (!loading) {
+    loading = loadCatalog({ force })
+      .then(loaded => (catalog = loaded))
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Look up a family in the catalog. A signal only stops this lookup's wait: the catalog load is
+ * shared with other lookups, so it carries on (bounded by REQUEST_TIMEOUT_MS).
+ * @param {string} family - Family name (case-insensitive)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting for the catalog when aborted
+ * @returns {Promise<Object|null>} - Catalog entry ({ family, files, ... }) or null if Google doesn't have it
+ */
+async function findFamily(family, { signal = null } = {}) {
+  const { index } = await untilAborted(getCatalog(), signal);
+  return index.get(family.toLowerCase()) || null;
+}
+
+/**
+ * Replace the cached catalog with the contents of a local file
+ * @param {string} filePath - Catalog file (webfonts API response format)
+ * @returns {Object} - Loaded catalog
+ */
+function seedCatalog(filePath) {
+  const seed = readCatalogFile(path.resolve(filePath));
+  if (!seed) {
+    throw new Error(`Catalog file not found: ${filePath}`);
+  }
+
+  const seeded = buildCatalog(seed.data, seed.fetchedAt, 'seed');
+  writeCache(seed.data, seed.fetchedAt);
+  catalog = seeded;
+  console.log(`Seeded Google Fonts catalog from ${filePath} (${seeded.items.length} families)`);
+  return seeded;
+}
+
+/**
+ * Find a font file in the mirror directory, by its URL path or by its file name
+ * @param {string} url - Font file URL
+ * @returns {string|null} - Mirrored file path
+ */
+function findMirroredFile(url) {
+  if (!MIRROR_DIR) return null;
+
+  const urlPath = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '');
+  const candidates = [path.join(MIRROR_DIR, urlPath), path.join(MIRROR_DIR, path.basename(urlPath))];
+  return candidates.find(file => file.startsWith(MIRROR_DIR + path.sep) && fs.existsSync(file)) || null;
+}
+
+/**
+ * Fetch a font file, from the mirror directory when it has the file
+ * @param {string} url - Font file URL from the catalog
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the download when aborted, rejecting with the signal's reason
+ * @returns {Promise<Buffer>} - Font data
+ */
+async function fetchFontFile(url, { signal = null } = {}) {
+  const mirrored = findMirroredFile(url);
+  if (mirrored) {
+    console.log(`Using mirrored font file: ${mirrored}`);
+    return fs.readFileSync(mirrored);
+  }
+
+  if (OFFLINE) {
+    throw new Error(`Offline mode: ${path.basename(new URL(url).pathname)} is not in the font mirror directory`);
+  }
+
+  console.log(`Downloading font: ${url}`);
+  try {
+    return await httpGetBuffer(url, { signal });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    throw new Error(`Failed to download font: ${error.message}`);
+  }
+}
+
+/**
+ * Describe the catalog for capabilities. Doesn't load it: before the first lookup only the
+ * cache file's presence and age are known.
+ * @returns {Object} - Offline flag, catalog source, age and family count, configured sources
+ */
+function getCatalogStatus() {
+  let fetchedAt = catalog ? catalog.fetchedAt : null;
+  if (!catalog && fs.existsSync(CACHE_FILE)) {
+    fetchedAt = fs.statSync(CACHE_FILE).mtimeMs;
+  }
+
+  return {
+    offline: OFFLINE,
+    loaded: Boolean(catalog),
+    source: catalog ? catalog.source : (fetchedAt ? 'cache' : null),
+    families: catalog ? catalog.items.length : null,
+    fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+    stale: fetchedAt ? Date.now() - fetchedAt >= CACHE_TTL_MS : null,
+    ttlHours: CACHE_TTL_MS / 3600000,
+    cacheFile: CACHE_FILE,
+    seedFile: SEED_FILE,
+    mirrorDir: MIRROR_DIR
+  };
+}
+
+module.exports = {
+  OFFLINE,
+  getCatalog,
+  findFamily,
+  seedCatalog,
+  fetchFontFile,
+  getCatalogStatus
+};
+
+// Seed the cache from the command line: node font-catalog.js <catalog.json>
+if (require.main === module) {
+  if (!process.argv[2]) {
+    console.error('Usage: node font-catalog.js <catalog.json>');
+    process.exit(1);
+  }
+  seedCatalog(process.argv[2]);
+}
@@ -0,0 +1,698 @@
+/**
+ * Font file handling: WOFF/WOFF2 decoding, variable font axes and instancing, and the
+ * fonts.json metadata that records each file's family, weight and style
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const fontStyles = require('./font-styles');
+
+const execFileAsync = promisify(execFile);
+
+// Metadata for font files whose names don't say everything (variable fonts, converted web fonts)
+const METADATA_FILE = 'fonts.json';
+
+// fontTools command used to instance variable fonts (pip install fonttools)
+const FONTTOOLS_COMMAND = process.env.FONTTOOLS || 'fonttools';
+
+// Give up on instancing a font after this long
+const INSTANCE_TIMEOUT_MS = 60000;
+
+/**
+ * Identify a font file from its first bytes
+ * @param {Buffer} buffer - Font data
+ * @returns {string|null} - ttf, otf, woff, woff2, or null when unrecognised
+ */
+function detectFontFormat(buffer) {
+  if (buffer.length < 4) return null;
+
+  const signature = buffer.toString('latin1', 0, 4);
+  if (signature === 'wOFF') return 'woff';
+  if (signature === 'wOF2') return 'woff2';
+  if (signature === 'OTTO') return 'otf';
+  if (signature === 'true' || buffer.readUInt32BE(0) === 0x00010000) return 'ttf';
+  return null;
+}
+
+/**
+ * Rebuild an sfnt (TTF/OTF) file from a WOFF 1.0 file
+ * @param {Buffer} buffer - WOFF data
+ * @returns {Buffer} - sfnt data
+ */
+function woffToSfnt(buffer) {
+  const flavor = buffer.readUInt32BE(4);
+  const numTables = buffer.readUInt16BE(12);
+
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const entry = 44 + i * 20;
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const data = buffer.subarray(offset, offset + compLength);
+
+    tables.push({
+      tag: buffer.subarray(entry, entry + 4),
+      checksum: buffer.readUInt32BE(entry + 16),
+      data: compLength < origLength ? zlib.inflateSync(data) : data
+    });
+  }
+
+  // Offset table search fields, per the OpenType spec
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = Math.pow(2, entrySelector) * 16;
+
+  const header = Buffer.alloc(12 + numTables * 16);
+  header.writeUInt32BE(flavor, 0);
+  header.writeUInt16BE(numTables, 4);
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(entrySelector, 8);
+  header.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  const chunks = [header];
+  let offset = header.length;
+  tables.forEach((table, i) => {
+    const record = 12 + i * 16;
+    table.tag.copy(header, record);
+    header.writeUInt32BE(table.checksum, record + 4);
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(table.data.length, record + 12);
+
+    // Tables are 4-byte aligned
+    const padding = (4 - (table.data.length % 4)) % 4;
+    chunks.push(table.data, Buffer.alloc(padding));
+    offset += table.data.length + padding;
+  });
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Convert web font data to an sfnt (TTF/OTF) font that renderers can load
+ * @param {Buffer} buffer - Font data in any supported format
+ * @returns {Promise<{buffer: Buffer, format: string, source: string}>} - sfnt data, its format (ttf or otf)
+ *   and the format it was converted from
+ */
+async function toSfnt(buffer) {
+  const source = detectFontFormat(buffer);
+  let sfnt = buffer;
+
+  if (source === 'woff') {
+    sfnt = woffToSfnt(buffer);
+  } else if (source === 'woff2') {
+    // WOFF2 needs Brotli and glyph table reconstruction, so use Google's decoder
+    const wawoff2 = require('wawoff2');
+    sfnt = Buffer.from(await wawoff2.decompress(buffer));
+  } else if (!source) {
+    throw new Error('Unrecognised font format - expected TTF, OTF, WOFF or WOFF2');
+  }
+
+  return { buffer: sfnt, format: detectFontFormat(sfnt) === 'otf' ? 'otf' : 'ttf', source };
+}
+
+/**
+ * Check that sfnt data is a whole font: every table lies inside the data and, optionally, sums to
+ * the checksum the table directory records for it. Truncated or corrupted downloads fail both.
+ * @param {Buffer} buffer - sfnt data
+ * @param {Object} options - Check options
+ * @param {boolean} options.checksums - Verify table checksums too (default true; hand-made fonts often get them wrong)
+ * @throws {Error} - When the data is truncated or a checksum doesn't match
+ */
+function verifySfnt(buffer, { checksums = true } = {}) {
+  const numTables = buffer.length >= 12 ? buffer.readUInt16BE(4) : 0;
+  if (numTables === 0 || buffer.length < 12 + numTables * 16) {
+    throw new Error('Font data is truncated (incomplete table directory)');
+  }
+
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = buffer.toString('latin1', record, record + 4);
+    const offset = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    if (offset + length > buffer.length) {
+      throw new Error(`Font data is truncated (the ${tag.trim()} table ends past the end of the data)`);
+    }
+    if (!checksums) continue;
+
+    // Sum of the table as big-endian uint32s, zero-padded; head's checkSumAdjustment counts as 0
+    let sum = 0;
+    for (let at = 0; at < length; at += 4) {
+      if (tag === 'head' && at === 8) continue;
+      let word = 0;
+      for (let byte = 0; byte < 4; byte++) {
+        word = word * 256 + (at + byte < length ? buffer[offset + at + byte] : 0);
+      }
+      sum = (sum + word) >>> 0;
+    }
+    if (sum !== buffer.readUInt32BE(record + 4)) {
+      throw new Error(`Font data is corrupt (checksum mismatch in the ${tag.trim()} table)`);
+    }
+  }
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers never see it half-written
+ * @param {string} filePath - File to write
+ * @param {Buffer|string} data - Contents
+ */
+function writeFileAtomic(filePath, data) {
+  const tempFile = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, data);
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Find a table in an sfnt font
+ * @param {Buffer} buffer - sfnt data
+ * @param {string} tag - Table tag (e.g. "fvar")
+ * @returns {Buffer|null} - Table data, or null if the font has no such table
+ */
+function readSfntTable(buffer, tag) {
+  const numTables = buffer.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (buffer.toString('latin1', record, record + 4) === tag) {
+      const offset = buffer.readUInt32BE(record + 8);
+      return buffer.subarray(offset, offset + buffer.readUInt32BE(record + 12));
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the variation axes of a variable font
+ * @param {Buffer} buffer - sfnt data
+ * @returns {{tag: string, min: number, default: number, max: number}[]} - Empty for static fonts
+ */
+function readVariationAxes(buffer) {
+  const fvar = readSfntTable(buffer, 'fvar');
+  if (!fvar) return [];
+
+  const axesOffset = fvar.readUInt16BE(4);
+  const axisCount = fvar.readUInt16BE(8);
+  const axisSize = fvar.readUInt16BE(10);
+  const fixed = (offset) => +(fvar.readInt32BE(offset) / 65536).toFixed(3);
+
+  const axes = [];
+  for (let i = 0; i < axisCount; i++) {
+    const record = axesOffset + i * axisSize;
+    axes.push({
+      tag: fvar.toString('latin1', record, record + 4),
+      min: fixed(record + 4),
+      default: fixed(record + 8),
+      max: fixed(record + 12)
+    });
+  }
+  return axes;
+}
+
+/**
+ * Read the strings of an sfnt name table, preferring Windows English, then any Windows or
+ * Unicode entry, then Mac Roman
+ * @param {Buffer} buffer - sfnt data
+ * @returns {Map<number, string>} - Strings by name ID
+ */
+function readNameTable(buffer) {
+  const table = readSfntTable(buffer, 'name');
+  const names = new Map();
+  if (!table) return names;
+
+  const count = table.readUInt16BE(2);
+  const storage = table.readUInt16BE(4);
+  const ranks = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    const platform = table.readUInt16BE(record);
+    const encoding = table.readUInt16BE(record + 2);
+    const language = table.readUInt16BE(record + 4);
+    const nameId = table.readUInt16BE(record + 6);
+    const length = table.readUInt16BE(record + 8);
+    const offset = storage + table.readUInt16BE(record + 10);
+
+    let rank;
+    if (platform === 3 && (encoding === 1 || encoding === 10)) rank = language === 0x409 ? 0 : 1;
+    else if (platform === 0) rank = 2;
+    else if (platform === 1 && encoding === 0) rank = 3;
+    else continue;
+
+    if (ranks.has(nameId) && ranks.get(nameId) <= rank) continue;
+
+    const data = table.subarray(offset, offset + length);
+    let value;
+    if (rank <= 2) {
+      // UTF-16BE: swap to little-endian for Node's decoder
+      const swapped = Buffer.from(data);
+      swapped.swap16();
+      value = swapped.toString('utf16le');
+    } else {
+      value = data.toString('latin1');
+    }
+
+    ranks.set(nameId, rank);
+    names.set(nameId, value.replace(/\0/g, '').trim());
+  }
+
+  return names;
+}
+
+/**
+ * Read a font's family, subfamily, weight class and italic flag from its name, OS/2 and head tables
+ * @param {Buffer} buffer - sfnt data
+ * @returns {{family: string, subfamily: string, fullName: string, postScriptName: string|null,
+ *   weight: number, style: string, weightRange: number[]|null}}
+ */
+function readFontInfo(buffer) {
+  const names = readNameTable(buffer);
+  // Typographic family/subfamily (16/17) group more than four styles under one family
+  const family = names.get(16) || names.get(1);
+  if (!family) {
+    throw new Error('Font has no family name');
+  }
+  const subfamily = names.get(17) || names.get(2) || 'Regular';
+
+  const os2 = readSfntTable(buffer, 'OS/2');
+  const head = readSfntTable(buffer, 'head');
+
+  let weight = os2 ? os2.readUInt16BE(4) : (head && head.readUInt16BE(44) & 1 ? 700 : 400);
+  if (weight > 0 && weight < 10) weight *= 100; // Some old fonts use 1-9
+  if (!weight) weight = 400;
+
+  // fsSelection bit 0 is italic, bit 9 oblique; head.macStyle bit 1 is italic
+  const italic = os2 ? Boolean(os2.readUInt16BE(62) & 0x201) : Boolean(head && head.readUInt16BE(44) & 2);
+
+  const weightAxis = readVariationAxes(buffer).find(axis => axis.tag === 'wght');
+
+  return {
+    family,
+    subfamily,
+    fullName: names.get(4) || `${family} ${subfamily}`,
+    postScriptName: names.get(6) || null,
+    weight,
+    style: italic || /italic|oblique/i.test(subfamily) ? 'italic' : 'normal',
+    weightRange: weightAxis ? [weightAxis.min, weightAxis.max] : null
+  };
+}
+
+// Highest Unicode code point
+const MAX_CODE_POINT = 0x10ffff;
+
+/**
+ * Build a code point set from ranges, kept as ranges so a CJK font's tens of thousands of
+ * characters (or a corrupt cmap's billions) cost one entry per run
+ * @param {number[][]} ranges - Inclusive [start, end] ranges, in any order and possibly overlapping
+ * @returns {{ranges: number[][], has: function(number): boolean}} - The ranges sorted and merged,
+ *   and a binary search over them
+ */
+function codePointRanges(ranges) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  const has = (codePoint) => {
+    let low = 0;
+    let high = merged.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (codePoint < merged[middle][0]) {
+        high = middle - 1;
+      } else if (codePoint > merged[middle][1]) {
+        low = middle + 1;
+      } else {
+        return true;
+      }
+    }
+    return false;
+  };
+  return { ranges: merged, has };
+}
+
+/**
+ * Read the characters a font maps to glyphs, from its Unicode cmap subtable
+ * (format 12 for full Unicode, else format 4 for the BMP, else format 0/6)
+ * @param {Buffer} buffer - sfnt data
+ * @returns {{ranges: number[][], has: function(number): boolean}} - Code points with a glyph (see codePointRanges)
+ */
+function readCharacterMap(buffer) {
+  const cmap = readSfntTable(buffer, 'cmap');
+  const ranges = [];
+  const add = (start, end = start) => ranges.push([start, end]);
+  if (!cmap) return codePointRanges(ranges);
+
+  // Prefer Windows full Unicode, then Windows BMP, then any Unicode platform subtable, then Mac Roman
+  const subtables = [];
+  for (let i = 0, count = cmap.readUInt16BE(2); i < count; i++) {
+    const record = 4 + i * 8;
+    const platform = cmap.readUInt16BE(record);
+    const encoding = cmap.readUInt16BE(record + 2);
+    const offset = cmap.readUInt32BE(record + 4);
+    const rank = platform === 3 && encoding === 10 ? 0 : platform === 3 && encoding === 1 ? 1 :
+      platform === 0 ? 2 : platform === 1 && encoding === 0 ? 3 : -1;
+    if (rank !== -1 && offset < cmap.length) subtables.push({ rank, offset, format: cmap.readUInt16BE(offset) });
+  }
+  subtables.sort((a, b) => a.rank - b.rank || b.format - a.format);
+  const subtable = subtables.find(table => [0, 4, 6, 12].includes(table.format));
+  if (!subtable) return codePointRanges(ranges);
+
+  const at = subtable.offset;
+  if (subtable.format === 12) {
+    for (let i = 0, groups = cmap.readUInt32BE(at + 12); i < groups; i++) {
+      const group = at + 16 + i * 12;
+      const start = cmap.readUInt32BE(group);
+      const end = cmap.readUInt32BE(group + 4);
+      const glyph = cmap.readUInt32BE(group + 8);
+      // A group running backwards is corrupt and one reaching past Unicode is cut off; glyph 0 is .notdef
+      const first = glyph === 0 ? start + 1 : start;
+      const last = Math.min(end, MAX_CODE_POINT);
+      if (start <= end && first <= last) add(first, last);
+    }
+  } else if (subtable.format === 4) {
+    const segments = cmap.readUInt16BE(at + 6) / 2;
+    const ends = at + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+    for (let i = 0; i < segments; i++) {
+      const start = cmap.readUInt16BE(starts + i * 2);
+      const end = cmap.readUInt16BE(ends + i * 2);
+      const delta = cmap.readInt16BE(deltas + i * 2);
+      const rangeOffset = cmap.readUInt16BE(rangeOffsets + i * 2);
+      for (let code = start; code <= end && code !== 0xffff; code++) {
+        let glyph;
+        if (rangeOffset === 0) {
+          glyph = (code + delta) & 0xffff;
+        } else {
+          const glyphAt = rangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+          glyph = glyphAt + 2 <= cmap.length ? cmap.readUInt16BE(glyphAt) : 0;
+          if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+        }
+        if (glyph !== 0) add(code);
+      }
+    }
+  } else if (subtable.format === 6) {
+    const first = cmap.readUInt16BE(at + 6);
+    for (let i = 0, count = cmap.readUInt16BE(at + 8); i < count; i++) {
+      if (cmap.readUInt16BE(at + 10 + i * 2) !== 0) add(first + i);
+    }
+  } else {
+    for (let code = 0; code < 256; code++) {
+      if (cmap[at + 6 + code] !== 0) add(code);
+    }
+  }
+
+  return codePointRanges(ranges);
+}
+
+// Parsed font info by file path, reused while the file's size and mtime are unchanged
+const fontInfoCache = new Map();
+
+/**
+ * Read the info of a font file, from the cache when the file hasn't changed
+ * @param {string} filePath - TTF/OTF file
+ * @returns {Object|null} - readFontInfo() result, or null when the file can't be parsed
+ */
+function readFontFileInfo(filePath) {
+  const stat = fs.statSync(filePath);
+  const cached = fontInfoCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.info;
+  }
+
+  let info = null;
+  try {
+    info = readFontInfo(fs.readFileSync(filePath));
+  } catch (error) {
+    console.warn(`Could not read font metadata from ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  fontInfoCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, info });
+  return info;
+}
+
+// Character maps by file path, reused while the file's size and mtime are unchanged
+const characterMapCache = new Map();
+
+// Characters that never need a glyph of their own: whitespace, controls, format characters
+// (joiners, soft hyphens) and variation selectors
+const NON_GLYPH_CHARACTERS = /[\s\p{Cc}\p{Cf}\uFE00-\uFE0F\u{E0100}-\u{E01EF}]/u;
+
+/**
+ * List the characters of some text that a font file has no glyph for
+ * @param {string} filePath - TTF/OTF file
+ * @param {string} text - Text set in the font
+ * @returns {string[]} - Distinct unsupported characters, in order of appearance; empty when the
+ *   file can't be parsed (the renderer is left to cope)
+ */
+function findUnsupportedCharacters(filePath, text) {
+  const stat = fs.statSync(filePath);
+  let cached = characterMapCache.get(filePath);
+  if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+    let codePoints = null;
+    try {
+      codePoints = readCharacterMap(fs.readFileSync(filePath));
+    } catch (error) {
+      console.warn(`Could not read the character map of ${path.basename(filePath)}: ${error.message}`);
+    }
+    cached = { mtimeMs: stat.mtimeMs, size: stat.size, codePoints };
+    characterMapCache.set(filePath, cached);
+  }
+
+  if (!cached.codePoints) return [];
+  return [...new Set(text)].filter(character =>
+    !NON_GLYPH_CHARACTERS.test(character) && !cached.codePoints.has(character.codePointAt(0)));
+}
+
+/**
+ * Pin a variable font to one weight and style with fontTools, producing a static font
+ * @param {string} inputPath - Variable font file
+ * @param {string} outputPath - Where to write the static font
+ * @param {{tag: string, min: number, default: number, max: number}[]} axes - The font's axes
+ * @param {{weight: number, style: string}} variant - Variant to instance
+ * @returns {Promise<void>} - Rejects when fontTools is not installed or fails
+ */
+async function instanceVariableFont(inputPath, outputPath, axes, variant) {
+  const locations = axes.map(axis => {
+    if (axis.tag === 'wght') return `wght=${Math.min(axis.max, Math.max(axis.min, variant.weight))}`;
+    if (axis.tag === 'ital') return `ital=${variant.style === 'italic' ? axis.max : axis.min}`;
+    return `${axis.tag}=drop`; // Pin every other axis to its default
+  });
+
+  await execFileAsync(FONTTOOLS_COMMAND, ['varLib.instancer', inputPath, ...locations, '-o', outputPath], {
+    timeout: INSTANCE_TIMEOUT_MS
+  });
+}
+
+/**
+ * Read the recorded font metadata
+ * @param {string} fontsDir - Path to the fonts directory
+ * @returns {Object} - Metadata by file name
+ */
+function readFontMetadata(fontsDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(fontsDir, METADATA_FILE), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Record the metadata of a font file
+ * @param {string} fontsDir - Path to the fonts directory
+ * @param {string} file - Font file name
+ * @param {Object} metadata - family, weight, style and anything else worth keeping
+ */
+function recordFontMetadata(fontsDir, file, metadata) {
+  const allMetadata = readFontMetadata(fontsDir);
+  allMetadata[file] = metadata;
+  writeFileAtomic(path.join(fontsDir, METADATA_FILE), JSON.stringify(allMetadata, null, 2));
+}
+
+/**
+ * Delete a font file and its recorded metadata
+ * @param {string} fontsDir - Path to the fonts directory
+ * @param {string} file - Font file name
+ */
+function deleteFontFile(fontsDir, file) {
+  fs.rmSync(path.join(fontsDir, file), { force: true });
+
+  const allMetadata = readFontMetadata(fontsDir);
+  if (allMetadata[file]) {
+    delete allMetadata[file];
+    writeFileAtomic(path.join(fontsDir, METADATA_FILE), JSON.stringify(allMetadata, null, 2));
+  }
+}
+
+/**
+ * Index the TTF/OTF files in a fonts directory by the family, subfamily, weight and style
+ * their own tables declare. Recorded metadata (downloads, uploads with explicit details) wins;
+ * the file name is only used for files whose tables can't be read.
+ * @param {string} fontsDir - Path to the fonts directory
+ * @returns {Object[]} - listFontFiles() entries
+ */
+function listDirectoryFontFiles(fontsDir) {
+  if (!fs.existsSync(fontsDir)) return [];
+
+  const metadata = readFontMetadata(fontsDir);
+  return fs.readdirSync(fontsDir)
+    .filter(file => /\.(ttf|otf)$/i.test(file))
+    .map(file => {
+      const info = readFontFileInfo(path.join(fontsDir, file)) ||
+        { ...fontStyles.parseFontFileName(file), subfamily: null, fullName: null, weightRange: null };
+      return {
+        file,
+        family: info.family,
+        subfamily: info.subfamily,
+        fullName: info.fullName,
+        weight: info.weight,
+        style: info.style,
+        weightRange: info.weightRange,
+        source: 'local',
+        ...metadata[file],
+        dir: fontsDir,
+        path: path.join(fontsDir, file)
+      };
+    });
+}
+
+/**
+ * Index the TTF/OTF files of a fonts directory, or of a font store's layered directories. A
+ * family found in a higher layer hides the same family in the layers below it, so a tenant's
+ * licensed cut of a font is never mixed with the shared one.
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or the layers of a font store (highest first)
+ * @returns {{file: string, family: string, subfamily: string|null, fullName: string|null, weight: number,
+ *   style: string, weightRange: number[]|null, source: string, dir: string, path: string}[]} - source is
+ *   google, upload or local (added by hand); dir is the layer the file is in
+ */
+function listFontFiles(fontsDir) {
+  const fonts = [];
+  const families = new Set();
+
+  for (const layer of fontLayers(fontsDir)) {
+    // Families without a usable key (no letters or digits) neither hide nor are hidden
+    const layerFonts = listDirectoryFontFiles(layer)
+      .filter(font => !families.has(fontStyles.normalizeFamily(font.family)));
+    layerFonts.forEach(font => {
+      const key = fontStyles.normalizeFamily(font.family);
+      if (key) families.add(key);
+    });
+    fonts.push(...layerFonts);
+  }
+
+  return fonts;
+}
+
+/**
+ * The directories a fonts directory argument stands for
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or the layers of a font store
+ * @returns {string[]} - Layers, highest first
+ */
+function fontLayers(fontsDir) {
+  return Array.isArray(fontsDir) ? fontsDir : [fontsDir];
+}
+
+/**
+ * Save downloaded or uploaded font data for one variant. Web fonts are converted to TTF/OTF.
+ * Variable fonts are kept whole and, when fontTools is installed and instancing is asked for,
+ * also pinned to a static instance for the variant; otherwise the variable font covers its
+ * whole weight range. The data is checked for truncation and corruption first, and every file
+ * is written through a temporary file so a half-written font is never picked up.
+ * @param {Buffer} buffer - Font data (TTF, OTF, WOFF or WOFF2)
+ * @param {string} fontsDir - Path to the fonts directory
+ * @param {{family: string, weight: number, style: string}} variant - The variant the data is for
+ * @param {Object} options - Save options
+ * @param {string} options.source - Where the font came from (google or upload)
+ * @param {boolean} options.instance - Pin variable fonts to the variant (default true)
+ * @param {boolean} options.checksums - Verify table checksums, not just that the tables are complete (default true)
+ * @returns {Promise<{file: string, weight: number, style: string}>} - The file to use for the variant
+ */
+async function saveFontFile(buffer, fontsDir, { family, weight, style }, { source = 'google', instance = true, checksums = true } = {}) {
+  const { buffer: sfnt, format, source: sourceFormat } = await toSfnt(buffer);
+  verifySfnt(sfnt, { checksums });
+  const baseName = family.replace(/\s+/g, '');
+  const axes = readVariationAxes(sfnt);
+
+  if (!fs.existsSync(fontsDir)) {
+    fs.mkdirSync(fontsDir, { recursive: true });
+  }
+
+  const staticFile = `${baseName}-${fontStyles.variantSuffix(weight, style)}.${format}`;
+
+  if (axes.length === 0) {
+    writeFileAtomic(path.join(fontsDir, staticFile), sfnt);
+    recordFontMetadata(fontsDir, staticFile, {
+      family,
+      weight,
+      style,
+      source,
+      convertedFrom: sourceFormat !== format ? sourceFormat : undefined
+    });
+    return { file: staticFile, weight, style };
+  }
+
+  // Keep the variable font so other weights can use it too
+  const weightAxis = axes.find(axis => axis.tag === 'wght');
+  const variableFile = `${baseName}-Variable${style === 'italic' ? 'Italic' : ''}.${format}`;
+  const variablePath = path.join(fontsDir, variableFile);
+  writeFileAtomic(variablePath, sfnt);
+  recordFontMetadata(fontsDir, variableFile, {
+    family,
+    weight: weightAxis ? weightAxis.default : 400,
+    style,
+    weightRange: weightAxis ? [weightAxis.min, weightAxis.max] : null,
+    variable: true,
+    axes,
+    source,
+    convertedFrom: sourceFormat !== format ? sourceFormat : undefined
+  });
+  console.log(`${variableFile} is a variable font (${axes.map(axis => `${axis.tag} ${axis.min}-${axis.max}`).join(', ')})`);
+
+  if (!instance) {
+    return { file: variableFile, weight, style };
+  }
+
+  const tempFile = `${path.join(fontsDir, staticFile)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await instanceVariableFont(variablePath, tempFile, axes, { weight, style });
+    verifySfnt(fs.readFileSync(tempFile));
+    fs.renameSync(tempFile, path.join(fontsDir, staticFile));
+    recordFontMetadata(fontsDir, staticFile, { family, weight, style, source, instancedFrom: variableFile });
+    console.log(`Instanced ${staticFile} from ${variableFile}`);
+    return { file: staticFile, weight, style };
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    console.log(`Could not instance ${variableFile} (${error.code === 'ENOENT' ? 'fontTools not installed' : error.message}) - using the variable font`);
+    return { file: variableFile, weight, style };
+  }
+}
+
+module.exports = {
+  detectFontFormat,
+  toSfnt,
+  verifySfnt,
+  writeFileAtomic,
+  readVariationAxes,
+  readFontInfo,
+  readCharacterMap,
+  findUnsupportedCharacters,
+  instanceVariableFont,
+  readFontMetadata,
+  recordFontMetadata,
+  deleteFontFile,
+  fontLayers,
+  listFontFiles,
+  saveFontFile
+};
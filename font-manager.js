@@ -3,257 +3,226 @@
  */
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const { promisify } = require('util');
-const stream = require('stream');
+const svgPipeline = require('./svg-pipeline');
+const fontStyles = require('./font-styles');
+const fontFiles = require('./font-files');
+const fontCatalog = require('./font-catalog');
+const fontSubstitution = require('./font-substitution');
 
-// Promisify the stream.pipeline for async/await usage
-const pipeline = promisify(stream.pipeline);
+// Fonts the renderers' systems are expected to provide, never downloaded
+const SYSTEM_FONTS = ['Arial', 'Helvetica', 'Times', 'Times New Roman', 'Courier', 'Courier New',
+                      'Verdana', 'Georgia', 'Palatino', 'Garamond', 'Bookman', 'Tahoma', 'Trebuchet MS'];
+
+/**
+ * Whether a family is one of the SYSTEM_FONTS, whatever its spelling
+ * @param {string} family - Family name
+ * @returns {boolean}
+ */
+function isSystemFont(family) {
+  return SYSTEM_FONTS.some(name => fontStyles.sameFamily(name, family));
+}
+
+/**
+ * Extract the font variants (font-family list, weight, style) used by text in SVG content
+ * @param {string} svgContent - The SVG file content
+ * @returns {{family: string, families: string[], weight: number, style: string, generic: string|null}[]} - Distinct variants
+ */
+function extractFontVariantsFromSVG(svgContent) {
+  return fontStyles.collectFontVariants(svgPipeline.parseSvg(svgContent));
+}
 
 /**
  * Extract font families from SVG content
  * @param {string} svgContent - The SVG file content
- * @returns {string[]} - Array of font family names
+ * @returns {string[]} - Array of font family names (every named family of each text run's fallback list)
  */
 function extractFontsFromSVG(svgContent) {
-  const fontFamilies = new Set();
-  
-  // Find font-family in styles with various quote styles
-  const fontFamilyRegex = /font-family\s*:\s*['"]?([^'",;]+)['"]?/g;
-  let match;
+  const families = extractFontVariantsFromSVG(svgContent).flatMap(variant => variant.families);
+  return [...new Set(families.filter(family => !fontStyles.isGenericFamily(family)))];
+}
+
+/**
+ * Check if a font exists in the local fonts directory
+ * @param {string} fontName - Name of the font to check
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
+ * @returns {boolean} - Whether the font exists locally
+ */
+function fontExistsLocally(fontName, fontsDir) {
+  return findLocalFontVariants(fontName, fontsDir).length > 0;
+}
+
+/**
+ * List the local font files of a family, matched on the family name the fonts declare
+ * @param {string} fontName - Family name
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
+ * @returns {{file: string, family: string, subfamily: string|null, fullName: string|null, weight: number,
+ *   style: string, weightRange: number[]|null, path: string}[]} - weightRange is set for variable fonts
+ */
+function findLocalFontVariants(fontName, fontsDir) {
+  return fontFiles.listFontFiles(fontsDir)
+    .filter(font => fontStyles.sameFamily(font.family, fontName))
+    .map(({ file, family, subfamily, fullName, weight, style, weightRange, path }) =>
+      ({ file, family, subfamily, fullName, weight, style, weightRange, path }));
+}
+
+/**
+ * Parse a Google Fonts variant key ("regular", "italic", "700", "700italic")
+ * @param {string} key - Variant key from the API
+ * @returns {{key: string, weight: number, style: string}}
+ */
+function parseGoogleVariant(key) {
+  const weight = parseInt(key, 10) || 400;
+  return { key, weight, style: key.includes('italic') ? 'italic' : 'normal' };
+}
+
+// Font work in progress by fonts directory and family. Downloads, uploads and deletes for a
+// family run one at a time, so conversions needing the same missing font download it once
+const familyTasks = new Map();
+
+/**
+ * Run a task once the font work already queued for a family has finished
+ * @param {string} fontsDir - Path to the fonts directory
+ * @param {string} family - Family name (case-insensitive)
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} - The task's result
+ */
+function queueFamilyTask(fontsDir, family, task) {
+  const key = `${path.resolve(fontsDir)}|${family.toLowerCase()}`;
+  const previous = familyTasks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  familyTasks.set(key, run);
+
+  const done = () => {
+    if (familyTasks.get(key) === run) familyTasks.delete(key);
+  };
+  run.then(done, done);
+  return run;
+}
+
+/**
+ * Download the variants of a Google Font that the SVG needs. For each wanted variant the
+ * closest one Google offers is fetched (e.g. 600 falls back to 700 when there is no SemiBold).
+ * A download waits for one already in flight for the family, then skips the files it installed.
+ * Google Fonts are public, so a font store's downloads go to its shared base layer.
+ * @param {string} fontName - Name of the font to download
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
+ * @param {{weight: number, style: string}[]} variants - Variants to download (default regular)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the catalog lookup and the downloads when aborted
+ * @returns {Promise<{file: string, weight: number, style: string}[]>} - Files downloaded (empty for system fonts)
+ */
+async function downloadGoogleFont(fontName, fontsDir, variants = [{ weight: 400, style: 'normal' }], { signal = null } = {}) {
+  console.log(`Attempting to download font: ${fontName} (${variants.map(v => fontStyles.variantSuffix(v.weight, v.style)).join(', ')})`);
   
-  while ((match = fontFamilyRegex.exec(svgContent)) !== null) {
-    fontFamilies.add(match[1].trim());
+  // Skip if it's a system font
+  if (isSystemFont(fontName)) {
+    console.log(`${fontName} is a system font, skipping download.`);
+    return [];
   }
   
-  // Find font-family attributes in XML
-  const fontAttrRegex = /font-family\s*=\s*["']([^"']+)["']/g;
-  while ((match = fontAttrRegex.exec(svgContent)) !== null) {
-    fontFamilies.add(match[1].trim());
-  }
+  // Look the font up in the cached catalog (fetched from the API when missing or expired)
+  const fontInfo = await fontCatalog.findFamily(fontName, { signal });
   
-  // Look for more complex CSS with font-family
-  const cssRegex = /<style[^>]*>([\s\S]*?)<\/style>/g;
-  let cssMatch;
-  while ((cssMatch = cssRegex.exec(svgContent)) !== null) {
-    const cssContent = cssMatch[1];
-    const fontInCssRegex = /font-family\s*:\s*['"]?([^'",;]+)['"]?/g;
-    let fontMatch;
-    
-    while ((fontMatch = fontInCssRegex.exec(cssContent)) !== null) {
-      fontFamilies.add(fontMatch[1].trim());
-    }
+  if (!fontInfo) {
+    throw new Error(`Font "${fontName}" not found in Google Fonts catalog - check spelling or try a different font`);
   }
   
-  // Find tspan elements with font-family attributes
-  const tspanRegex = /<tspan[^>]*font-family\s*=\s*["']([^"']+)["'][^>]*>/g;
-  while ((match = tspanRegex.exec(svgContent)) !== null) {
-    fontFamilies.add(match[1].trim());
-  }
+  console.log(`Found font "${fontName}" in Google Fonts catalog`);
   
-  // Find text elements with font-family attributes
-  const textRegex = /<text[^>]*font-family\s*=\s*["']([^"']+)["'][^>]*>/g;
-  while ((match = textRegex.exec(svgContent)) !== null) {
-    fontFamilies.add(match[1].trim());
+  if (!fontInfo.files || Object.keys(fontInfo.files).length === 0) {
+    throw new Error(`No files information available for ${fontName}`);
   }
   
-  // Look for @font-face rules which might reference Google Fonts
-  const fontFaceRegex = /@font-face\s*{[^}]*?font-family\s*:\s*['"]?([^'",;]+)['"]?[^}]*?}/g;
-  while ((match = fontFaceRegex.exec(svgContent)) !== null) {
-    fontFamilies.add(match[1].trim());
+  // Pick the closest variant Google offers for each wanted one
+  const offered = Object.keys(fontInfo.files).map(parseGoogleVariant);
+  const selected = new Map();
+  for (const variant of variants) {
+    const match = fontStyles.findNearestVariant(offered, variant);
+    if (match.weight !== variant.weight || match.style !== variant.style) {
+      console.log(`${fontName} has no ${fontStyles.variantSuffix(variant.weight, variant.style)} - using ${match.key}`);
+    }
+    selected.set(match.key, match);
   }
   
-  // Remove fallback fonts (keep only the primary font)
-  return Array.from(fontFamilies).map(font => {
-    // If the font contains commas, take the first part (primary font)
-    return font.split(',')[0].trim();
+  // Save under the catalog's spelling of the name, whatever case the SVG used
+  const familyName = fontInfo.family;
+  const baseDir = fontFiles.fontLayers(fontsDir).slice(-1)[0];
+  
+  return queueFamilyTask(baseDir, familyName, async () => {
+    if (signal) signal.throwIfAborted();
+    const installed = findLocalFontVariants(familyName, fontsDir);
+    const downloaded = [];
+    
+    // A tenant's own cut of the family hides the shared one, so downloading it would be wasted
+    if (installed.some(font => path.dirname(path.resolve(font.path)) !== path.resolve(baseDir))) {
+      console.log(`${familyName} is installed in a tenant's fonts, not downloading the shared copy`);
+      return downloaded;
+    }
+    const fontData = new Map(); // Variable fonts list the same URL for every weight
+    
+    for (const variant of selected.values()) {
+      const existing = installed.find(font => font.weight === variant.weight && font.style === variant.style && !font.weightRange);
+      
+      if (existing) {
+        console.log(`${existing.file} already exists, skipping`);
+        continue;
+      }
+      
+      // TTF, OTF, WOFF and WOFF2 are all accepted; web fonts are converted to TTF/OTF
+      const fontUrl = fontInfo.files[variant.key];
+      if (!fontData.has(fontUrl)) {
+        fontData.set(fontUrl, await fontCatalog.fetchFontFile(fontUrl, { signal }));
+      }
+      
+      const saved = await fontFiles.saveFontFile(fontData.get(fontUrl), baseDir, { family: familyName, ...variant });
+      console.log(`Saved ${saved.file}`);
+      downloaded.push(saved);
+    }
+    
+    // Update type.xml file for font mapping
+    if (downloaded.length > 0) {
+      await updateTypeXmlFile(familyName, baseDir);
+    }
+    
+    console.log(`Successfully downloaded ${downloaded.length} font file(s) for ${fontName}`);
+    return downloaded;
   });
 }
 
 /**
- * Check if a font exists in the local fonts directory
- * @param {string} fontName - Name of the font to check
- * @param {string} fontsDir - Path to the fonts directory
- * @returns {boolean} - Whether the font exists locally
+ * Find the Google Fonts variant a download would fetch for a wanted variant, without downloading it
+ * @param {string} fontName - Family name
+ * @param {{weight: number, style: string}} variant - Wanted variant
+ * @returns {Promise<{family: string, file: null, path: null, weight: number, style: string, remote: true}|null>} - null
+ *   for system fonts and families Google doesn't have (or when the catalog can't be loaded)
  */
-function fontExistsLocally(fontName, fontsDir) {
+async function findDownloadableVariant(fontName, variant) {
+  if (isSystemFont(fontName)) return null;
+
+  let fontInfo = null;
   try {
-    const files = fs.readdirSync(fontsDir);
-    
-    // Normalize font name for comparison (remove spaces, lowercase)
-    const normalizedFontName = fontName.toLowerCase().replace(/[^a-z0-9]/g, '');
-    
-    return files.some(file => {
-      // Remove extension and normalize for comparison
-      const fileName = path.basename(file, path.extname(file))
-                          .toLowerCase()
-                          .replace(/[^a-z0-9]/g, '');
-      
-      return fileName.includes(normalizedFontName);
-    });
+    fontInfo = await fontCatalog.findFamily(fontName);
   } catch (error) {
-    console.error(`Error checking if font exists locally: ${error.message}`);
-    return false;
+    console.error(`Could not look up "${fontName}" in the Google Fonts catalog: ${error.message}`);
   }
+  if (!fontInfo || !fontInfo.files || Object.keys(fontInfo.files).length === 0) return null;
+
+  const match = fontStyles.findNearestVariant(Object.keys(fontInfo.files).map(parseGoogleVariant), variant);
+  return { family: fontInfo.family, file: null, path: null, weight: match.weight, style: match.style, remote: true };
 }
 
 /**
- * Download a Google Font using Google Fonts API
- * @param {string} fontName - Name of the font to download
- * @param {string} fontsDir - Path to save the font
- * @returns {Promise<boolean>} - Whether the download was successful
+ * Escape a value for an XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string}
  */
-async function downloadGoogleFont(fontName, fontsDir) {
-  try {
-    console.log(`Attempting to download font: ${fontName}`);
-    
-    // Skip if it's a system font
-    const systemFonts = ['Arial', 'Helvetica', 'Times', 'Times New Roman', 'Courier', 'Courier New', 
-                          'Verdana', 'Georgia', 'Palatino', 'Garamond', 'Bookman', 'Tahoma', 'Trebuchet MS'];
-    if (systemFonts.includes(fontName)) {
-      console.log(`${fontName} is a system font, skipping download.`);
-      return false;
-    }
-    
-    // Get Google Fonts API key from environment variable
-    const apiKey = process.env.GOOGLE_FONTS_API_KEY;
-    if (!apiKey) {
-      throw new Error('Google Fonts API key not configured - set GOOGLE_FONTS_API_KEY environment variable');
-    }
-    
-    // Helper function for HTTP GET requests
-    function httpGet(url) {
-      return new Promise((resolve, reject) => {
-        https.get(url, (response) => {
-          if (response.statusCode !== 200) {
-            reject(new Error(`HTTP error: ${response.statusCode}`));
-            return;
-          }
-          
-          let data = '';
-          response.on('data', (chunk) => data += chunk);
-          response.on('end', () => {
-            try {
-              const jsonData = JSON.parse(data);
-              resolve(jsonData);
-            } catch (e) {
-              // If not JSON, return the raw data
-              resolve(data);
-            }
-          });
-        }).on('error', reject);
-      });
-    }
-    
-    // Helper function to check if a URL exists without downloading it
-    function httpHead(url) {
-      return new Promise((resolve, reject) => {
-        const options = { method: 'HEAD' };
-        
-        https.request(url, options, (response) => {
-          if (response.statusCode === 200) {
-            resolve(true);
-          } else {
-            reject(new Error(`HTTP error: ${response.statusCode}`));
-          }
-        }).on('error', reject).end();
-      });
-    }
-    
-    // Query the Google Fonts API for information about the font
-    const apiUrl = `https://www.googleapis.com/webfonts/v1/webfonts?key=${apiKey}`;
-    console.log('Fetching font information from Google Fonts API');
-    
-    const fontsData = await httpGet(apiUrl);
-    if (!fontsData.items || !Array.isArray(fontsData.items)) {
-      throw new Error('Invalid response from Google Fonts API');
-    }
-    
-    // Find the font in the API response
-    const fontInfo = fontsData.items.find(item => 
-      item.family.toLowerCase() === fontName.toLowerCase()
-    );
-    
-    if (!fontInfo) {
-      throw new Error(`Font "${fontName}" not found in Google Fonts catalog - check spelling or try a different font`);
-    }
-    
-    console.log(`Found font "${fontName}" in Google Fonts API`);
-    
-    // Check if TTF format is available
-    if (!fontInfo.files || !fontInfo.files.regular) {
-      throw new Error(`No files information available for ${fontName}`);
-    }
-    
-    // Get the TTF file URL - replace the ending with .ttf
-    // Note: Google Fonts API doesn't directly provide TTF URLs, so we need to transform
-    const fontUrl = fontInfo.files.regular;
-    const ttfUrl = fontUrl.replace(/\.woff2$|\.woff$/, '.ttf');
-    
-    console.log(`Checking if TTF format is available: ${ttfUrl}`);
-    
-    try {
-      // Verify the TTF URL actually exists
-      await httpHead(ttfUrl);
-      console.log(`TTF format available for ${fontName}`);
-    } catch (error) {
-      throw new Error(`TTF format not available for "${fontName}" - Google Fonts may only provide WOFF/WOFF2 for this font`);
-    }
-    
-    // Create fonts directory if it doesn't exist
-    if (!fs.existsSync(fontsDir)) {
-      fs.mkdirSync(fontsDir, { recursive: true });
-    }
-    
-    console.log(`Downloading TTF font: ${ttfUrl}`);
-    
-    // Generate filename for the TTF font
-    const normalizedName = fontName.replace(/\s+/g, '');
-    const fileName = `${normalizedName}-Regular.ttf`;
-    const filePath = path.join(fontsDir, fileName);
-    
-    try {
-      // Download the TTF font
-      await new Promise((resolve, reject) => {
-        https.get(ttfUrl, (response) => {
-          if (response.statusCode !== 200) {
-            reject(new Error(`Failed to download font: ${response.statusCode}`));
-            return;
-          }
-          
-          const fileStream = fs.createWriteStream(filePath);
-          response.pipe(fileStream);
-          
-          fileStream.on('finish', () => {
-            fileStream.close();
-            console.log(`Downloaded ${fileName}`);
-            resolve();
-          });
-          
-          fileStream.on('error', (err) => {
-            fs.unlink(filePath, () => {});
-            reject(err);
-          });
-        }).on('error', (err) => reject(err));
-      });
-      
-      // Update type.xml file for font mapping
-      await updateTypeXmlFile(fontName, fontsDir);
-      
-      console.log(`Successfully downloaded TTF font: ${fontName}`);
-      return true;
-    } catch (error) {
-      console.error(`Error downloading TTF font: ${error.message}`);
-      return false;
-    }
-  } catch (error) {
-    console.error(`Error downloading Google Font ${fontName}: ${error.message}`);
-    return false;
-  }
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 /**
- * Updates the type.xml file with the new font mapping
+ * Updates the type.xml file with the new font mapping. The read-modify-write is synchronous, so
+ * updates from concurrent requests can't interleave, and the file is replaced atomically.
  * @param {string} fontName - Name of the font
  * @param {string} fontsDir - Path to the fonts directory
  * @returns {Promise<void>}
@@ -270,31 +239,24 @@ async function updateTypeXmlFile(fontName, fontsDir) {
       xmlContent = fs.readFileSync(typeXmlPath, 'utf8');
     }
     
-    // Get all TTF files for this font
-    const fontFiles = fs.readdirSync(fontsDir)
-      .filter(file => {
-        const normalizedName = fontName.replace(/\s+/g, '').toLowerCase();
-        return file.toLowerCase().startsWith(normalizedName) && 
-               file.toLowerCase().endsWith('.ttf');
-      });
-    
-    if (fontFiles.length === 0) {
-      console.warn(`No TTF font files found for ${fontName}, cannot update type.xml`);
-      return;
-    }
-    
-    console.log(`Found ${fontFiles.length} TTF font files for ${fontName}, updating type.xml mappings`);
+    // Get all font files for this font, with their weight and style
+    const familyFonts = findLocalFontVariants(fontName, fontsDir);
     
-    // Get the closing typemap tag position
-    const closingTagPos = xmlContent.lastIndexOf('</typemap>');
+    // With no files left (the font was deleted) the old entries are just removed
+    console.log(`Found ${familyFonts.length} font files for ${fontName}, updating type.xml mappings`);
     
-    if (closingTagPos === -1) {
+    if (!xmlContent.includes('</typemap>')) {
       console.error('Invalid type.xml format');
       return;
     }
     
+    // Map the family under the name its fonts declare ("Open Sans", not "opensans")
+    const familyName = familyFonts.length > 0 ? familyFonts[0].family : fontName;
+    
     // Remove any existing entries for this font to avoid duplicates
-    const entryPattern = new RegExp(`<type[^>]*family\\s*=\\s*["']${fontName}["'][^>]*>`, 'gi');
+    const escapedNames = [...new Set([fontName, familyName].map(escapeXml))]
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const entryPattern = new RegExp(`<type[^>]*family\\s*=\\s*["'](?:${escapedNames.join('|')})["'][^>]*>`, 'gi');
     let matches;
     let entriesToRemove = [];
     
@@ -315,77 +277,38 @@ async function updateTypeXmlFile(fontName, fontsDir) {
     // Add new entries
     let newEntries = '';
     
-    for (const fontFile of fontFiles) {
-      // Extract font properties from filename
-      const filenameLower = fontFile.toLowerCase();
-      const isItalic = filenameLower.includes('-italic') || filenameLower.includes('-bolditalic');
-      const isBold = filenameLower.includes('-bold') || filenameLower.includes('-bolditalic');
-      const isSemiBold = filenameLower.includes('-semibold');
-      const isLight = filenameLower.includes('-light');
-      const isMedium = filenameLower.includes('-medium');
-      const isRegular = filenameLower.includes('-regular');
-      const isExtraBold = filenameLower.includes('-extrabold');
-      
-      // Determine weight based on file name
-      let weight = '400'; // Regular
-      if (isBold) weight = '700';
-      if (isSemiBold) weight = '600';
-      if (isMedium) weight = '500';
-      if (isLight) weight = '300';
-      if (isExtraBold) weight = '800';
-      
-      // Determine the style
-      const style = isItalic ? 'Italic' : 'Normal';
+    for (const font of familyFonts) {
+      // "Bold Italic", "SemiBold", "Regular", ... from the font's subfamily name
+      const variantName = font.weightRange
+        ? `Variable${font.style === 'italic' ? ' Italic' : ''}`
+        : font.subfamily || fontStyles.variantSuffix(font.weight, font.style).replace(/([a-z])([A-Z])/g, '$1 $2');
+      const style = font.style === 'italic' ? 'Italic' : 'Normal';
+      const isRegular = font.weight === 400 && font.style === 'normal' && !font.weightRange;
       
-      // Create a full name based on weight and style
-      let fullname = fontName;
-      if (isBold && isItalic) fullname += ' Bold Italic';
-      else if (isBold) fullname += ' Bold';
-      else if (isSemiBold && isItalic) fullname += ' SemiBold Italic';
-      else if (isSemiBold) fullname += ' SemiBold';
-      else if (isMedium && isItalic) fullname += ' Medium Italic';
-      else if (isMedium) fullname += ' Medium';
-      else if (isLight && isItalic) fullname += ' Light Italic';
-      else if (isLight) fullname += ' Light';
-      else if (isItalic) fullname += ' Italic';
-      else if (isRegular) fullname += ' Regular';
-      else if (isExtraBold && isItalic) fullname += ' ExtraBold Italic';
-      else if (isExtraBold) fullname += ' ExtraBold';
-      else fullname += ' Regular'; // Default to Regular if no specific style found
-      
-      // Determine the name to use in the type field
-      let typeName = fontName;
-      if (isBold && isItalic) typeName += ' Bold Italic';
-      else if (isBold) typeName += ' Bold';
-      else if (isSemiBold && isItalic) typeName += ' SemiBold Italic';
-      else if (isSemiBold) typeName += ' SemiBold';
-      else if (isMedium && isItalic) typeName += ' Medium Italic';
-      else if (isMedium) typeName += ' Medium';
-      else if (isLight && isItalic) typeName += ' Light Italic';
-      else if (isLight) typeName += ' Light';
-      else if (isItalic) typeName += ' Italic';
-      else if (!isRegular && !fontFile.includes('-')) {
-        // For files without a variant suffix, use the base name + Regular
-        typeName += ' Regular';
-      }
+      // The regular face is also mapped under the bare family name for better matching
+      const typeName = isRegular ? familyName : `${familyName} ${variantName}`;
+      const fullname = font.weightRange || !font.fullName ? `${familyName} ${variantName}` : font.fullName;
       
       // Create a type entry with absolute path
-      const fontPath = path.resolve(fontsDir, fontFile).replace(/\\/g, '/');
-      const entry = `  <type name="${typeName}" fullname="${fullname}" family="${fontName}" style="${style}" stretch="Normal" weight="${weight}" glyphs="${fontPath}" />\n`;
+      const fontPath = path.resolve(fontsDir, font.file).replace(/\\/g, '/');
+      const entry = `  <type name="${escapeXml(typeName)}" fullname="${escapeXml(fullname)}" family="${escapeXml(familyName)}" style="${style}" stretch="Normal" weight="${font.weight}" glyphs="${escapeXml(fontPath)}" />\n`;
       
       console.log(`Adding mapping: ${typeName} -> ${fontPath}`);
       
       newEntries += entry;
     }
     
-    // Also add a simple entry for just the font name without style for better matching
-    const defaultFontFile = fontFiles.find(file => file.toLowerCase().includes('-regular')) || fontFiles[0];
-    const defaultFontPath = path.resolve(fontsDir, defaultFontFile).replace(/\\/g, '/');
-    const defaultEntry = `  <type name="${fontName}" fullname="${fontName} Regular" family="${fontName}" style="Normal" stretch="Normal" weight="400" glyphs="${defaultFontPath}" />\n`;
-    
-    newEntries += defaultEntry;
+    // Without a regular face, map the bare family name to the closest one
+    if (familyFonts.length > 0 && !familyFonts.some(font => font.weight === 400 && font.style === 'normal' && !font.weightRange)) {
+      const defaultFont = fontStyles.findNearestVariant(familyFonts, { weight: 400, style: 'normal' });
+      const defaultFontPath = path.resolve(fontsDir, defaultFont.file).replace(/\\/g, '/');
+      const style = defaultFont.style === 'italic' ? 'Italic' : 'Normal';
+      const name = escapeXml(familyName);
+      newEntries += `  <type name="${name}" fullname="${name}" family="${name}" style="${style}" stretch="Normal" weight="${defaultFont.weight}" glyphs="${escapeXml(defaultFontPath)}" />\n`;
+    }
     
-    // Construct the updated XML content
+    // Construct the updated XML content (after the removals above have shifted the closing tag)
+    const closingTagPos = xmlContent.lastIndexOf('</typemap>');
     let updatedXmlContent = xmlContent.substring(0, closingTagPos).trim();
     if (!updatedXmlContent.endsWith('\n')) {
       updatedXmlContent += '\n';
@@ -393,28 +316,51 @@ async function updateTypeXmlFile(fontName, fontsDir) {
     updatedXmlContent += newEntries;
     updatedXmlContent += xmlContent.substring(closingTagPos);
     
-    // Write the updated XML back to the file
-    fs.writeFileSync(typeXmlPath, updatedXmlContent);
-    console.log(`Updated ${typeXmlPath} with ${fontName} mappings (${fontFiles.length} variants)`);
+    // Write the updated XML back through a temporary file, so renderers never read half of it
+    fontFiles.writeFileAtomic(typeXmlPath, updatedXmlContent);
+    console.log(`Updated ${typeXmlPath} with ${familyName} mappings (${familyFonts.length} variants)`);
   } catch (error) {
     console.error(`Error updating type.xml: ${error.message}`);
   }
 }
 
 /**
- * Ensure all fonts from the SVG are available with detailed status reporting
+ * Ensure the fonts used by the SVG are available with detailed status reporting. Each text
+ * run's font-family list is tried in order, locally then on Google Fonts, stopping at the
+ * first family that can be obtained; after that come the substitution map entries for the
+ * listed families, then the configured default for the list's generic family. The characters
+ * each run sets are then checked against the chosen font's cmap, and the ones it has no glyph
+ * for are given to the next font of the chain that has them.
  * @param {string} svgPath - Path to the SVG file
- * @param {string} fontsDir - Path to the fonts directory
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
  * @param {Function} statusCallback - Callback function to report status updates
- * @returns {Promise<Object>} - Font processing results
+ * @param {Object} [options]
+ * @param {boolean} [options.download] - Download missing fonts; when false (preflight) fonts Google Fonts
+ *   has are reported with the download status and no file, and their glyph coverage isn't checked
+ * @param {AbortSignal} [options.signal] - Stops the downloads when aborted; the call then rejects with the signal's reason
+ * @returns {Promise<Object>} - Font processing results. The fonts* lists hold primary family names;
+ *   `variants` lists each (font-family list, weight, style) with its status and the family and
+ *   file used for it. Statuses: local, downloaded or download (as designed, the last one not yet
+ *   fetched), substituted (nearest weight),
+ *   fallback (a later family in the list), replaced (substitution map), generic (generic family
+ *   default), system (a SYSTEM_FONTS family without a local file, or a generic family, left to the
+ *   renderer) or missing; each also lists its
+ *   unsupportedCharacters, the glyphFallbacks ({family, file, characters}) used for them and the
+ *   missingCharacters no font could draw. `resolutions` maps each fontStyles.fontRunKey to the
+ *   families used (glyph fallbacks after the main one); `report` summarises what won't render as designed
  */
-async function ensureFontsAvailable(svgPath, fontsDir, statusCallback = null) {
+async function ensureFontsAvailable(svgPath, fontsDir, statusCallback = null, { download = true, signal = null } = {}) {
   const results = {
     fontsDetected: [],
     fontsFoundLocally: [],
     fontsDownloaded: [],
+    fontsToDownload: [],
     fontsFailed: [],
-    errors: []
+    fontsReplaced: [],
+    resolutions: {},
+    variants: [],
+    errors: [],
+    report: { substituted: [], missing: [], glyphs: [] }
   };
 
   try {
@@ -423,75 +369,389 @@ async function ensureFontsAvailable(svgPath, fontsDir, statusCallback = null) {
     // Read SVG content
     const svgContent = fs.readFileSync(svgPath, 'utf8');
     
-    // Extract font families
-    const fontFamilies = extractFontsFromSVG(svgContent);
+    // Extract the (font-family list, weight, style) variants used by text runs
+    const fontVariants = extractFontVariantsFromSVG(svgContent);
+    const fontFamilies = [...new Set(fontVariants.map(variant => variant.family).filter(family => !fontStyles.isGenericFamily(family)))];
     results.fontsDetected = fontFamilies;
     
-    if (fontFamilies.length === 0) {
+    if (fontVariants.length === 0) {
       if (statusCallback) statusCallback('No custom fonts detected in SVG - using system defaults');
       console.log('No fonts detected in SVG');
       return results;
     }
     
-    if (statusCallback) statusCallback(`Found ${fontFamilies.length} font(s): ${fontFamilies.join(', ')}`);
-    console.log(`Detected fonts in SVG: ${fontFamilies.join(', ')}`);
+    const variantList = fontVariants.map(fontStyles.describeVariant).join(', ');
+    if (statusCallback) statusCallback(`Found ${fontFamilies.length} font(s) in ${fontVariants.length} variant(s): ${variantList}`);
+    console.log(`Detected font variants in SVG: ${variantList}`);
     
-    // Check and download missing fonts
-    for (const fontName of fontFamilies) {
-      if (fontExistsLocally(fontName, fontsDir)) {
-        if (statusCallback) statusCallback(`✅ "${fontName}" found locally`);
-        console.log(`Font "${fontName}" already exists locally`);
-        results.fontsFoundLocally.push(fontName);
-      } else {
-        if (statusCallback) statusCallback(`⬬ "${fontName}" not found locally - downloading from Google Fonts...`);
-        console.log(`Font "${fontName}" not found locally, attempting to download...`);
+    const localBefore = new Set(fontFiles.listFontFiles(fontsDir).map(font => font.path));
+    const isExact = (font, variant) => font.style === variant.style && (font.weightRange
+      ? font.weightRange[0] <= variant.weight && variant.weight <= font.weightRange[1]
+      : font.weight === variant.weight);
+    
+    // Families Google Fonts couldn't provide, so later lists don't ask again
+    const unavailableRemotely = new Set();
+    
+    // Get a family for a variant: local files first, then Google Fonts when the weight is missing
+    const obtain = async (family, variant) => {
+      let available = findLocalFontVariants(family, fontsDir);
+      const nearest = fontStyles.findNearestVariant(available, variant);
+      if ((nearest && isExact(nearest, variant)) || unavailableRemotely.has(family.toLowerCase())) {
+        return nearest;
+      }
+      
+      // System fonts are never downloaded: without a local file the renderer's system provides them
+      if (isSystemFont(family)) {
+        return nearest || { family, file: null, path: null, weight: variant.weight, style: variant.style, system: true };
+      }
+      
+      // Preflight: what the download would fetch, keeping a local file of the family when Google lacks it
+      if (!download) {
+        const remote = await findDownloadableVariant(family, variant);
+        if (!remote && available.length === 0) unavailableRemotely.add(family.toLowerCase());
+        return remote && (!nearest || isExact(remote, variant)) ? remote : nearest;
+      }
+      
+      const wanted = available.length > 0 ? `"${family}" ${fontStyles.variantSuffix(variant.weight, variant.style)}` : `"${family}"`;
+      if (statusCallback) statusCallback(`⬬ ${wanted} not found locally - downloading from Google Fonts...`);
+      console.log(`Font ${wanted} not found locally, attempting to download...`);
+      
+      try {
+        const downloaded = await downloadGoogleFont(family, fontsDir, [variant], { signal });
+        if (downloaded.length > 0) {
+          if (statusCallback) statusCallback(`✅ Downloaded ${downloaded.map(font => font.file).join(', ')} from Google Fonts`);
+        } else if (available.length === 0) {
+          unavailableRemotely.add(family.toLowerCase());
+        }
+        available = findLocalFontVariants(family, fontsDir);
+      } catch (error) {
+        if (signal && signal.aborted) throw signal.reason;
+        unavailableRemotely.add(family.toLowerCase());
+        const errorMsg = `Download failed for "${family}": ${error.message}`;
+        if (statusCallback) statusCallback(`❌ ${errorMsg}`);
+        console.error(errorMsg);
+        results.errors.push(errorMsg);
+      }
+      
+      return fontStyles.findNearestVariant(available, variant);
+    };
+    
+    // Resolve each font-family list in order, stopping at the first family that can be used
+    for (const variant of fontVariants) {
+      const genericIndex = variant.families.findIndex(fontStyles.isGenericFamily);
+      const named = genericIndex === -1 ? variant.families : variant.families.slice(0, genericIndex);
+      const described = fontStyles.describeVariant(variant);
+      let font = null;
+      let status = 'missing';
+      
+      for (const [index, family] of named.entries()) {
+        font = await obtain(family, variant);
+        if (font) {
+          status = index > 0 ? 'fallback' : !isExact(font, variant) ? 'substituted' : font.system ? 'system' :
+            font.remote ? 'download' : localBefore.has(font.path) ? 'local' : 'downloaded';
+          break;
+        }
+      }
+      
+      for (const family of font ? [] : named) {
+        const substitute = fontSubstitution.findFamilySubstitute(family);
+        font = substitute && await obtain(substitute, variant);
+        if (font) {
+          status = 'replaced';
+          break;
+        }
+      }
+      
+      if (!font) {
+        const genericDefault = fontSubstitution.findGenericDefault(variant.generic);
+        font = genericDefault && await obtain(genericDefault, variant);
+        if (font) {
+          // A list that only names a generic family gets exactly what it asked for
+          status = named.length > 0 ? 'generic' : font.system ? 'system' :
+            font.remote ? 'download' : localBefore.has(font.path) ? 'local' : 'downloaded';
+        } else if (named.length === 0) {
+          status = 'system';
+        }
+      }
+      
+      const usedFamily = font ? font.family : null;
+      
+      // Glyph coverage: characters the font has no glyph for go to the next font of the chain that has them
+      let unsupportedCharacters = [];
+      let missingCharacters = [];
+      const glyphFallbacks = [];
+      if (font && font.path && variant.text) {
+        unsupportedCharacters = fontFiles.findUnsupportedCharacters(font.path, variant.text);
+        missingCharacters = unsupportedCharacters;
         
-        try {
-          const success = await downloadGoogleFont(fontName, fontsDir);
+        const usedIndex = named.findIndex(family => family.toLowerCase() === usedFamily.toLowerCase());
+        const candidates = fontSubstitution.GLYPH_FALLBACK ? [
+          ...(usedIndex === -1 ? [] : named.slice(usedIndex + 1)),
+          ...named.map(fontSubstitution.findFamilySubstitute),
+          fontSubstitution.findGenericDefault(variant.generic)
+        ] : [];
+        const tried = new Set([usedFamily.toLowerCase()]);
+        for (const family of candidates) {
+          if (missingCharacters.length === 0) break;
+          if (!family || tried.has(family.toLowerCase())) continue;
+          tried.add(family.toLowerCase());
           
-          if (success) {
-            if (statusCallback) statusCallback(`✅ Successfully downloaded "${fontName}" from Google Fonts`);
-            console.log(`Successfully downloaded font: ${fontName}`);
-            results.fontsDownloaded.push(fontName);
-          } else {
-            if (statusCallback) statusCallback(`❌ Failed to download "${fontName}" - will use system fallback`);
-            console.log(`Could not download font: ${fontName}. Will use fallback fonts.`);
-            results.fontsFailed.push(fontName);
+          const fallback = await obtain(family, variant);
+          if (!fallback || !fallback.path) continue;
+          const lacking = fontFiles.findUnsupportedCharacters(fallback.path, missingCharacters.join(''));
+          const covered = missingCharacters.filter(character => !lacking.includes(character));
+          if (covered.length > 0) {
+            glyphFallbacks.push({ family: fallback.family, file: fallback.file, characters: covered.join('') });
+            missingCharacters = lacking;
           }
-        } catch (error) {
-          const errorMsg = `Download failed for "${fontName}": ${error.message}`;
-          if (statusCallback) statusCallback(`❌ ${errorMsg}`);
-          console.error(errorMsg);
-          results.fontsFailed.push(fontName);
-          results.errors.push(errorMsg);
         }
       }
+      
+      results.variants.push({
+        ...variant,
+        status,
+        usedFamily,
+        file: font ? font.file : null,
+        unsupportedCharacters,
+        glyphFallbacks,
+        missingCharacters
+      });
+      if (font) {
+        results.resolutions[fontStyles.fontRunKey(variant)] = [usedFamily, ...glyphFallbacks.map(fallback => fallback.family)];
+      }
+      
+      if (!statusCallback) continue;
+      if (status === 'local') {
+        statusCallback(`✅ ${described} found locally`);
+      } else if (status === 'download') {
+        statusCallback(`⬇️ ${described} will be downloaded from Google Fonts`);
+      } else if (status === 'substituted') {
+        statusCallback(`⚠️ No ${described} - using ${font.file || fontStyles.describeVariant(font)}`);
+      } else if (status === 'fallback') {
+        statusCallback(`↪️ "${variant.family}" is not available - using "${usedFamily}" from the font-family list`);
+      } else if (status === 'replaced') {
+        statusCallback(`🔁 "${variant.family}" is not available - using "${usedFamily}" (substitution map)`);
+      } else if (status === 'generic') {
+        statusCallback(`🔁 "${variant.family}" is not available - using "${usedFamily}" (${variant.generic || fontSubstitution.DEFAULT_GENERIC} default)`);
+      } else if (status === 'system' && font) {
+        statusCallback(`🖥️ ${described} is a system font - left to the renderer`);
+      } else if (status === 'missing') {
+        statusCallback(`❌ Failed to obtain "${variant.family}" - will use system fallback`);
+      }
+      for (const fallback of glyphFallbacks) {
+        statusCallback(`🔤 ${font.file} has no glyph for ${fallback.characters} - using "${fallback.family}" for ${fallback.characters.length > 1 ? 'them' : 'it'}`);
+      }
+      if (missingCharacters.length > 0) {
+        statusCallback(`⚠️ No available font has a glyph for ${missingCharacters.join('')} (${described})`);
+      }
+    }
+    
+    // Family summaries, by primary family
+    const primaryStatuses = (family) => results.variants.filter(variant => variant.family === family).map(variant => variant.status);
+    for (const family of fontFamilies) {
+      const statuses = primaryStatuses(family);
+      if (statuses.includes('missing')) {
+        console.log(`Could not obtain font: ${family}. Will use fallback fonts.`);
+        results.fontsFailed.push(family);
+      } else if (statuses.some(status => ['fallback', 'replaced', 'generic'].includes(status))) {
+        results.fontsReplaced.push(family);
+      } else if (statuses.includes('downloaded')) {
+        results.fontsDownloaded.push(family);
+      } else if (statuses.includes('download')) {
+        results.fontsToDownload.push(family);
+      } else {
+        results.fontsFoundLocally.push(family);
+      }
     }
     
     // Summary status
-    const totalFonts = fontFamilies.length;
-    const availableFonts = results.fontsFoundLocally.length + results.fontsDownloaded.length;
+    const asDesigned = results.variants.filter(variant => ['local', 'downloaded', 'download', 'system'].includes(variant.status)).length;
     
-    if (availableFonts === totalFonts) {
-      if (statusCallback) statusCallback(`🎉 All ${totalFonts} font(s) are available for conversion`);
+    if (asDesigned === results.variants.length) {
+      if (statusCallback) statusCallback(`🎉 All ${results.variants.length} font variant(s) are available for conversion`);
     } else {
-      if (statusCallback) statusCallback(`⚠️ ${availableFonts}/${totalFonts} fonts available - ${results.fontsFailed.length} will use fallbacks`);
+      if (statusCallback) statusCallback(`⚠️ ${asDesigned}/${results.variants.length} font variants available as designed - the rest use the fallbacks listed above`);
     }
     
   } catch (error) {
+    if (signal && signal.aborted) throw signal.reason;
     const errorMsg = `Error ensuring fonts available: ${error.message}`;
     if (statusCallback) statusCallback(`❌ ${errorMsg}`);
     console.error(errorMsg);
     results.errors.push(errorMsg);
   }
   
+  results.report = fontSubstitution.buildFontReport(results.variants);
   return results;
 }
 
+/**
+ * List the installed fonts grouped by family, for the font management API
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
+ * @returns {{family: string, variants: Object[]}[]} - Families in name order; each variant has its file,
+ *   subfamily, weight, style, weightRange (variable fonts), source (google, upload or local), size in bytes
+ *   and whether it is shared (from the base layer under a tenant's fonts, so the tenant can't delete it)
+ */
+function listInstalledFonts(fontsDir) {
+  const families = new Map();
+  const [topLayer] = fontFiles.fontLayers(fontsDir);
+
+  for (const font of fontFiles.listFontFiles(fontsDir)) {
+    // A name with no letters or digits groups only with itself
+    const key = fontStyles.normalizeFamily(font.family) || font.family;
+    if (!families.has(key)) {
+      families.set(key, { family: font.family, variants: [] });
+    }
+
+    families.get(key).variants.push({
+      file: font.file,
+      subfamily: font.subfamily,
+      weight: font.weight,
+      style: font.style,
+      weightRange: font.weightRange,
+      source: font.source,
+      size: fs.statSync(font.path).size,
+      shared: font.dir !== topLayer
+    });
+  }
+
+  return [...families.values()]
+    .map(entry => ({
+      ...entry,
+      variants: entry.variants.sort((a, b) => a.weight - b.weight || a.style.localeCompare(b.style))
+    }))
+    .sort((a, b) => a.family.localeCompare(b.family));
+}
+
+/**
+ * Install uploaded font files. The family, weight and style come from the request when given,
+ * otherwise from the font's own name and OS/2 tables (or its file name if those can't be read).
+ * @param {{buffer: Buffer, originalName: string}[]} uploads - Uploaded font data with the client's file names
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first) - files go in the highest
+ * @param {{family?: string, weight?: number, style?: string}} overrides - Variant details from the request
+ * @returns {Promise<{file: string, family: string, weight: number, style: string}[]>} - Installed files
+ */
+async function installFontFiles(uploads, fontsDir, overrides = {}) {
+  const [dir] = fontFiles.fontLayers(fontsDir);
+  const installed = [];
+
+  for (const upload of uploads) {
+    let declared;
+    try {
+      declared = fontFiles.readFontInfo((await fontFiles.toSfnt(upload.buffer)).buffer);
+    } catch (error) {
+      console.warn(`Could not read font metadata from ${upload.originalName} (${error.message}) - using its file name`);
+      declared = fontStyles.parseFontFileName(upload.originalName);
+    }
+    const variant = { family: declared.family, weight: declared.weight, style: declared.style, ...overrides };
+    // File names can hold anything; the family ends up in type.xml and the saved file name
+    variant.family = variant.family.replace(/[^\p{L}\p{N} ._-]/gu, '').trim() || 'Uploaded Font';
+    const saved = await queueFamilyTask(dir, variant.family, () =>
+      fontFiles.saveFontFile(upload.buffer, dir, variant, { source: 'upload', instance: false, checksums: false }));
+    console.log(`Installed uploaded font ${upload.originalName} as ${saved.file}`);
+    installed.push({ ...saved, family: variant.family });
+  }
+
+  for (const family of new Set(installed.map(font => font.family))) {
+    await updateTypeXmlFile(family, dir);
+  }
+
+  return installed;
+}
+
+/**
+ * Delete an installed font family, or one of its files
+ * @param {string} fontName - Family name
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first) - only the highest layer's files are deleted
+ * @param {string|null} file - Only delete this file (default: every file of the family)
+ * @returns {Promise<string[]>} - Deleted file names (empty when nothing matched)
+ */
+async function deleteFont(fontName, fontsDir, file = null) {
+  const [dir] = fontFiles.fontLayers(fontsDir);
+  return queueFamilyTask(dir, fontName, async () => {
+    const targets = findLocalFontVariants(fontName, dir)
+      .map(font => font.file)
+      .filter(name => !file || name === file);
+
+    for (const name of targets) {
+      fontFiles.deleteFontFile(dir, name);
+      console.log(`Deleted font file ${name}`);
+    }
+
+    if (targets.length > 0) {
+      await updateTypeXmlFile(fontName, dir);
+    }
+    return targets;
+  });
+}
+
+/**
+ * Download a Google Fonts family ahead of any conversion
+ * @param {string} fontName - Family name (matched case-insensitively against the catalog)
+ * @param {string|string[]} fontsDir - Path to the fonts directory, or a font store's layers (highest first)
+ * @param {string[]|null} variantKeys - Google variant keys ("regular", "700italic"); default every variant offered
+ * @returns {Promise<{family: string, downloaded: Object[]}>} - Catalog family name and the files downloaded
+ */
+async function prefetchGoogleFont(fontName, fontsDir, variantKeys = null) {
+  const fontInfo = await fontCatalog.findFamily(fontName);
+  if (!fontInfo) {
+    throw new Error(`Font "${fontName}" not found in Google Fonts catalog - check spelling or try a different font`);
+  }
+
+  const offered = Object.keys(fontInfo.files || {});
+  const unknown = (variantKeys || []).filter(key => !offered.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${fontInfo.family} has no ${unknown.join(', ')} variant - Google offers ${offered.join(', ')}`);
+  }
+
+  const variants = (variantKeys || offered).map(parseGoogleVariant);
+  const downloaded = await downloadGoogleFont(fontInfo.family, fontsDir, variants);
+  return { family: fontInfo.family, downloaded };
+}
+
+/**
+ * Report the state of the fonts directory for health checks
+ * @param {string} fontsDir - Path to the fonts directory
+ * @returns {Object} - Directory status (exists, writable, font file count, type.xml presence)
+ */
+function getFontDirectoryStatus(fontsDir) {
+  const status = {
+    directory: fontsDir,
+    exists: fs.existsSync(fontsDir),
+    writable: false,
+    fontFiles: 0,
+    typeXml: fs.existsSync(path.join(fontsDir, 'type.xml'))
+  };
+
+  if (!status.exists) return status;
+
+  try {
+    fs.accessSync(fontsDir, fs.constants.W_OK);
+    status.writable = true;
+  } catch (error) {
+    // Read-only fonts directory - downloads will fail
+  }
+
+  try {
+    status.fontFiles = fs.readdirSync(fontsDir).filter(file => /\.(ttf|otf)$/i.test(file)).length;
+  } catch (error) {
+    console.error(`Error reading fonts directory: ${error.message}`);
+  }
+
+  return status;
+}
+
 module.exports = {
   extractFontsFromSVG,
+  extractFontVariantsFromSVG,
   fontExistsLocally,
+  findLocalFontVariants,
   downloadGoogleFont,
   ensureFontsAvailable,
-  updateTypeXmlFile
+  updateTypeXmlFile,
+  listInstalledFonts,
+  installFontFiles,
+  deleteFont,
+  prefetchGoogleFont,
+  getFontDirectoryStatus
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Font stores: the shared base fonts directory, plus an isolated directory per tenant (a customer
+ * or project) layered on top of it. A tenant's conversions see its own fonts first, then the base
+ * fonts, and never another tenant's. Tenant directories live outside the base directory so font
+ * lookups that scan it recursively can't reach them.
+ *
+ * A request's tenant is the one its X-Tenant-Token header authenticates, per FONT_TENANT_TOKENS; it is
+ * never read from anything else the client sends. The shared fonts are read-only except to requests
+ * carrying FONT_ADMIN_TOKEN in X-Font-Admin-Token.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { AuthenticationError } = require('./errors');
+
+// Where tenant font directories are kept, one per tenant identifier
+const TENANTS_DIR = path.resolve(process.env.FONT_TENANTS_DIR || path.join(__dirname, 'tenant-fonts'));
+
+// Tenant identifiers become directory names
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Shortest tenant token accepted in the configuration
+const MIN_TOKEN_LENGTH = 16;
+
+// Tenants by token hash, from FONT_TENANT_TOKENS
+const TENANT_TOKENS = parseTenantTokens(process.env.FONT_TENANT_TOKENS);
+
+// Token that may change the shared fonts; without one they are read-only
+const ADMIN_TOKEN = parseAdminToken(process.env.FONT_ADMIN_TOKEN);
+const SHARED_FONTS_WRITABLE = ADMIN_TOKEN !== null;
+
+/**
+ * Hash a tenant token, so tokens are only compared and kept as hashes
+ * @param {string} token - Token
+ * @returns {string} - SHA-256, hex
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse the tenant token configuration
+ * @param {string} value - Comma-separated tenant:token pairs (a tenant may have several tokens)
+ * @returns {Map<string, string>} - Tenant identifier (lower-case) by token hash
+ * @throws {Error} - When a pair is malformed, a token is too short or two tenants share a token
+ */
+function parseTenantTokens(value = '') {
+  const tokens = new Map();
+  const pairs = String(value || '').split(',').map(pair => pair.trim()).filter(Boolean);
+
+  pairs.forEach((pair, index) => {
+    const separator = pair.indexOf(':');
+    const tenant = pair.slice(0, separator).trim().toLowerCase();
+    const token = pair.slice(separator + 1).trim();
+    if (separator === -1 || !TENANT_PATTERN.test(tenant) || token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`FONT_TENANT_TOKENS entry ${index + 1} is invalid - use tenant:token, with a tenant of up to 64 ` +
+        `letters, digits, "-" and "_" and a token of at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+
+    const hash = hashToken(token);
+    if (tokens.has(hash) && tokens.get(hash) !== tenant) {
+      throw new Error(`FONT_TENANT_TOKENS gives ${tokens.get(hash)} and ${tenant} the same token`);
+    }
+    tokens.set(hash, tenant);
+  });
+
+  return tokens;
+}
+
+/**
+ * Parse the admin token configuration
+ * @param {string} value - FONT_ADMIN_TOKEN
+ * @returns {string|null} - The token, or null when none is configured
+ * @throws {Error} - When the token is too short
+ */
+function parseAdminToken(value = '') {
+  const token = String(value || '').trim();
+  if (token === '') return null;
+  if (token.length < MIN_TOKEN_LENGTH) {
+    throw new Error(`FONT_ADMIN_TOKEN must be at least ${MIN_TOKEN_LENGTH} characters`);
+  }
+  return token;
+}
+
+/**
+ * Check whether a request may change the shared fonts
+ * @param {string|undefined} token - X-Font-Admin-Token header value
+ * @param {string|null} adminToken - parseAdminToken() result (default: FONT_ADMIN_TOKEN)
+ * @returns {boolean} - True only when an admin token is configured and the token matches it
+ */
+function isAdminToken(token, adminToken = ADMIN_TOKEN) {
+  if (!adminToken || token === undefined || token === null) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(String(token).trim()), 'hex'), Buffer.from(hashToken(adminToken), 'hex'));
+}
+
+/**
+ * Find the tenant a request's token authenticates
+ * @param {string|undefined} token - X-Tenant-Token header value
+ * @param {Map<string, string>} tokens - parseTenantTokens() result (default: FONT_TENANT_TOKENS)
+ * @returns {string|null} - Tenant identifier, or null when no token was sent (the shared fonts)
+ * @throws {AuthenticationError} - When the token isn't a configured one
+ */
+function authenticateTenant(token, tokens = TENANT_TOKENS) {
+  if (token === undefined || token === null || String(token).trim() === '') return null;
+
+  const tenant = tokens.get(hashToken(String(token).trim()));
+  if (!tenant) {
+    throw new AuthenticationError('Unknown tenant token');
+  }
+  return tenant;
+}
+
+/**
+ * Get the font store for a tenant
+ * @param {string} baseDir - Shared base fonts directory
+ * @param {string|null} tenant - Tenant identifier from authenticateTenant(), or null for the base store
+ * @returns {{tenant: string|null, dir: string, baseDir: string, layers: string[]}} - dir receives uploads
+ *   and deletions; layers are the directories fonts are looked up in, highest first
+ */
+function getFontStore(baseDir, tenant = null) {
+  if (!tenant) {
+    return { tenant: null, dir: baseDir, baseDir, layers: [baseDir] };
+  }
+
+  const dir = path.join(TENANTS_DIR, tenant);
+  return { tenant, dir, baseDir, layers: [dir, baseDir] };
+}
+
+module.exports = {
+  TENANTS_DIR,
+  SHARED_FONTS_WRITABLE,
+  parseTenantTokens,
+  authenticateTenant,
+  parseAdminToken,
+  isAdminToken,
+  getFontStore
+};
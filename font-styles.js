@@ -0,0 +1,524 @@
+/**
+ * Font variant resolution: the computed font family, weight and style of every text run in an
+ * SVG (from presentation attributes, inline styles and <style> sheets, with inheritance), and
+ * the naming and matching of font files by variant.
+ */
+
+// Elements that hold text runs
+const TEXT_CONTENT_ELEMENTS = ['text', 'tspan', 'textPath', 'tref'];
+
+// Font properties tracked through the cascade
+const FONT_PROPERTIES = ['font-family', 'font-weight', 'font-style'];
+
+// CSS generic font families
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+// Values used when nothing is declared (family null = renderer default)
+const INITIAL_FONT = { families: [], weight: 400, style: 'normal' };
+
+// Weight keywords used in font file names, longest first so "SemiBold" isn't read as "Bold"
+const WEIGHT_NAMES = [
+  ['extralight', 200], ['ultralight', 200], ['semibold', 600], ['demibold', 600],
+  ['extrabold', 800], ['ultrabold', 800], ['thin', 100], ['light', 300],
+  ['regular', 400], ['normal', 400], ['book', 400], ['medium', 500],
+  ['bold', 700], ['black', 900], ['heavy', 900]
+];
+
+// Canonical file name suffix for each weight
+const WEIGHT_SUFFIXES = {
+  100: 'Thin', 200: 'ExtraLight', 300: 'Light', 400: 'Regular', 500: 'Medium',
+  600: 'SemiBold', 700: 'Bold', 800: 'ExtraBold', 900: 'Black'
+};
+
+/**
+ * Split a CSS declaration list ("a: b; c: d") into [property, value] pairs
+ * @param {string} text - Declarations
+ * @returns {Array<[string, string]>}
+ */
+function parseDeclarations(text) {
+  return (text || '').split(';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).replace(/!important/i, '').trim();
+      return property && value ? [property, value] : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Set properties in an element's inline style, replacing any existing values
+ * @param {Element} element - The element
+ * @param {Object} properties - Property values by name
+ */
+function setStyleProperties(element, properties) {
+  const declarations = parseDeclarations(element.getAttribute('style'))
+    .filter(([property]) => !(property in properties));
+  for (const [property, value] of Object.entries(properties)) {
+    declarations.push([property, value]);
+  }
+  element.setAttribute('style', declarations.map(([property, value]) => `${property}: ${value}`).join('; '));
+}
+
+/**
+ * Split a font-family value into family names, without quotes
+ * @param {string} value - font-family value (e.g. "'Open Sans', Arial, sans-serif")
+ * @returns {string[]}
+ */
+function parseFontFamilies(value) {
+  const families = [];
+  const pattern = /\s*(?:"([^"]*)"|'([^']*)'|([^,]+))\s*(?:,|$)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null && match[0] !== '') {
+    const family = (match[1] || match[2] || match[3] || '').trim();
+    if (family) families.push(family);
+  }
+  return families;
+}
+
+/**
+ * Resolve a font-weight value to a number
+ * @param {string} value - font-weight value (normal, bold, bolder, lighter or 1-1000)
+ * @param {number} parentWeight - Inherited weight, for relative keywords
+ * @returns {number|null} - Weight, or null when the value is invalid
+ */
+function parseFontWeight(value, parentWeight = 400) {
+  const keyword = String(value).trim().toLowerCase();
+  if (keyword === 'normal') return 400;
+  if (keyword === 'bold') return 700;
+
+  // Relative weights, per the CSS Fonts table
+  if (keyword === 'bolder') return parentWeight < 350 ? 400 : parentWeight < 550 ? 700 : 900;
+  if (keyword === 'lighter') return parentWeight < 550 ? 100 : parentWeight < 750 ? 400 : 700;
+
+  const weight = Number(keyword);
+  return Number.isFinite(weight) && weight >= 1 && weight <= 1000 ? weight : null;
+}
+
+/**
+ * Resolve a font-style value (oblique is treated as italic)
+ * @param {string} value - font-style value
+ * @returns {string|null} - normal or italic, or null when the value is invalid
+ */
+function parseFontStyle(value) {
+  const keyword = String(value).trim().toLowerCase();
+  if (keyword === 'normal') return 'normal';
+  if (keyword === 'italic' || keyword.startsWith('oblique')) return 'italic';
+  return null;
+}
+
+/**
+ * Expand the font shorthand into its family, weight and style
+ * @param {string} value - font value (e.g. "italic bold 12px/1.2 'Open Sans', serif")
+ * @returns {Object} - font-family, font-weight and font-style declarations
+ */
+function expandFontShorthand(value) {
+  const match = value.match(/^(.*?)(?:^|\s)([\d.]+[a-z%]*|xx-small|x-small|small|medium|large|x-large|xx-large|larger|smaller)(?:\/\S+)?\s+(.+)$/i);
+  if (!match) return {};
+
+  const declarations = { 'font-family': match[3], 'font-weight': 'normal', 'font-style': 'normal' };
+  for (const token of match[1].trim().split(/\s+/).filter(Boolean)) {
+    if (parseFontStyle(token) && token !== 'normal') declarations['font-style'] = token;
+    else if (parseFontWeight(token) && token !== 'normal') declarations['font-weight'] = token;
+  }
+  return declarations;
+}
+
+/**
+ * Pick the font properties out of a declaration list, expanding the font shorthand
+ * @param {Array<[string, string]>} declarations - [property, value] pairs
+ * @returns {Object} - Font property values by name
+ */
+function fontDeclarations(declarations) {
+  const found = {};
+  for (const [property, value] of declarations) {
+    if (property === 'font') Object.assign(found, expandFontShorthand(value));
+    if (FONT_PROPERTIES.includes(property)) found[property] = value;
+  }
+  return found;
+}
+
+/**
+ * Parse one compound selector (e.g. "text.title#main") into its parts
+ * @param {string} text - Compound selector
+ * @returns {{tag: string|null, id: string|null, classes: string[]}|null} - null when unsupported
+ */
+function parseCompoundSelector(text) {
+  if (!/^(\*|[a-zA-Z][\w-]*)?([.#][\w-]+)*$/.test(text)) return null;
+
+  const tagMatch = text.match(/^[a-zA-Z][\w-]*/);
+  const idMatch = text.match(/#([\w-]+)/);
+  return {
+    tag: tagMatch ? tagMatch[0] : null,
+    id: idMatch ? idMatch[1] : null,
+    classes: (text.match(/\.[\w-]+/g) || []).map(name => name.slice(1))
+  };
+}
+
+/**
+ * Parse a selector with descendant and child combinators. Pseudo-classes and attribute
+ * selectors are not supported.
+ * @param {string} text - Selector
+ * @returns {{parts: Object[], specificity: number}|null} - null when unsupported
+ */
+function parseSelector(text) {
+  const tokens = text.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+  const parts = [];
+  let combinator = null;
+
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    const compound = parseCompoundSelector(token);
+    if (!compound) return null;
+    parts.push({ ...compound, combinator });
+    combinator = ' ';
+  }
+
+  if (parts.length === 0) return null;
+
+  const specificity = parts.reduce((total, part) =>
+    total + (part.id ? 10000 : 0) + part.classes.length * 100 + (part.tag && part.tag !== '*' ? 1 : 0), 0);
+  return { parts, specificity };
+}
+
+/**
+ * Whether an element matches one compound selector
+ * @param {Element} element - The element
+ * @param {Object} compound - Parsed compound selector
+ * @returns {boolean}
+ */
+function matchesCompound(element, compound) {
+  if (compound.tag && compound.tag !== '*' && element.localName !== compound.tag) return false;
+  if (compound.id && element.getAttribute('id') !== compound.id) return false;
+  if (compound.classes.length > 0) {
+    const classes = (element.getAttribute('class') || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether an element matches a parsed selector, checking ancestors for combinators
+ * @param {Element} element - The element
+ * @param {Object[]} parts - Parsed selector parts, outermost first
+ * @param {number} index - Part to match against the element (defaults to the last)
+ * @returns {boolean}
+ */
+function matchesSelector(element, parts, index = parts.length - 1) {
+  if (!matchesCompound(element, parts[index])) return false;
+  if (index === 0) return true;
+
+  const isElement = (node) => node && node.nodeType === 1;
+  if (parts[index].combinator === '>') {
+    return isElement(element.parentNode) && matchesSelector(element.parentNode, parts, index - 1);
+  }
+
+  for (let ancestor = element.parentNode; isElement(ancestor); ancestor = ancestor.parentNode) {
+    if (matchesSelector(ancestor, parts, index - 1)) return true;
+  }
+  return false;
+}
+
+/**
+ * Collect the font rules from the document's <style> elements, in source order
+ * @param {Document} document - The SVG document
+ * @returns {{selector: Object, order: number, declarations: Object}[]}
+ */
+function collectStyleRules(document) {
+  const rules = [];
+
+  for (const style of findTextElements(document.documentElement, ['style'])) {
+    // Drop comments and at-rules (@font-face, @import, @media) - only plain rules affect text runs
+    const css = style.textContent
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/@[\w-]+[^{;]*(\{[^{}]*(\{[^{}]*\}[^{}]*)*\}|;)/g, '');
+
+    const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    let match;
+    while ((match = rulePattern.exec(css)) !== null) {
+      const declarations = fontDeclarations(parseDeclarations(match[2]));
+      if (Object.keys(declarations).length === 0) continue;
+
+      for (const selectorText of match[1].split(',')) {
+        const selector = parseSelector(selectorText);
+        if (selector) rules.push({ selector, order: rules.length, declarations });
+      }
+    }
+  }
+
+  return rules.sort((a, b) => a.selector.specificity - b.selector.specificity || a.order - b.order);
+}
+
+/**
+ * Find descendant elements with one of the given local names
+ * @param {Node} node - Node to search under
+ * @param {string[]} localNames - Element names
+ * @returns {Element[]}
+ */
+function findTextElements(node, localNames = TEXT_CONTENT_ELEMENTS) {
+  const found = [];
+  const walk = (parent) => {
+    for (let child = parent.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+      if (localNames.includes(child.localName)) found.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+/**
+ * Whether an element directly contains visible text
+ * @param {Element} element - The element
+ * @returns {boolean}
+ */
+function hasOwnText(element) {
+  return Array.from(element.childNodes).some(child =>
+    (child.nodeType === 3 || child.nodeType === 4) && child.nodeValue.trim() !== '');
+}
+
+/**
+ * The text an element directly contains (not its child elements' text)
+ * @param {Element} element - The element
+ * @returns {string}
+ */
+function ownText(element) {
+  return Array.from(element.childNodes)
+    .filter(child => child.nodeType === 3 || child.nodeType === 4)
+    .map(child => child.nodeValue)
+    .join('');
+}
+
+/**
+ * Compute the font of every text run in the document, following the CSS cascade:
+ * presentation attributes, then <style> rules by specificity, then inline styles,
+ * with unset properties inherited from the parent.
+ * @param {Document} document - The SVG document
+ * @returns {{element: Element, families: string[], weight: number, style: string}[]} - One entry per
+ *   text content element that directly holds text
+ */
+function resolveTextFonts(document) {
+  const rules = collectStyleRules(document);
+  const runs = [];
+
+  const visit = (element, inherited) => {
+    const declared = {};
+    for (const property of FONT_PROPERTIES) {
+      if (element.hasAttribute(property)) declared[property] = element.getAttribute(property);
+    }
+    for (const rule of rules) {
+      if (matchesSelector(element, rule.selector.parts)) Object.assign(declared, rule.declarations);
+    }
+    Object.assign(declared, fontDeclarations(parseDeclarations(element.getAttribute('style'))));
+
+    const isSet = (property) => declared[property] && declared[property] !== 'inherit';
+    const families = isSet('font-family') ? parseFontFamilies(declared['font-family']) : [];
+    const font = {
+      families: families.length > 0 ? families : inherited.families,
+      weight: (isSet('font-weight') && parseFontWeight(declared['font-weight'], inherited.weight)) || inherited.weight,
+      style: (isSet('font-style') && parseFontStyle(declared['font-style'])) || inherited.style
+    };
+
+    if (TEXT_CONTENT_ELEMENTS.includes(element.localName) && hasOwnText(element)) {
+      runs.push({ element, ...font });
+    }
+
+    for (let child = element.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1) visit(child, font);
+    }
+  };
+
+  visit(document.documentElement, INITIAL_FONT);
+  return runs;
+}
+
+/**
+ * List the distinct (font-family list, weight, style) variants used by text in the document.
+ * Each has the whole fallback list, its primary family, the generic family it names (if any)
+ * and the distinct characters set in it.
+ * @param {Document} document - The SVG document
+ * @returns {{family: string, families: string[], weight: number, style: string, generic: string|null, text: string}[]}
+ */
+function collectFontVariants(document) {
+  const variants = new Map();
+  const characters = new Map();
+
+  for (const run of resolveTextFonts(document)) {
+    if (run.families.length === 0) continue;
+    const key = fontRunKey(run);
+    if (!variants.has(key)) {
+      variants.set(key, {
+        family: run.families[0],
+        families: run.families,
+        weight: run.weight,
+        style: run.style,
+        generic: genericFamily(run.families)
+      });
+      characters.set(key, new Set());
+    }
+    for (const character of ownText(run.element)) {
+      characters.get(key).add(character);
+    }
+  }
+
+  return Array.from(variants, ([key, variant]) => ({ ...variant, text: [...characters.get(key)].join('') }));
+}
+
+/**
+ * Whether a font-family entry is a CSS generic family
+ * @param {string} family - Family name
+ * @returns {boolean}
+ */
+function isGenericFamily(family) {
+  return GENERIC_FAMILIES.includes(family);
+}
+
+/**
+ * Identity of a text run's font (whole font-family list, weight and style), for matching the
+ * family resolved for it back to the runs
+ * @param {{families: string[], weight: number, style: string}} font - Run or variant
+ * @returns {string}
+ */
+function fontRunKey({ families, weight, style }) {
+  return `${families.map(family => family.toLowerCase()).join(',')}|${weight}|${style}`;
+}
+
+/**
+ * The generic family a font-family list ends with
+ * @param {string[]} families - Font family list
+ * @returns {string|null} - e.g. "serif", or null when the list names no generic family
+ */
+function genericFamily(families) {
+  return families.find(isGenericFamily) || null;
+}
+
+/**
+ * Identity of a variant, for de-duplication
+ * @param {{family: string, weight: number, style: string}} variant - The variant
+ * @returns {string}
+ */
+function variantKey({ family, weight, style }) {
+  return `${family.toLowerCase()}|${weight}|${style}`;
+}
+
+/**
+ * Format a variant for logs and status messages (e.g. "Open Sans 700 italic")
+ * @param {{family: string, weight: number, style: string}} variant - The variant
+ * @returns {string}
+ */
+function describeVariant({ family, weight, style }) {
+  return `${family} ${weight}${style === 'italic' ? ' italic' : ''}`;
+}
+
+/**
+ * File name suffix for a variant, e.g. "Regular", "BoldItalic", "LightItalic"
+ * @param {number} weight - Font weight
+ * @param {string} style - normal or italic
+ * @returns {string}
+ */
+function variantSuffix(weight, style) {
+  const rounded = Math.min(900, Math.max(100, Math.round(weight / 100) * 100));
+  const weightName = WEIGHT_SUFFIXES[rounded];
+  if (style !== 'italic') return weightName;
+  return rounded === 400 ? 'Italic' : `${weightName}Italic`;
+}
+
+/**
+ * Read the weight and style from a font file name such as "OpenSans-SemiBoldItalic.ttf"
+ * @param {string} fileName - Font file name
+ * @returns {{family: string, weight: number, style: string}} - family is the part before the suffix, without spaces
+ */
+function parseFontFileName(fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  const dash = baseName.lastIndexOf('-');
+  const family = dash === -1 ? baseName : baseName.slice(0, dash);
+  const suffix = dash === -1 ? '' : baseName.slice(dash + 1).toLowerCase();
+
+  const weightEntry = WEIGHT_NAMES.find(([name]) => suffix.includes(name));
+  const numericWeight = suffix.match(/^(\d{3})/);
+  return {
+    family,
+    weight: weightEntry ? weightEntry[1] : numericWeight ? Number(numericWeight[1]) : 400,
+    style: /italic|oblique/.test(suffix) ? 'italic' : 'normal'
+  };
+}
+
+/**
+ * Normalise a family name for comparing with file names ("Open Sans" -> "opensans"). Letters and digits
+ * of every script are kept, so "源ノ角ゴシック" and "나눔고딕" keep their own keys
+ * @param {string} family - Family name
+ * @returns {string} - Empty when the name has no letters or digits
+ */
+function normalizeFamily(family) {
+  return family.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Check whether two family names name the same family. A name with no letters or digits matches nothing
+ * @param {string} a - Family name
+ * @param {string} b - Family name
+ * @returns {boolean}
+ */
+function sameFamily(a, b) {
+  const key = normalizeFamily(a);
+  return key !== '' && key === normalizeFamily(b);
+}
+
+/**
+ * Pick the closest available variant using the CSS font matching rules: same style first,
+ * then for weights 400-500 try up to 500 before going lighter, below 400 go lighter first,
+ * above 500 go heavier first. A variable font whose weightRange covers the wanted weight
+ * counts as an exact match, after any static font of exactly that weight.
+ * @param {{weight: number, style: string, weightRange: number[]|null}[]} available - Available variants
+ * @param {{weight: number, style: string}} wanted - Wanted variant
+ * @returns {Object|null} - The best available entry, or null if there are none
+ */
+function findNearestVariant(available, wanted) {
+  if (available.length === 0) return null;
+
+  const sameStyle = available.filter(variant => variant.style === wanted.style);
+  const candidates = sameStyle.length > 0 ? sameStyle : available;
+  const target = wanted.weight;
+
+  const exact = candidates.find(variant => variant.weight === target && !variant.weightRange) ||
+                candidates.find(variant => variant.weightRange &&
+                                           variant.weightRange[0] <= target && target <= variant.weightRange[1]);
+  if (exact) return exact;
+
+  const lighter = candidates.filter(v => v.weight < target).sort((a, b) => b.weight - a.weight);
+  const heavier = candidates.filter(v => v.weight > target).sort((a, b) => a.weight - b.weight);
+
+  if (target >= 400 && target <= 500) {
+    const upTo500 = heavier.filter(v => v.weight <= 500);
+    return upTo500[0] || lighter[0] || heavier[0];
+  }
+  return target < 400 ? (lighter[0] || heavier[0]) : (heavier[0] || lighter[0]);
+}
+
+module.exports = {
+  TEXT_CONTENT_ELEMENTS,
+  GENERIC_FAMILIES,
+  parseDeclarations,
+  setStyleProperties,
+  parseFontFamilies,
+  parseFontWeight,
+  parseFontStyle,
+  ownText,
+  resolveTextFonts,
+  collectFontVariants,
+  isGenericFamily,
+  fontRunKey,
+  genericFamily,
+  variantKey,
+  describeVariant,
+  variantSuffix,
+  parseFontFileName,
+  normalizeFamily,
+  sameFamily,
+  findNearestVariant
+};
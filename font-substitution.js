@@ -0,0 +1,144 @@
+/**
+ * Font substitution policy: which family replaces a font that can't be obtained, whether
+ * conversions with missing fonts are rejected, and the substitution report sent to clients
+ */
+const fs = require('fs');
+const path = require('path');
+const fontStyles = require('./font-styles');
+
+// Substitution map: { "families": { "Helvetica": "Arimo" }, "generic": { "sans-serif": "Open Sans" } }
+const SUBSTITUTIONS_FILE = path.resolve(process.env.FONT_SUBSTITUTIONS || path.join(__dirname, 'font-substitutions.json'));
+
+// Reject conversions with missing fonts unless the request says otherwise
+const STRICT_FONTS = /^(1|true|yes)$/i.test(process.env.FONT_STRICT || '');
+
+// Set characters the resolved font has no glyph for in the next font of the chain that has them
+const GLYPH_FALLBACK = !/^(0|false|no)$/i.test(process.env.FONT_GLYPH_FALLBACK || '');
+
+// Generic family used for runs whose font-family list doesn't name one (what the renderers fall back to)
+const DEFAULT_GENERIC = 'sans-serif';
+
+// Loaded map, reloaded when the file changes: { mtimeMs, families: Map, generic: Map }
+let loaded = null;
+
+/**
+ * Read the substitution map, from memory while the file is unchanged
+ * @returns {{families: Map<string, string>, generic: Map<string, string>}} - Keys are lower-case
+ */
+function loadSubstitutions() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(SUBSTITUTIONS_FILE).mtimeMs;
+  } catch (error) {
+    return { families: new Map(), generic: new Map() };
+  }
+
+  if (loaded && loaded.mtimeMs === mtimeMs) return loaded;
+
+  const toMap = (entries = {}) => new Map(Object.entries(entries).map(([from, to]) => [from.toLowerCase(), String(to)]));
+  try {
+    const config = JSON.parse(fs.readFileSync(SUBSTITUTIONS_FILE, 'utf8'));
+    loaded = { mtimeMs, families: toMap(config.families), generic: toMap(config.generic) };
+  } catch (error) {
+    console.error(`Invalid font substitution file ${SUBSTITUTIONS_FILE}: ${error.message}`);
+    loaded = { mtimeMs, families: new Map(), generic: new Map() };
+  }
+  return loaded;
+}
+
+/**
+ * Look up the configured replacement for a family that can't be obtained
+ * @param {string} family - Missing family
+ * @returns {string|null} - Replacement family, or null when the map has none
+ */
+function findFamilySubstitute(family) {
+  const mapped = loadSubstitutions().families.get(family.toLowerCase());
+  return mapped && mapped.toLowerCase() !== family.toLowerCase() ? mapped : null;
+}
+
+/**
+ * Look up the configured font for a generic family
+ * @param {string|null} generic - Generic family (DEFAULT_GENERIC when null)
+ * @returns {string|null} - Family to use, or null to leave it to the renderer
+ */
+function findGenericDefault(generic) {
+  return loadSubstitutions().generic.get(generic || DEFAULT_GENERIC) || null;
+}
+
+/**
+ * Read the strictFonts request field
+ * @param {*} value - Field value
+ * @returns {boolean} - STRICT_FONTS when the field is absent
+ */
+function parseStrictOption(value) {
+  if (value === undefined || value === null || value === '') return STRICT_FONTS;
+  return /^(1|true|yes|on)$/i.test(String(value));
+}
+
+/**
+ * Summarise the font variants that won't render as designed
+ * @param {Object[]} variants - Variant results from ensureFontsAvailable
+ * @returns {{substituted: Object[], missing: string[], glyphs: Object[]}} - Each substitution has the
+ *   requested variant, the file and family used, and why (nearest-weight, fallback-list, substitution-map
+ *   or generic-fallback). Each glyphs entry has the characters the file used has no glyph for, the fonts
+ *   that drew them instead and the characters no font could draw (missing)
+ */
+function buildFontReport(variants = []) {
+  const reasons = { substituted: 'nearest-weight', fallback: 'fallback-list', replaced: 'substitution-map', generic: 'generic-fallback' };
+
+  return {
+    substituted: variants
+      .filter(variant => reasons[variant.status])
+      .map(variant => ({
+        requested: fontStyles.describeVariant(variant),
+        usedFamily: variant.usedFamily,
+        usedFile: variant.file,
+        reason: reasons[variant.status]
+      })),
+    missing: variants.filter(variant => variant.status === 'missing').map(fontStyles.describeVariant),
+    glyphs: variants
+      .filter(variant => variant.unsupportedCharacters && variant.unsupportedCharacters.length > 0)
+      .map(variant => ({
+        requested: fontStyles.describeVariant(variant),
+        usedFile: variant.file,
+        characters: variant.unsupportedCharacters.join(''),
+        fallbacks: variant.glyphFallbacks,
+        missing: variant.missingCharacters.join('')
+      }))
+  };
+}
+
+/**
+ * Format a font report for HTTP headers (ASCII only)
+ * @param {{substituted: Object[], missing: string[], glyphs: Object[]}} report - Font report
+ * @returns {Object} - Header values by name; empty when every font rendered as designed
+ */
+function reportHeaders(report) {
+  const ascii = (value) => value.replace(/[^\x20-\x7e]/gu, encodeURIComponent);
+  const headers = {};
+
+  if (report.substituted.length > 0) {
+    headers['X-Font-Substitutions'] = ascii(report.substituted
+      .map(entry => `${entry.requested} -> ${entry.usedFile} (${entry.reason})`)
+      .join('; '));
+  }
+  if (report.missing.length > 0) {
+    headers['X-Missing-Fonts'] = ascii(report.missing.join('; '));
+  }
+  const missingGlyphs = (report.glyphs || []).filter(entry => entry.missing);
+  if (missingGlyphs.length > 0) {
+    headers['X-Missing-Glyphs'] = ascii(missingGlyphs.map(entry => `${entry.requested}: ${entry.missing}`).join('; '));
+  }
+  return headers;
+}
+
+module.exports = {
+  STRICT_FONTS,
+  GLYPH_FALLBACK,
+  DEFAULT_GENERIC,
+  findFamilySubstitute,
+  findGenericDefault,
+  parseStrictOption,
+  buildFontReport,
+  reportHeaders
+};
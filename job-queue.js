@@ -0,0 +1,167 @@
+/**
+ * In-process conversion queue: runs a bounded number of jobs at once, stops any that run
+ * past the time limit and lets clients cancel queued or running jobs.
+ *
+ * A task is an async function called with an AbortSignal. The signal is aborted with a
+ * ConversionError on timeout or a JobCancelledError on cancellation; tasks pass it down to
+ * the renderers (which kill their child process) and report the job's final status themselves.
+ * A task that hasn't settled STOP_GRACE_MS after its signal aborted is given up on: the job is
+ * finished with the abort reason and its worker goes to the next job.
+ */
+const jobs = require('./jobs');
+const { ConversionError, JobCancelledError } = require('./errors');
+
+// Number of jobs converted at the same time (each may run a renderer process)
+const WORKER_COUNT = Math.max(1, parseInt(process.env.CONVERSION_WORKERS, 10) || 2);
+
+// Time limit for a single conversion before its renderer is killed
+const JOB_TIMEOUT_MS = (parseInt(process.env.JOB_TIMEOUT_SECONDS, 10) || 120) * 1000;
+
+// How long a timed-out or cancelled task gets to stop before its worker is freed without it
+const STOP_GRACE_MS = 5000;
+
+// Jobs waiting for a worker, in order: { job, task, timeoutMs, graceMs, position }
+const waiting = [];
+
+// Abort controllers of the jobs being converted, by job id
+const running = new Map();
+
+/**
+ * Add a job to the queue. It starts as soon as a worker is free.
+ * @param {Object} job - The job
+ * @param {Function} task - Async function called with an AbortSignal that runs the job
+ * @param {Object} options - Queue options
+ * @param {number} options.timeoutMs - Time limit for this job (default JOB_TIMEOUT_MS)
+ * @param {number} options.graceMs - How long the task gets to stop once aborted (default STOP_GRACE_MS)
+ */
+function enqueue(job, task, { timeoutMs = JOB_TIMEOUT_MS, graceMs = STOP_GRACE_MS } = {}) {
+  waiting.push({ job, task, timeoutMs, graceMs, position: null });
+  drain();
+}
+
+/**
+ * Start waiting jobs while workers are free, then tell the rest where they are in the queue
+ */
+function drain() {
+  while (running.size < WORKER_COUNT && waiting.length > 0) {
+    start(waiting.shift());
+  }
+
+  waiting.forEach((entry, index) => {
+    if (entry.position !== index + 1) {
+      entry.position = index + 1;
+      jobs.reportQueued(entry.job, entry.position);
+    }
+  });
+}
+
+/**
+ * Finish a job the queue stopped waiting for with the reason its signal was aborted
+ * @param {Object} job - The job
+ * @param {Error} reason - ConversionError (timeout) or JobCancelledError
+ */
+function finishStopped(job, reason) {
+  if (reason instanceof JobCancelledError) {
+    jobs.cancelJob(job, { message: reason.message });
+  } else {
+    jobs.failJob(job, { error: reason.message, details: reason.details || null });
+  }
+}
+
+/**
+ * Run a job on a worker with its time limit. The worker is freed when the task settles, or
+ * graceMs after an abort if the task is stuck in a stage that doesn't watch the signal.
+ * @param {{job: Object, task: Function, timeoutMs: number, graceMs: number}} entry - Queue entry
+ */
+function start({ job, task, timeoutMs, graceMs }) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+
+  let graceTimer = null;
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clearTimeout(timer);
+    clearTimeout(graceTimer);
+    running.delete(job.id);
+    drain();
+  };
+
+  const timer = setTimeout(() => {
+    console.error(`Job ${job.id} timed out after ${timeoutMs / 1000}s`);
+    controller.abort(new ConversionError('Conversion timed out',
+      `Stopped after ${timeoutMs / 1000} seconds - the SVG may be too complex to render`));
+  }, timeoutMs);
+
+  controller.signal.addEventListener('abort', () => {
+    graceTimer = setTimeout(() => {
+      console.error(`Job ${job.id} did not stop within ${graceMs / 1000}s of being aborted - freeing its worker`);
+      finishStopped(job, controller.signal.reason);
+      release();
+    }, graceMs);
+  }, { once: true });
+
+  Promise.resolve()
+    .then(() => task(controller.signal))
+    .catch(error => console.error(`Unhandled error in job ${job.id}:`, error))
+    .finally(release);
+}
+
+/**
+ * Cancel a job. A queued job is removed and marked cancelled straight away; a running job
+ * is aborted and its task marks it cancelled once the renderer has stopped (or the queue does,
+ * if the task hasn't stopped within the grace period).
+ * @param {Object} job - The job
+ * @returns {boolean} - Whether the job was queued or running
+ */
+function cancel(job) {
+  const index = waiting.findIndex(entry => entry.job === job);
+  if (index !== -1) {
+    waiting.splice(index, 1);
+    jobs.cancelJob(job, { message: 'Cancelled before conversion started' });
+    drain();
+    return true;
+  }
+
+  const controller = running.get(job.id);
+  if (controller) {
+    controller.abort(new JobCancelledError());
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * A job's position in the queue
+ * @param {Object} job - The job
+ * @returns {number|null} - 1-based position, or null when the job is not waiting
+ */
+function getQueuePosition(job) {
+  const index = waiting.findIndex(entry => entry.job === job);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Current queue load, for health checks
+ * @returns {{workers: number, running: number, waiting: number, timeoutSeconds: number}}
+ */
+function getQueueStatus() {
+  return {
+    workers: WORKER_COUNT,
+    running: running.size,
+    waiting: waiting.length,
+    timeoutSeconds: JOB_TIMEOUT_MS / 1000
+  };
+}
+
+module.exports = {
+  WORKER_COUNT,
+  JOB_TIMEOUT_MS,
+  STOP_GRACE_MS,
+  enqueue,
+  cancel,
+  getQueuePosition,
+  getQueueStatus
+};
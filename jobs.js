@@ -0,0 +1,206 @@
+/**
+ * In-memory conversion job store with Server-Sent Events progress streaming.
+ *
+ * A finished job keeps its final status: progress and results reported after that (by a task
+ * the queue gave up waiting for) are ignored.
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs are forgotten after this long (matches the temp folder cleanup window)
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Terminal job statuses; each is also the type of the job's last event
+const FINAL_STATUSES = ['complete', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Create a new conversion job
+ * @param {Object} data - Job data (input/output paths, original file name, ...)
+ * @returns {Object} - The created job
+ */
+function createJob(data = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    createdAt: Date.now(),
+    events: [],
+    emitter: new EventEmitter(),
+    ...data
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Look up a job by id
+ * @param {string} id - Job id
+ * @returns {Object|undefined} - The job, if it exists
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Forget a job
+ * @param {string} id - Job id
+ */
+function removeJob(id) {
+  const job = jobs.get(id);
+  if (job) {
+    job.emitter.removeAllListeners();
+    jobs.delete(id);
+  }
+}
+
+/**
+ * Record an event on a job and push it to any connected listeners
+ * @param {Object} job - The job
+ * @param {string} type - Event type (queued, progress, complete, failed, cancelled)
+ * @param {Object} data - Event payload
+ */
+function pushEvent(job, type, data) {
+  const event = {
+    id: job.events.length,
+    type,
+    data: { ...data, time: Date.now() }
+  };
+
+  job.events.push(event);
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Report that a job is waiting for a free worker
+ * @param {Object} job - The job
+ * @param {number} position - 1-based position in the queue
+ */
+function reportQueued(job, position) {
+  job.status = 'queued';
+  pushEvent(job, 'queued', { position, message: `Waiting for a free worker (position ${position} in queue)` });
+}
+
+/**
+ * Report a progress message for one stage of the conversion
+ * @param {Object} job - The job
+ * @param {string} stage - Pipeline stage (sanitize, fonts, preprocess, images, render, download)
+ * @param {string} message - Human readable status message
+ */
+function reportProgress(job, stage, message) {
+  if (isFinished(job)) return;
+  job.status = 'running';
+  job.stage = stage;
+  pushEvent(job, 'progress', { stage, message });
+}
+
+/**
+ * Mark a job as successfully completed
+ * @param {Object} job - The job
+ * @param {Object} data - Final event payload (e.g. download URL)
+ */
+function completeJob(job, data = {}) {
+  if (isFinished(job)) return;
+  job.status = 'complete';
+  pushEvent(job, 'complete', data);
+  scheduleExpiry(job);
+}
+
+/**
+ * Mark a job as failed
+ * @param {Object} job - The job
+ * @param {Object} data - Error details
+ */
+function failJob(job, data = {}) {
+  if (isFinished(job)) return;
+  job.status = 'failed';
+  pushEvent(job, 'failed', data);
+  scheduleExpiry(job);
+}
+
+/**
+ * Mark a job as cancelled by the client
+ * @param {Object} job - The job
+ * @param {Object} data - Final event payload
+ */
+function cancelJob(job, data = {}) {
+  if (isFinished(job)) return;
+  job.status = 'cancelled';
+  pushEvent(job, 'cancelled', data);
+  scheduleExpiry(job);
+}
+
+/**
+ * Forget a finished job after the TTL, running its cleanup hook if any
+ * @param {Object} job - The job
+ */
+function scheduleExpiry(job) {
+  const timer = setTimeout(() => {
+    if (typeof job.onExpire === 'function') job.onExpire(job);
+    removeJob(job.id);
+  }, JOB_TTL_MS);
+  timer.unref();
+}
+
+/**
+ * Whether a job has reached a terminal state
+ * @param {Object} job - The job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Stream a job's events to an HTTP response as Server-Sent Events.
+ * Past events are replayed first so late subscribers see the full history.
+ * @param {Object} job - The job
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamEvents(job, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Resume after the last event the browser saw when it reconnects
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  const startIndex = Number.isNaN(lastEventId) ? 0 : lastEventId + 1;
+  job.events.slice(startIndex).forEach(send);
+
+  if (isFinished(job)) {
+    res.end();
+    return;
+  }
+
+  const onEvent = (event) => {
+    send(event);
+    if (FINAL_STATUSES.includes(event.type)) {
+      job.emitter.off('event', onEvent);
+      res.end();
+    }
+  };
+
+  job.emitter.on('event', onEvent);
+  req.on('close', () => job.emitter.off('event', onEvent));
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  removeJob,
+  reportQueued,
+  reportProgress,
+  completeJob,
+  failJob,
+  cancelJob,
+  isFinished,
+  streamEvents
+};
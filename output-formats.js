@@ -0,0 +1,94 @@
+/**
+ * Output formats and their options (DPI, background, PDF version)
+ */
+
+// Formats a conversion can produce
+const OUTPUT_FORMATS = {
+  pdf: { id: 'pdf', label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+  png: { id: 'png', label: 'PNG', extension: 'png', mimeType: 'image/png' },
+  eps: { id: 'eps', label: 'EPS', extension: 'eps', mimeType: 'application/postscript' },
+  svg: { id: 'svg', label: 'Plain SVG', extension: 'svg', mimeType: 'image/svg+xml' }
+};
+
+// PDF versions every renderer that sets one can write
+const PDF_VERSIONS = ['1.4', '1.5'];
+
+// Raster resolution limits (a 102pt chip at 2400 DPI is already 3400px square)
+const DEFAULT_DPI = 300;
+const MIN_DPI = 36;
+const MAX_DPI = 2400;
+
+// Background colours are passed on the renderer command line, so only allow plain values
+const BACKGROUND_PATTERN = /^(transparent|#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i;
+
+/**
+ * Build the output format settings from request parameters
+ * @param {Object} params - Request fields (format, dpi, background, pdfVersion)
+ * @returns {{format: string, dpi: number, background: string, pdfVersion: string}}
+ */
+function parseFormatOptions(params = {}) {
+  const format = params.format ? String(params.format).toLowerCase() : 'pdf';
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Unsupported output format "${params.format}" - use one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+
+  const dpi = params.dpi ? Number(params.dpi) : DEFAULT_DPI;
+  if (!Number.isFinite(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+    throw new Error(`DPI must be between ${MIN_DPI} and ${MAX_DPI}`);
+  }
+
+  // PNGs are transparent unless a background is asked for
+  const background = params.background ? String(params.background).trim() : 'transparent';
+  if (!BACKGROUND_PATTERN.test(background)) {
+    throw new Error(`Invalid background "${params.background}" - use transparent, a colour name or #rrggbb`);
+  }
+
+  const pdfVersion = params.pdfVersion ? String(params.pdfVersion) : '1.5';
+  if (!PDF_VERSIONS.includes(pdfVersion)) {
+    throw new Error(`Unsupported PDF version "${params.pdfVersion}" - use one of ${PDF_VERSIONS.join(', ')}`);
+  }
+
+  return { format, dpi, background, pdfVersion };
+}
+
+/**
+ * Look up a format's label, extension and MIME type
+ * @param {string} format - Format id
+ * @returns {{id: string, label: string, extension: string, mimeType: string}}
+ */
+function getFormat(format) {
+  return OUTPUT_FORMATS[format];
+}
+
+/**
+ * Swap a file name's .svg extension for the output format's
+ * @param {string} name - Original file name
+ * @param {string} format - Format id
+ * @returns {string}
+ */
+function outputFileName(name, format) {
+  return `${name.replace(/\.svg$/i, '')}.${OUTPUT_FORMATS[format].extension}`;
+}
+
+/**
+ * Format the output settings for log and status messages
+ * @param {{format: string, dpi: number, background: string, pdfVersion: string}} options - Output settings
+ * @returns {string}
+ */
+function describeFormat(options) {
+  if (options.format === 'png') return `PNG at ${options.dpi} DPI (${options.background} background)`;
+  if (options.format === 'pdf') return `PDF ${options.pdfVersion}`;
+  return OUTPUT_FORMATS[options.format].label;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  PDF_VERSIONS,
+  DEFAULT_DPI,
+  MIN_DPI,
+  MAX_DPI,
+  parseFormatOptions,
+  getFormat,
+  outputFileName,
+  describeFormat
+};
@@ -0,0 +1,180 @@
+/**
+ * Output page size parsing, unit conversion and product presets
+ */
+
+// Points per unit (1pt = 1/72in, CSS px = 1/96in)
+const UNIT_TO_PT = {
+  pt: 1,
+  px: 72 / 96,
+  in: 72,
+  mm: 72 / 25.4,
+  cm: 72 / 2.54
+};
+
+// How the artwork is fitted to the output page
+const FIT_MODES = ['contain', 'cover', 'stretch', 'none'];
+
+// Default output page: the original 102pt square chip face
+const DEFAULT_PAGE = { width: 102, height: 102, fit: 'contain' };
+
+// Slug (area outside the bleed holding crop marks) used when marks are requested without a size
+const DEFAULT_SLUG = 18;
+
+// Common product sizes offered by the UI
+const PAGE_PRESETS = [
+  { id: 'chip-102pt', name: 'Chip face (102pt)', width: 102, height: 102, unit: 'pt', fit: 'contain' },
+  { id: 'inlay-39mm', name: 'Chip inlay (39mm)', width: 39, height: 39, unit: 'mm', fit: 'cover' },
+  { id: 'label-2x1in', name: 'Label (2 x 1in)', width: 2, height: 1, unit: 'in', fit: 'contain' },
+  { id: 'label-50x25mm', name: 'Label (50 x 25mm)', width: 50, height: 25, unit: 'mm', fit: 'contain' }
+];
+
+/**
+ * Convert a length to points
+ * @param {string|number} value - Length, optionally with a unit suffix (e.g. "54mm", "2in", 102)
+ * @param {string} defaultUnit - Unit to use when the value has no suffix
+ * @returns {number} - Length in points
+ */
+function toPoints(value, defaultUnit = 'pt') {
+  const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z]*)$/i);
+  if (!match) {
+    throw new Error(`Invalid length "${value}"`);
+  }
+
+  const unit = (match[2] || defaultUnit).toLowerCase();
+  if (!(unit in UNIT_TO_PT)) {
+    throw new Error(`Unsupported unit "${unit}" - use one of ${Object.keys(UNIT_TO_PT).join(', ')}`);
+  }
+
+  return parseFloat(match[1]) * UNIT_TO_PT[unit];
+}
+
+/**
+ * Parse a boolean form field
+ * @param {*} value - Field value ("true", "1", "on", ...)
+ * @returns {boolean}
+ */
+function parseFlag(value) {
+  return ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Build the output page settings from request parameters
+ * @param {Object} params - Request fields (width, height, unit, fit, bleed, marks, slug)
+ * @returns {{width: number, height: number, fit: string, bleed: number, marks: boolean, slug: number}} -
+ *   Trim size, bleed and slug in points, fit mode and whether to draw crop marks
+ */
+function parsePageOptions(params = {}) {
+  const unit = params.unit ? String(params.unit).toLowerCase() : 'pt';
+  if (!(unit in UNIT_TO_PT)) {
+    throw new Error(`Unsupported unit "${params.unit}" - use one of ${Object.keys(UNIT_TO_PT).join(', ')}`);
+  }
+
+  // A single dimension gives a square page
+  const widthParam = params.width || params.height;
+  const heightParam = params.height || params.width;
+
+  const width = widthParam ? toPoints(widthParam, unit) : DEFAULT_PAGE.width;
+  const height = heightParam ? toPoints(heightParam, unit) : DEFAULT_PAGE.height;
+
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('Page width and height must be greater than zero');
+  }
+
+  let fit = params.fit ? String(params.fit).toLowerCase() : DEFAULT_PAGE.fit;
+  if (fit === 'original') fit = 'none';
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(`Unsupported fit mode "${params.fit}" - use one of ${FIT_MODES.join(', ')}`);
+  }
+
+  // Print production: bleed around the trim box, and a slug outside it for crop marks
+  const bleed = params.bleed ? toPoints(params.bleed, unit) : 0;
+  const marks = parseFlag(params.marks);
+  const slug = params.slug ? toPoints(params.slug, unit) : (marks ? DEFAULT_SLUG : 0);
+
+  if (bleed < 0 || slug < 0) {
+    throw new Error('Bleed and slug must not be negative');
+  }
+
+  return { width, height, fit, bleed, marks, slug };
+}
+
+/**
+ * Whether the page needs print production handling (bleed, slug or marks)
+ * @param {Object} page - Output page
+ * @returns {boolean}
+ */
+function hasPrintMarks(page) {
+  return page.bleed > 0 || page.slug > 0 || page.marks === true;
+}
+
+/**
+ * Lay out the trim, bleed and media boxes of a page as its SVG draws them (origin top-left, in points):
+ * the media box grows by the bleed and slug on every side, with the trim box centred in it
+ * @param {{width: number, height: number, bleed: number, slug: number}} page - Output page
+ * @returns {{media: Object, bleed: Object, trim: Object}} - Each as {x, y, width, height}
+ */
+function pageBoxes(page) {
+  const bleed = page.bleed || 0;
+  const offset = bleed + (page.slug || 0);
+  return {
+    media: { x: 0, y: 0, width: page.width + 2 * offset, height: page.height + 2 * offset },
+    bleed: { x: offset - bleed, y: offset - bleed, width: page.width + 2 * bleed, height: page.height + 2 * bleed },
+    trim: { x: offset, y: offset, width: page.width, height: page.height }
+  };
+}
+
+/**
+ * Compute the scale and offset that place artwork of the given size on the page
+ * @param {number} contentWidth - Artwork width
+ * @param {number} contentHeight - Artwork height
+ * @param {{width: number, height: number, fit: string}} page - Output page
+ * @returns {{scaleX: number, scaleY: number, translateX: number, translateY: number}}
+ */
+function computeFit(contentWidth, contentHeight, page) {
+  let scaleX = 1;
+  let scaleY = 1;
+
+  if (page.fit === 'contain') {
+    scaleX = scaleY = Math.min(page.width / contentWidth, page.height / contentHeight);
+  } else if (page.fit === 'cover') {
+    scaleX = scaleY = Math.max(page.width / contentWidth, page.height / contentHeight);
+  } else if (page.fit === 'stretch') {
+    scaleX = page.width / contentWidth;
+    scaleY = page.height / contentHeight;
+  }
+
+  // Centre the scaled artwork on the page
+  return {
+    scaleX,
+    scaleY,
+    translateX: (page.width - contentWidth * scaleX) / 2,
+    translateY: (page.height - contentHeight * scaleY) / 2
+  };
+}
+
+/**
+ * Format a page size for log and status messages
+ * @param {{width: number, height: number}} page - Output page
+ * @returns {string}
+ */
+function describePage(page) {
+  let description = `${+page.width.toFixed(2)}x${+page.height.toFixed(2)}pt`;
+  if (page.bleed > 0) description += ` + ${+page.bleed.toFixed(2)}pt bleed`;
+  if (page.marks) description += ' with crop marks';
+  return description;
+}
+
+module.exports = {
+  UNIT_TO_PT,
+  FIT_MODES,
+  DEFAULT_PAGE,
+  DEFAULT_SLUG,
+  PAGE_PRESETS,
+  toPoints,
+  parseFlag,
+  parsePageOptions,
+  hasPrintMarks,
+  pageBoxes,
+  computeFit,
+  describePage
+};
@@ -0,0 +1,51 @@
+/**
+ * Post-processing of rendered PDFs
+ */
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Write a PDF that pdf-lib has modified, in the requested PDF version. pdf-lib always writes a PDF 1.7
+ * header and uses object streams by default; object streams need PDF 1.5, so they are only used from
+ * 1.5 on, and the header is rewritten in place (same length, so the xref offsets still hold).
+ * @param {PDFDocument} pdf - The document
+ * @param {string} pdfPath - Where to write it
+ * @param {string} pdfVersion - PDF version for the header (e.g. "1.4")
+ * @returns {Promise<void>}
+ */
+async function savePdf(pdf, pdfPath, pdfVersion) {
+  const [major, minor] = pdfVersion.split('.').map(Number);
+  const bytes = await pdf.save({ useObjectStreams: major > 1 || minor >= 5 });
+  bytes.set(Buffer.from(`%PDF-${major}.${minor}`, 'latin1'), 0);
+  fs.writeFileSync(pdfPath, bytes);
+}
+
+/**
+ * Set MediaBox, BleedBox and TrimBox on every page of a PDF rendered with bleed and slug.
+ * PDF boxes are measured from the bottom-left, but the layout is symmetric so the offsets are the same.
+ * @param {string} pdfPath - Path to the PDF (rewritten in place)
+ * @param {{width: number, height: number, bleed: number, slug: number}} page - Output page in points
+ * @param {string} pdfVersion - PDF version the file was rendered as, kept when it is rewritten
+ * @returns {Promise<void>}
+ */
+async function setPageBoxes(pdfPath, page, pdfVersion) {
+  const pdf = await PDFDocument.load(fs.readFileSync(pdfPath));
+  const { width, height, bleed, slug } = page;
+  const offset = bleed + slug;
+
+  for (const pdfPage of pdf.getPages()) {
+    const media = pdfPage.getMediaBox();
+
+    pdfPage.setMediaBox(media.x, media.y, width + 2 * offset, height + 2 * offset);
+    pdfPage.setBleedBox(media.x + slug, media.y + slug, width + 2 * bleed, height + 2 * bleed);
+    pdfPage.setTrimBox(media.x + offset, media.y + offset, width, height);
+  }
+
+  await savePdf(pdf, pdfPath, pdfVersion);
+  console.log(`Set TrimBox ${width}x${height}pt and BleedBox ${width + 2 * bleed}x${height + 2 * bleed}pt on ${pdfPath}`);
+}
+
+module.exports = {
+  savePdf,
+  setPageBoxes
+};
@@ -0,0 +1,74 @@
+/**
+ * PDFKit renderer worker: renders one SVG to a PDF off the main thread, so a large document doesn't
+ * block the server and a timeout or cancellation can terminate it (see the pdfkit renderer in renderers.js).
+ *
+ * Takes { inputPath, outputPath, fontPath, pdfVersion } as workerData and exits once the PDF is written.
+ * A failure is posted back as { error } for the renderer to report.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const svgPipeline = require('./svg-pipeline');
+const geometry = require('./svg-geometry');
+const fontStyles = require('./font-styles');
+
+/**
+ * Register a font from the fonts directory with PDFKit, falling back to its built-in Helvetica
+ * @param {Object} doc - PDFKit document
+ * @param {string|string[]} fontPath - Path to the fonts directory, or a font store's layers
+ * @param {string} family - Requested font family
+ * @param {boolean} bold - Bold requested
+ * @param {boolean} italic - Italic requested
+ * @returns {string} - Name of the registered font to use
+ */
+function registerLocalFont(doc, fontPath, family, bold, italic) {
+  const primaryFamily = fontStyles.parseFontFamilies(family)[0] || '';
+  const candidates = svgPipeline.listLocalFonts(fontPath).filter(font => fontStyles.sameFamily(font.family, primaryFamily));
+  const match = fontStyles.findNearestVariant(candidates, { weight: bold ? 700 : 400, style: italic ? 'italic' : 'normal' });
+
+  if (!match) {
+    return bold ? 'Helvetica-Bold' : 'Helvetica';
+  }
+
+  const name = path.basename(match.path, path.extname(match.path));
+  doc.registerFont(name, match.path);
+  return name;
+}
+
+/**
+ * Render an SVG to a PDF the size of its root element
+ * @param {Object} job
+ * @param {string} job.inputPath - Preprocessed SVG
+ * @param {string} job.outputPath - Where to write the PDF
+ * @param {string|string[]} job.fontPath - Path to the fonts directory, or a font store's layers
+ * @param {string} job.pdfVersion - PDF version to write
+ * @returns {Promise<void>} - Resolves when the PDF is written
+ */
+function renderPdf({ inputPath, outputPath, fontPath, pdfVersion }) {
+  return new Promise((resolve, reject) => {
+    const svgContent = fs.readFileSync(inputPath, 'utf8');
+    const root = svgPipeline.parseSvg(svgContent).documentElement;
+    const width = geometry.parseLength(root.getAttribute('width'));
+    const height = geometry.parseLength(root.getAttribute('height'));
+
+    const doc = new PDFDocument({ size: [width, height], margin: 0, pdfVersion });
+    const stream = fs.createWriteStream(outputPath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    SVGtoPDF(doc, svgContent, 0, 0, {
+      width,
+      height,
+      fontCallback: (family, bold, italic) => registerLocalFont(doc, fontPath, family, bold, italic),
+      warningCallback: (message) => console.log(`PDFKit warning: ${message}`)
+    });
+    doc.end();
+  });
+}
+
+renderPdf(workerData).catch((error) => {
+  parentPort.postMessage({ error: error.message });
+});
@@ -0,0 +1,239 @@
+/**
+ * Preflight: checks an SVG for the problems a conversion would run into, without converting it -
+ * its size and viewBox against the output page, its fonts, embedded image resolution, features the
+ * renderers handle differently or that the sanitiser removes, and the text it sets. The analysis runs
+ * the same stages a conversion does (sanitiser, font resolution, page passes) but downloads and
+ * renders nothing. On request it also returns the normalised SVG as a preview of the page layout.
+ */
+const fs = require('fs');
+const svgPipeline = require('./svg-pipeline');
+const svgSanitizer = require('./svg-sanitizer');
+const svgImages = require('./svg-images');
+const geometry = require('./svg-geometry');
+const pageSize = require('./page-size');
+const fontManager = require('./font-manager');
+const fontStyles = require('./font-styles');
+
+// Elements counted in the feature inventory
+const INVENTORY_ELEMENTS = [
+  'filter', 'mask', 'clipPath', 'pattern', 'linearGradient', 'radialGradient', 'marker',
+  'use', 'symbol', 'image', 'text', 'textPath', 'style', 'foreignObject', 'script'
+];
+
+// Features the renderers don't all draw the same way, by element
+const FEATURE_NOTES = {
+  filter: { severity: 'warning', message: 'Filters are rasterised in PDF and EPS output and ignored by PDFKit' },
+  mask: { severity: 'info', message: 'Masks become PDF soft masks, which some print workflows flatten' },
+  pattern: { severity: 'info', message: 'Patterns are drawn as PDF tiling patterns; check them in the proof' }
+};
+
+// Conversion passes that lay out the page; font faces are left out, as a browser can't load their files
+const PREVIEW_PASSES = svgPipeline.DEFAULT_PASSES.filter(pass => pass !== svgPipeline.embedFontFaces);
+
+// Aspect ratio difference (relative) below which artwork and page count as the same shape
+const ASPECT_TOLERANCE = 0.01;
+
+/**
+ * Describe the artwork's size and viewBox and how it lands on the output page
+ * @param {Document} document - The SVG document (before the page passes)
+ * @param {Object} page - Output page from pageSize.parsePageOptions()
+ * @param {Function} addIssue - Called with (severity, category, message)
+ * @returns {Object} - Root width/height/viewBox/preserveAspectRatio as declared, the artwork size in
+ *   points, the page and the scale the fit mode applies
+ */
+function analyzeDimensions(document, page, addIssue) {
+  const root = document.documentElement;
+  const width = root.getAttribute('width') || null;
+  const height = root.getAttribute('height') || null;
+  const { viewport, viewBox } = geometry.resolveRootGeometry(root);
+  const placement = pageSize.computeFit(viewport.width, viewport.height, page);
+
+  if (!viewBox && !width && !height) {
+    addIssue('warning', 'dimensions', `No viewBox or width/height - the artwork is assumed to be ${geometry.DEFAULT_SVG_SIZE}px square`);
+  } else if (!viewBox) {
+    addIssue('info', 'dimensions', 'No viewBox - one is added from width/height');
+  } else if (!width || !height || /%$/.test(width) || /%$/.test(height)) {
+    addIssue('info', 'dimensions', 'Width/height missing or relative - the size is taken from the viewBox');
+  }
+
+  const artworkAspect = viewport.width / viewport.height;
+  const pageAspect = page.width / page.height;
+  const shapesDiffer = Math.abs(artworkAspect / pageAspect - 1) > ASPECT_TOLERANCE;
+  if (shapesDiffer && page.fit === 'contain') {
+    addIssue('info', 'dimensions', 'The artwork and page have different shapes - "contain" leaves empty margins');
+  } else if (shapesDiffer && page.fit === 'cover') {
+    addIssue('warning', 'dimensions', 'The artwork and page have different shapes - "cover" crops the artwork');
+  } else if (shapesDiffer && page.fit === 'stretch') {
+    addIssue('warning', 'dimensions', 'The artwork and page have different shapes - "stretch" distorts the artwork');
+  }
+  if (page.fit === 'none' && (viewport.width > page.width || viewport.height > page.height)) {
+    addIssue('warning', 'dimensions', 'The artwork is larger than the page - "none" crops it');
+  }
+
+  return {
+    width,
+    height,
+    viewBox: viewBox ? [viewBox.minX, viewBox.minY, viewBox.width, viewBox.height] : null,
+    preserveAspectRatio: root.getAttribute('preserveAspectRatio') || null,
+    sizePt: { width: +viewport.width.toFixed(2), height: +viewport.height.toFixed(2) },
+    page: { width: page.width, height: page.height, fit: page.fit, bleed: page.bleed || 0 },
+    scale: { x: +placement.scaleX.toFixed(4), y: +placement.scaleY.toFixed(4) }
+  };
+}
+
+/**
+ * Count the elements behind features that render differently or are removed
+ * @param {Document} document - The SVG document (before sanitising)
+ * @param {Function} addIssue - Called with (severity, category, message)
+ * @returns {Object} - Count per element name in INVENTORY_ELEMENTS
+ */
+function inventoryFeatures(document, addIssue) {
+  const counts = {};
+  for (const name of INVENTORY_ELEMENTS) {
+    counts[name] = svgPipeline.findElements(document.documentElement, name).length;
+  }
+
+  for (const [name, note] of Object.entries(FEATURE_NOTES)) {
+    if (counts[name] > 0) addIssue(note.severity, 'features', `${note.message} (${counts[name]} <${name}>)`);
+  }
+  return counts;
+}
+
+/**
+ * List the text runs and the font each one asks for
+ * @param {Document} document - The SVG document
+ * @param {Function} addIssue - Called with (severity, category, message)
+ * @returns {{element: string, id: string|null, text: string, families: string[], weight: number, style: string}[]}
+ */
+function inventoryText(document, addIssue) {
+  const runs = fontStyles.resolveTextFonts(document).map(run => ({
+    element: run.element.localName,
+    id: run.element.getAttribute('id') || null,
+    text: fontStyles.ownText(run.element).replace(/\s+/g, ' ').trim(),
+    families: run.families,
+    weight: run.weight,
+    style: run.style
+  }));
+
+  const unstyled = runs.filter(run => run.families.length === 0).length;
+  if (unstyled > 0) {
+    addIssue('info', 'text', `${unstyled} text run${unstyled === 1 ? ' has' : 's have'} no font-family - the renderer's default font is used`);
+  }
+  return runs;
+}
+
+/**
+ * Turn the font results into issues
+ * @param {Object} fontResults - fontManager.ensureFontsAvailable() results
+ * @param {boolean} strictFonts - Whether conversions fail on fonts that aren't available as designed
+ * @param {Function} addIssue - Called with (severity, category, message)
+ */
+function reportFontIssues(fontResults, strictFonts, addIssue) {
+  const strictSeverity = strictFonts ? 'error' : 'warning';
+
+  for (const variant of fontResults.variants) {
+    const described = fontStyles.describeVariant(variant);
+    if (variant.status === 'missing') {
+      addIssue(strictSeverity, 'fonts', `${described} is not installed or on Google Fonts - the renderer's default font is used`);
+    } else if (['fallback', 'replaced', 'generic'].includes(variant.status)) {
+      addIssue(strictSeverity, 'fonts', `${described} is not available - ${variant.usedFamily} is used (${variant.status})`);
+    } else if (variant.status === 'substituted') {
+      addIssue('info', 'fonts', `No ${described} - the nearest weight ${variant.file || variant.usedFamily} is used`);
+    } else if (variant.status === 'download') {
+      addIssue('info', 'fonts', `${described} is downloaded from Google Fonts when converting`);
+    }
+
+    for (const fallback of variant.glyphFallbacks) {
+      addIssue('info', 'fonts', `${variant.file} has no glyph for ${fallback.characters} - ${fallback.file} is used for them`);
+    }
+    if (variant.missingCharacters.length > 0) {
+      addIssue(strictSeverity, 'fonts', `No available font has a glyph for ${variant.missingCharacters.join('')} (${described})`);
+    }
+  }
+  for (const error of fontResults.errors) {
+    addIssue('warning', 'fonts', error);
+  }
+}
+
+/**
+ * Analyze an SVG file. The file is rewritten (sanitised) in the process, so pass a copy or an upload.
+ * @param {string} svgPath - Path to the SVG file
+ * @param {Object} options - Conversion settings to check against
+ * @param {Object} options.page - Output page from pageSize.parsePageOptions()
+ * @param {Object} options.images - Image settings from svgImages.parseImageOptions()
+ * @param {string|string[]} options.fontPath - Fonts directory or font store layers
+ * @param {boolean} options.strictFonts - Report font problems as errors, as strict conversions fail on them
+ * @param {boolean} options.preview - Include the normalised SVG and the page boxes
+ * @returns {Promise<Object>} - { ok, summary: {errors, warnings, info}, issues: [{severity, category, message}],
+ *   dimensions, fonts: {variants, report}, images (svgImages report), features: {counts, removed, rejected}, text,
+ *   preview: {svg, boxes} (pageSize.pageBoxes) }. ok is false when the conversion would fail
+ */
+async function analyzeSvgFile(svgPath, { page, images, fontPath, strictFonts = false, preview = false }) {
+  const issues = [];
+  const addIssue = (severity, category, message) => issues.push({ severity, category, message });
+  const finish = (sections) => ({
+    ok: !issues.some(issue => issue.severity === 'error'),
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      info: issues.filter(issue => issue.severity === 'info').length
+    },
+    issues,
+    ...sections
+  });
+
+  let document;
+  try {
+    document = svgPipeline.parseSvg(fs.readFileSync(svgPath, 'utf8'));
+  } catch (error) {
+    addIssue('error', 'svg', error.message);
+    return finish({});
+  }
+
+  const dimensions = analyzeDimensions(document, page, addIssue);
+  const counts = inventoryFeatures(document, addIssue);
+  const text = inventoryText(document, addIssue);
+
+  // What the sanitiser removes before rendering, and whether it rejects the file
+  const { removed, rejected } = svgSanitizer.sanitizeDocument(document);
+  for (const description of removed) {
+    addIssue('warning', 'security', `Removed before rendering: ${description}`);
+  }
+  for (const reason of rejected) {
+    addIssue('error', 'security', `Rejected: ${reason}`);
+  }
+  const features = { counts, removed, rejected };
+  if (rejected.length > 0) {
+    return finish({ dimensions, features, text });
+  }
+
+  // Fonts are resolved from the sanitised file, as in a conversion
+  fs.writeFileSync(svgPath, svgPipeline.serializeSvg(document), 'utf8');
+  const fontResults = await fontManager.ensureFontsAvailable(svgPath, fontPath, null, { download: false });
+  reportFontIssues(fontResults, strictFonts, addIssue);
+
+  // Image resolution depends on where the page passes put the artwork
+  for (const pass of PREVIEW_PASSES) {
+    pass(document, { page, fontPath });
+  }
+  const imageReport = svgImages.inspectImages(document, images);
+  for (const warning of imageReport.warnings) {
+    addIssue('warning', 'images', warning);
+  }
+
+  const sections = {
+    dimensions,
+    fonts: { variants: fontResults.variants, report: fontResults.report },
+    images: imageReport,
+    features,
+    text
+  };
+  if (preview) {
+    sections.preview = { svg: svgPipeline.serializeSvg(document), boxes: pageSize.pageBoxes(page) };
+  }
+  return finish(sections);
+}
+
+module.exports = {
+  analyzeSvgFile
+};
@@ -0,0 +1,455 @@
+/**
+ * Rendering backends that turn a preprocessed SVG into a PDF
+ *
+ * Each renderer has:
+ *   name     - Identifier used in config and requests
+ *   label    - Human readable name for status messages
+ *   formats  - Output formats it can write (see output-formats.js)
+ *   detect() - Resolves to { path, version } when the renderer is usable here, or null. Commands that take
+ *              leading arguments (Flatpak) also set { command, args }; nothing is run through a shell.
+ *   render() - Renders { inputPath, outputPath, fontPath, detection, output, signal } and resolves when the file
+ *              is written. `output` holds the format options; aborting the signal kills the renderer process
+ *              (or terminates the worker thread of the built-in PDFKit renderer) and rejects with the
+ *              signal's reason.
+ *
+ * Detection spawns processes, so it runs once at startup (and on demand) and the results are cached.
+ */
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { Worker } = require('worker_threads');
+const { ConversionError } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+// Renderers tried in this order when the preferred one is missing (override with RENDERERS)
+const DEFAULT_RENDERER_ORDER = ['inkscape', 'rsvg-convert', 'cairosvg', 'pdfkit'];
+
+// Give up on a probe command (e.g. a hung --version) after this long
+const PROBE_TIMEOUT_MS = 15000;
+
+// Worker script the PDFKit renderer runs in
+const PDFKIT_WORKER = path.join(__dirname, 'pdfkit-worker.js');
+
+// Cached detection results: { probedAt, results: { [name]: detection|null } }
+let detectionCache = null;
+let detectionInProgress = null;
+
+/**
+ * Environment variables that point font lookups at the fonts directory
+ * @param {string|string[]} fontPath - Path to the fonts directory, or a font store's layers (highest first)
+ * @returns {Object} - Environment for child processes
+ */
+function fontEnv(fontPath) {
+  const layers = Array.isArray(fontPath) ? fontPath : [fontPath];
+  return {
+    ...process.env,
+    // Add font directories to XDG_DATA_DIRS to help Inkscape find fonts
+    XDG_DATA_DIRS: `${layers.join(':')}:${process.env.XDG_DATA_DIRS || ''}`,
+    // Set FONTCONFIG_PATH for font configuration
+    FONTCONFIG_PATH: layers[0],
+    // Set type.xml for font mapping (helps both Inkscape and ImageMagick)
+    MAGICK_TYPEMAP: path.join(layers[0], 'type.xml')
+  };
+}
+
+/**
+ * Find an executable on the PATH without spawning a shell
+ * @param {string} command - Executable name
+ * @returns {Promise<string|null>} - Full path, or null if not found
+ */
+async function which(command) {
+  const extensions = process.platform === 'win32' ? ['.exe', '.cmd', ''] : [''];
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      try {
+        await fs.promises.access(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch (e) {
+        // Not in this directory
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a version number from a command's --version output
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments before --version (e.g. for a Flatpak invocation)
+ * @param {RegExp} pattern - Pattern whose first group is the version
+ * @returns {Promise<string|null>}
+ */
+async function readVersion(command, args, pattern) {
+  try {
+    const { stdout } = await execFileAsync(command, [...args, '--version'], { encoding: 'utf8', timeout: PROBE_TIMEOUT_MS });
+    const versionMatch = stdout.trim().match(pattern);
+    return versionMatch ? versionMatch[1] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Run an external renderer, logging its output
+ * @param {string} label - Renderer name for logs
+ * @param {string} command - Executable, run directly without a shell
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options - Process options
+ * @param {Object} options.env - Environment variables for the process
+ * @param {AbortSignal} options.signal - Kills the process when aborted
+ * @returns {Promise<void>}
+ */
+function runCommand(label, command, args, { env, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const fullCommand = `${command} ${args.join(' ')}`;
+    console.log(`${label} command: ${fullCommand}`);
+
+    const onExit = (error, stdout, stderr) => {
+      if (stderr) {
+        console.log(`${label} stderr:`, stderr);
+      }
+      if (stdout) {
+        console.log(`${label} stdout:`, stdout);
+      }
+
+      // Killed on timeout or cancellation - report why rather than the kill signal
+      if (signal && signal.aborted) {
+        console.log(`${label} stopped: ${signal.reason.message}`);
+        return reject(signal.reason);
+      }
+
+      if (error) {
+        console.error('\n=== CONVERSION ERROR ===');
+        console.error(`${label} conversion failed:`, error.message);
+        console.error('Command:', fullCommand);
+        if (error.code) console.error('Exit code:', error.code);
+        if (error.signal) console.error('Signal:', error.signal);
+        console.error('=======================\n');
+
+        return reject(new ConversionError(`${label} conversion failed`, error.message));
+      }
+
+      resolve();
+    };
+
+    execFile(command, args, { env, signal: signal || undefined, killSignal: 'SIGKILL' }, onExit);
+  });
+}
+
+/**
+ * Run a built-in renderer in a worker thread, so it doesn't block the server and can be stopped
+ * @param {string} label - Renderer name for logs
+ * @param {string} script - Worker script; it exits when done, or posts { error } when it fails
+ * @param {Object} workerData - Data passed to the worker
+ * @param {Object} options - Worker options
+ * @param {AbortSignal} options.signal - Terminates the worker when aborted
+ * @returns {Promise<void>}
+ */
+function runWorker(label, script, workerData, { signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    console.log(`${label} worker: ${path.basename(workerData.inputPath)}`);
+    const worker = new Worker(script, { workerData });
+    let failure = null;
+    let settled = false;
+
+    const settle = (callback) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback();
+    };
+
+    // Stopped on timeout or cancellation - report why once the worker is gone
+    const onAbort = () => {
+      console.log(`${label} stopped: ${signal.reason.message}`);
+      worker.terminate().finally(() => settle(() => reject(signal.reason)));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const fail = (message) => settle(() => {
+      console.error(`${label} conversion failed:`, message);
+      reject(new ConversionError(`${label} conversion failed`, message));
+    });
+
+    worker.on('message', (message) => {
+      if (message && message.error) failure = message.error;
+    });
+    worker.on('error', (error) => fail(error.message));
+    worker.on('exit', (code) => {
+      if (signal && signal.aborted) return;
+      if (failure) return fail(failure);
+      if (code !== 0) return fail(`${label} worker exited with code ${code}`);
+      settle(resolve);
+    });
+  });
+}
+
+const inkscape = {
+  name: 'inkscape',
+  label: 'Inkscape',
+  formats: ['pdf', 'png', 'eps', 'svg'],
+
+  async detect() {
+    // Flatpak version (common on EC2)
+    try {
+      const { stdout } = await execFileAsync('flatpak', ['list'], { encoding: 'utf8', timeout: PROBE_TIMEOUT_MS });
+      if (stdout.includes('org.inkscape.Inkscape')) {
+        const version = await readVersion('flatpak', ['run', 'org.inkscape.Inkscape'], /Inkscape\s+(\d+\.\d+)/i);
+        return { path: 'flatpak run org.inkscape.Inkscape', command: 'flatpak', args: ['run', 'org.inkscape.Inkscape'], version: version || '1.0' };
+      }
+    } catch (e) {
+      // Flatpak not installed, continue checking
+    }
+
+    const inkscapePaths = [
+      '/usr/bin/inkscape',                    // Linux/Unix
+      '/usr/local/bin/inkscape',              // Homebrew on Intel Mac
+      '/opt/homebrew/bin/inkscape',           // Homebrew on Apple Silicon Mac
+      '/Applications/Inkscape.app/Contents/MacOS/inkscape', // macOS app
+      'C:\\Program Files\\Inkscape\\bin\\inkscape.exe',  // Windows
+    ];
+
+    // Find the first existing Inkscape path, then fall back to the PATH
+    const inkscapePath = inkscapePaths.find(pathToCheck => fs.existsSync(pathToCheck)) || await which('inkscape');
+    if (!inkscapePath) return null;
+
+    // Default to 1.0+ parameters when the version can't be read
+    const version = await readVersion(inkscapePath, [], /Inkscape\s+(\d+\.\d+)/i);
+    return { path: inkscapePath, version: version || '1.0' };
+  },
+
+  render({ inputPath, outputPath, fontPath, detection, output, signal }) {
+    const inkscapeOptions = [
+      '--export-filename', outputPath,
+      '--export-area-page',            // Export the entire SVG page (already sized to the output page)
+      ...inkscapeFormatOptions(output),
+      `--export-type=${output.format}`, // Output type
+      inputPath
+    ];
+
+    // The Flatpak install runs as `flatpak run <app>` followed by the options
+    const command = detection.command || detection.path;
+    return runCommand('Inkscape', command, [...(detection.args || []), ...inkscapeOptions], { env: fontEnv(fontPath), signal });
+  }
+};
+
+/**
+ * Inkscape command line options for an output format
+ * @param {{format: string, dpi: number, background: string, pdfVersion: string}} output - Format options
+ * @returns {string[]}
+ */
+function inkscapeFormatOptions(output) {
+  if (output.format === 'png') {
+    const transparent = output.background === 'transparent';
+    return [
+      `--export-dpi=${output.dpi}`,
+      `--export-background=${transparent ? 'white' : output.background}`,
+      `--export-background-opacity=${transparent ? 0 : 1}`
+    ];
+  }
+
+  if (output.format === 'svg') {
+    return ['--export-plain-svg', '--export-text-to-path'];
+  }
+
+  const options = [
+    '--export-dpi=72',                 // 72 DPI = 1pt = 1px
+    '--export-text-to-path'            // Convert text to paths
+  ];
+  if (output.format === 'pdf') {
+    options.push(`--export-pdf-version=${output.pdfVersion}`);
+  }
+  return options;
+}
+
+const rsvgConvert = {
+  name: 'rsvg-convert',
+  label: 'rsvg-convert',
+  formats: ['pdf', 'png', 'eps', 'svg'],
+
+  async detect() {
+    const rsvgPath = await which('rsvg-convert');
+    if (!rsvgPath) return null;
+    return { path: rsvgPath, version: await readVersion(rsvgPath, [], /version\s+(\d+\.\d+(?:\.\d+)?)/i) };
+  },
+
+  render({ inputPath, outputPath, fontPath, detection, output, signal }) {
+    const args = ['--format', output.format, '--output', outputPath];
+    if (output.format === 'png') {
+      args.push('--dpi-x', String(output.dpi), '--dpi-y', String(output.dpi));
+      if (output.background !== 'transparent') args.push('--background-color', output.background);
+    }
+
+    return runCommand('rsvg-convert', detection.path, [...args, inputPath], { env: fontEnv(fontPath), signal });
+  }
+};
+
+const cairosvg = {
+  name: 'cairosvg',
+  label: 'CairoSVG',
+  formats: ['pdf', 'png', 'eps', 'svg'],
+
+  async detect() {
+    const cairosvgPath = await which('cairosvg');
+    if (!cairosvgPath) return null;
+    return { path: cairosvgPath, version: await readVersion(cairosvgPath, [], /(\d+\.\d+(?:\.\d+)?)/) };
+  },
+
+  render({ inputPath, outputPath, fontPath, detection, output, signal }) {
+    const args = [inputPath, '--format', output.format, '--output', outputPath];
+    if (output.format === 'png') {
+      args.push('--dpi', String(output.dpi));
+      if (output.background !== 'transparent') args.push('--background', output.background);
+    }
+
+    return runCommand('CairoSVG', detection.path, args, { env: fontEnv(fontPath), signal });
+  }
+};
+
+const pdfkit = {
+  name: 'pdfkit',
+  label: 'PDFKit (built in)',
+  formats: ['pdf'],
+
+  async detect() {
+    try {
+      // pdfkit's exports map hides package.json, so read it from beside the entry point
+      const pdfkitPackage = path.join(path.dirname(require.resolve('pdfkit')), '..', 'package.json');
+      return { path: require.resolve('svg-to-pdfkit'), version: JSON.parse(fs.readFileSync(pdfkitPackage, 'utf8')).version };
+    } catch (e) {
+      return null;
+    }
+  },
+
+  render({ inputPath, outputPath, fontPath, output, signal }) {
+    return runWorker('PDFKit', PDFKIT_WORKER, { inputPath, outputPath, fontPath, pdfVersion: output.pdfVersion }, { signal });
+  }
+};
+
+const RENDERERS = {
+  [inkscape.name]: inkscape,
+  [rsvgConvert.name]: rsvgConvert,
+  [cairosvg.name]: cairosvg,
+  [pdfkit.name]: pdfkit
+};
+
+/**
+ * Renderer names in preference order, from the RENDERERS environment variable if set
+ * @returns {string[]}
+ */
+function getRendererOrder() {
+  const configured = (process.env.RENDERERS || '').split(',').map(name => name.trim()).filter(Boolean);
+  const order = configured.length > 0 ? configured : DEFAULT_RENDERER_ORDER;
+  return order.filter(name => RENDERERS[name]);
+}
+
+/**
+ * Check that a requested renderer name exists
+ * @param {string} name - Renderer name from a request
+ * @returns {string|null} - The name, or null when none was requested
+ */
+function parseRendererName(name) {
+  if (!name) return null;
+  if (!RENDERERS[name]) {
+    throw new Error(`Unknown renderer "${name}" - use one of ${Object.keys(RENDERERS).join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Probe every renderer and cache the results. Concurrent callers share one probe.
+ * @param {Object} options - Probe options
+ * @param {boolean} options.force - Probe again even if results are cached
+ * @returns {Promise<{probedAt: string, results: Object}>} - Detection results by renderer name
+ */
+function detectRenderers({ force = false } = {}) {
+  if (detectionCache && !force) return Promise.resolve(detectionCache);
+  if (detectionInProgress) return detectionInProgress;
+
+  detectionInProgress = (async () => {
+    const results = {};
+    for (const renderer of Object.values(RENDERERS)) {
+      try {
+        results[renderer.name] = await renderer.detect();
+      } catch (error) {
+        console.error(`Error detecting ${renderer.label}: ${error.message}`);
+        results[renderer.name] = null;
+      }
+
+      const detection = results[renderer.name];
+      console.log(detection
+        ? `Renderer ${renderer.label} found at ${detection.path}${detection.version ? ` (version ${detection.version})` : ''}`
+        : `Renderer ${renderer.label} not found on this system`);
+    }
+
+    detectionCache = { probedAt: new Date().toISOString(), results };
+    return detectionCache;
+  })();
+
+  return detectionInProgress.finally(() => {
+    detectionInProgress = null;
+  });
+}
+
+/**
+ * Describe every renderer and whether it was found
+ * @returns {Promise<Object[]>} - One entry per renderer, in preference order first
+ */
+async function describeRenderers() {
+  const { results } = await detectRenderers();
+  const order = getRendererOrder();
+  const names = [...order, ...Object.keys(RENDERERS).filter(name => !order.includes(name))];
+
+  return names.map(name => ({
+    name,
+    label: RENDERERS[name].label,
+    available: Boolean(results[name]),
+    inFallbackOrder: order.includes(name),
+    formats: RENDERERS[name].formats,
+    path: results[name] ? results[name].path : null,
+    version: results[name] ? results[name].version : null
+  }));
+}
+
+/**
+ * Pick the renderer to use: the preferred one if available, otherwise the first available in the configured order.
+ * Only renderers that can write the requested format are considered.
+ * @param {string|null} preferred - Renderer requested by the caller
+ * @param {string} format - Output format id
+ * @returns {Promise<{renderer: Object, detection: {path: string, version: string}}>}
+ */
+async function selectRenderer(preferred = null, format = 'pdf') {
+  const { results } = await detectRenderers();
+  const order = [...new Set([preferred, ...getRendererOrder()].filter(Boolean))]
+    .filter(name => RENDERERS[name].formats.includes(format));
+
+  for (const name of order) {
+    const detection = results[name];
+    if (detection) {
+      if (preferred && name !== preferred) {
+        console.log(`Preferred renderer ${preferred} is not available for ${format}, falling back to ${RENDERERS[name].label}`);
+      }
+      return { renderer: RENDERERS[name], detection };
+    }
+  }
+
+  throw new ConversionError(`No renderer that can write ${format.toUpperCase()} is installed on this system`,
+    `Tried: ${order.join(', ') || 'none'}`);
+}
+
+module.exports = {
+  RENDERERS,
+  DEFAULT_RENDERER_ORDER,
+  getRendererOrder,
+  parseRendererName,
+  detectRenderers,
+  describeRenderers,
+  selectRenderer
+};
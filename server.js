@@ -7,16 +7,35 @@ try {
 
 const express = require('express');
 const multer = require('multer');
-const { execFile, exec, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const fontManager = require('./font-manager');
+const fontCatalog = require('./font-catalog');
+const fontStyles = require('./font-styles');
+const fontSubstitution = require('./font-substitution');
+const fontStores = require('./font-stores');
+const jobs = require('./jobs');
+const pageSize = require('./page-size');
+const outputFormats = require('./output-formats');
+const batch = require('./batch');
+const svgPipeline = require('./svg-pipeline');
+const svgSanitizer = require('./svg-sanitizer');
+const svgImages = require('./svg-images');
+const preflight = require('./preflight');
+const svgTemplate = require('./svg-template');
+const pdfPostprocess = require('./pdf-postprocess');
+const renderers = require('./renderers');
+const jobQueue = require('./job-queue');
+const { ConversionError, JobCancelledError, AuthenticationError } = require('./errors');
 
 const app = express();
 const PORT = 3001;
 
-// PDF output size configuration
-const TARGET_PDF_SIZE = 102; // Target PDF size in points
+// Fonts directory (absolute, so renderers can find it)
+const FONTS_DIR = path.resolve(__dirname, 'fonts');
+
+// Number of SVGs from one batch converted at the same time
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
 
 // Configure multer for file uploads
 const upload = multer({
@@ -31,36 +50,860 @@ const upload = multer({
     }
 });
 
+// Configure multer for batch uploads (many SVGs and/or ZIP archives of SVGs)
+const batchUpload = multer({
+    dest: 'temp/',
+    limits: { fileSize: 50 * 1024 * 1024, files: 200 }, // 50MB per file to allow ZIPs
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'image/svg+xml' || batch.isZipUpload(file)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only SVG or ZIP files allowed'));
+        }
+    }
+});
+
+// Configure multer for template merges (the template SVG, a JSON/CSV data set and the images it names)
+const mergeUpload = multer({
+    dest: 'temp/',
+    limits: { fileSize: 10 * 1024 * 1024, files: 102 },
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'template' && file.mimetype === 'image/svg+xml') {
+            cb(null, true);
+        } else if (file.fieldname === 'data' && /\.(json|csv)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else if (file.fieldname === 'images' && /^image\/(png|jpeg|gif|webp|bmp)$/.test(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Upload a template SVG, a JSON or CSV data file and PNG, JPEG, GIF, WebP or BMP images'));
+        }
+    }
+});
+
+// Configure multer for font uploads (kept in memory: they are converted before being saved)
+const fontUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024, files: 20 },
+    fileFilter: (req, file, cb) => {
+        if (/\.(ttf|otf|woff2?)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only TTF, OTF, WOFF or WOFF2 font files allowed'));
+        }
+    }
+});
+
+// Family names end up in type.xml and file names, so keep them to plain characters
+const FAMILY_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._-]{0,99}$/u;
+
 // Serve static files from public directory
 app.use(express.static('public'));
 
-// Convert SVG to PDF endpoint
-app.post('/convert', upload.single('svg'), async (req, res) => {
+// Built-in output page presets for common product sizes
+app.get('/presets', (req, res) => {
+    res.json({
+        presets: pageSize.PAGE_PRESETS,
+        units: Object.keys(pageSize.UNIT_TO_PT),
+        fitModes: pageSize.FIT_MODES
+    });
+});
+
+// Readiness check for pm2 and the load balancer: 200 when a renderer and the fonts directory are usable
+app.get('/health', async (req, res) => {
+    const rendererList = await renderers.describeRenderers();
+    const renderer = rendererList.find(r => r.available && r.inFallbackOrder) || null;
+    const fonts = fontManager.getFontDirectoryStatus(FONTS_DIR);
+    const ready = Boolean(renderer) && fonts.exists;
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'unavailable',
+        renderer: renderer && { name: renderer.name, path: renderer.path, version: renderer.version },
+        fonts: { exists: fonts.exists, writable: fonts.writable },
+        queue: jobQueue.getQueueStatus(),
+        uptime: Math.round(process.uptime())
+    });
+});
+
+// What this server can do: renderers, fonts, Google Fonts access and output options
+app.get('/capabilities', async (req, res) => {
+    res.json(await buildCapabilities());
+});
+
+// Probe the renderers again (e.g. after installing Inkscape) and report the new capabilities
+app.post('/capabilities/refresh', async (req, res) => {
+    await renderers.detectRenderers({ force: true });
+    res.json(await buildCapabilities());
+});
+
+// Convert SVG endpoint - starts a conversion job (PDF by default) and returns its id
+app.post('/convert', upload.single('svg'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No SVG file uploaded' });
     }
 
     const inputPath = req.file.path;
     const inputSvgPath = `${inputPath}.svg`;
-    const outputPath = path.join('temp', `${req.file.filename}.pdf`);
+
+    const store = requestFontStore(req, res);
+    if (!store) {
+        cleanup(inputPath);
+        return;
+    }
+    
+    // Resolve the requested output page size, fit mode, format, image handling, renderer and font policy
+    let page;
+    let outputOptions;
+    let imageOptions;
+    let renderer;
+    let strictFonts;
+    try {
+        page = pageSize.parsePageOptions(req.body);
+        outputOptions = outputFormats.parseFormatOptions(req.body);
+        imageOptions = svgImages.parseImageOptions(req.body, outputOptions);
+        renderer = renderers.parseRendererName(req.body.renderer);
+        strictFonts = fontSubstitution.parseStrictOption(req.body.strictFonts);
+    } catch (error) {
+        cleanup(inputPath);
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const outputPath = path.join('temp', `${req.file.filename}-out.${outputFormats.getFormat(outputOptions.format).extension}`);
     
     // Rename uploaded file to have .svg extension
     fs.renameSync(inputPath, inputSvgPath);
 
+    const job = jobs.createJob({
+        originalName: req.file.originalname,
+        inputPath: inputSvgPath,
+        outputPath,
+        downloadName: outputFormats.outputFileName(req.file.originalname, outputOptions.format),
+        tempFiles: [inputSvgPath, outputPath],
+        page,
+        outputOptions,
+        imageOptions,
+        renderer,
+        strictFonts,
+        tenant: store.tenant,
+        onExpire: (job) => cleanup(...job.tempFiles)
+    });
+
+    jobQueue.enqueue(job, (signal) => runConversionJob(job, signal));
+
+    res.status(202).json({
+        ...describeQueuedJob(job),
+        eventsUrl: `/jobs/${job.id}/events`,
+        downloadUrl: `/jobs/${job.id}/download`
+    });
+});
+
+// Batch conversion endpoint - many SVGs (or ZIPs of SVGs) into a ZIP of converted files or one merged PDF
+app.post('/convert/batch', batchUpload.array('files'), async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No SVG or ZIP files uploaded' });
+    }
+
+    const store = requestFontStore(req, res);
+    if (!store) {
+        cleanup(...files.map(file => file.path));
+        return;
+    }
+
+    let options;
+    try {
+        options = { ...parseBatchOptions(req.body), tenant: store.tenant };
+    } catch (error) {
+        cleanup(...files.map(file => file.path));
+        return res.status(400).json({ error: error.message });
+    }
+
+    // Unpack ZIPs so every input is an SVG on disk, in upload order
+    let inputs;
+    try {
+        inputs = batch.expandUploads(files, 'temp');
+    } catch (error) {
+        console.error('Error unpacking batch upload:', error);
+        cleanup(...files.map(file => file.path));
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (inputs.length === 0) {
+        return res.status(400).json({ error: 'No SVG files found in upload' });
+    }
+
+    const job = enqueueBatchJob({
+        originalName: `${inputs.length} SVG files`,
+        inputs,
+        outputPath: path.join('temp', `${files[0].filename}-batch.${options.output}`),
+        downloadName: options.output === 'zip' ? 'converted.zip' : 'converted.pdf',
+        options
+    });
+
+    res.status(202).json({
+        ...describeQueuedJob(job),
+        files: inputs.length,
+        eventsUrl: `/jobs/${job.id}/events`,
+        downloadUrl: `/jobs/${job.id}/download`
+    });
+});
+
+// Template merge - fill a template SVG's text and images from each record of a JSON or CSV data set,
+// then convert the merged SVGs like a batch: a ZIP with one file per record, or one combined PDF
+app.post('/merge', mergeUpload.fields([
+    { name: 'template', maxCount: 1 },
+    { name: 'data', maxCount: 1 },
+    { name: 'images', maxCount: 100 }
+]), async (req, res) => {
+    const template = req.files && req.files.template ? req.files.template[0] : null;
+    const dataFile = req.files && req.files.data ? req.files.data[0] : null;
+    const imageFiles = (req.files && req.files.images) || [];
+    const uploads = [template, dataFile, ...imageFiles].filter(Boolean).map(file => file.path);
+
+    if (!template) {
+        cleanup(...uploads);
+        return res.status(400).json({ error: 'No template SVG uploaded' });
+    }
+
+    const store = requestFontStore(req, res);
+    if (!store) {
+        cleanup(...uploads);
+        return;
+    }
+
+    let options;
+    let inputs;
+    let fields;
+    try {
+        options = { ...parseBatchOptions(req.body), tenant: store.tenant };
+
+        // The data set comes as a file or as a form field
+        const data = dataFile ? fs.readFileSync(dataFile.path, 'utf8') : req.body.data;
+        if (!data) {
+            throw new Error('No data set - upload a JSON or CSV file as `data` or send it in the `data` field');
+        }
+        const dataFormat = req.body.dataFormat || (dataFile && /\.(json|csv)$/i.test(dataFile.originalname)
+            ? path.extname(dataFile.originalname).slice(1)
+            : null);
+        const records = svgTemplate.parseRecords(data, dataFormat);
+
+        ({ inputs, fields } = svgTemplate.mergeTemplateFile(template.path, records, {
+            images: new Map(imageFiles.map(file => [file.originalname, file.path])),
+            tempDir: 'temp',
+            baseName: template.filename,
+            nameField: req.body.nameField || null
+        }));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    } finally {
+        cleanup(...uploads);
+    }
+
+    const job = enqueueBatchJob({
+        originalName: `${inputs.length} records merged into ${template.originalname}`,
+        inputs,
+        outputPath: path.join('temp', `${template.filename}-merge.${options.output}`),
+        downloadName: `${template.originalname.replace(/\.svg$/i, '')}.${options.output}`,
+        options
+    });
+
+    res.status(202).json({
+        ...describeQueuedJob(job),
+        records: inputs.length,
+        fields,
+        eventsUrl: `/jobs/${job.id}/events`,
+        downloadUrl: `/jobs/${job.id}/download`
+    });
+});
+
+// Preflight: report what a conversion with the same fields would run into, without converting.
+// With `preview` the normalised SVG comes back too, for the upload page to draw the page layout
+app.post('/analyze', upload.single('svg'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No SVG file uploaded' });
+    }
+
+    const store = requestFontStore(req, res);
+    if (!store) {
+        cleanup(req.file.path);
+        return;
+    }
+
+    let page;
+    let imageOptions;
+    let strictFonts;
+    try {
+        page = pageSize.parsePageOptions(req.body);
+        imageOptions = svgImages.parseImageOptions(req.body, outputFormats.parseFormatOptions(req.body));
+        strictFonts = fontSubstitution.parseStrictOption(req.body.strictFonts);
+    } catch (error) {
+        cleanup(req.file.path);
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const report = await preflight.analyzeSvgFile(req.file.path, {
+            page,
+            images: imageOptions,
+            fontPath: store.layers,
+            strictFonts,
+            preview: pageSize.parseFlag(req.body.preview)
+        });
+        res.json({ file: req.file.originalname, ...report });
+    } catch (error) {
+        console.error('Preflight failed:', error);
+        res.status(500).json({ error: 'Analysis failed', details: error.message });
+    } finally {
+        cleanup(req.file.path);
+    }
+});
+
+// Job status summary (includes the per-file manifest for batch jobs)
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+        ...describeQueuedJob(job),
+        stage: job.stage || null,
+        downloadUrl: job.status === 'complete' ? `/jobs/${job.id}/download` : null,
+        fontReport: job.fontReport || null,
+        imageReport: job.imageReport || null,
+        manifest: job.manifest || null
+    });
+});
+
+// Cancel a queued or running job
+app.post('/jobs/:id/cancel', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (jobs.isFinished(job) || !jobQueue.cancel(job)) {
+        return res.status(409).json({ error: `Job is ${job.status} and can no longer be cancelled` });
+    }
+
+    // A queued job is cancelled at once; a running one stops once its renderer has been killed
+    if (job.status === 'cancelled') {
+        cleanup(...job.tempFiles);
+    }
+
+    res.status(202).json({ jobId: job.id, status: job.status === 'cancelled' ? 'cancelled' : 'cancelling' });
+});
+
+// Stream conversion progress for a job as Server-Sent Events
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    jobs.streamEvents(job, req, res);
+});
+
+// Download the file produced by a completed job
+app.get('/jobs/:id/download', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'complete') {
+        return res.status(409).json({ error: `Job is ${job.status}, output not available` });
+    }
+
+    // Let support see substituted and missing fonts without opening the file
+    if (job.fontReport) {
+        res.set(fontSubstitution.reportHeaders(job.fontReport));
+    }
+
+    res.download(job.outputPath, job.downloadName, (err) => {
+        if (err) {
+            console.error('Download error:', err);
+            return;
+        }
+
+        console.log(`📤 ${job.downloadName} download started`);
+        
+        // Clean up files after download
+        cleanup(...job.tempFiles);
+        jobs.removeJob(job.id);
+    });
+});
+
+// Installed fonts grouped by family, with their variants and where they came from.
+// Every font route works on the fonts of the tenant its X-Tenant-Token header authenticates
+app.get('/fonts', (req, res) => {
+    const store = requestFontStore(req, res);
+    if (!store) return;
+
+    res.json({
+        tenant: store.tenant,
+        fonts: fontManager.listInstalledFonts(store.layers),
+        directory: fontManager.getFontDirectoryStatus(store.dir)
+    });
+});
+
+// Font file, for samples on the admin page
+app.get('/fonts/files/:file', (req, res) => {
+    const store = requestFontStore(req, res);
+    if (!store) return;
+
+    const font = fontManager.listInstalledFonts(store.layers)
+        .flatMap(family => family.variants)
+        .find(variant => variant.file === req.params.file);
+    if (!font) {
+        return res.status(404).json({ error: 'Font file not found' });
+    }
+
+    res.sendFile(font.file, { root: font.shared ? store.baseDir : store.dir });
+});
+
+// Upload licensed font files (`fonts` form field). Optional family, weight and style fields
+// override what the file names say
+app.post('/fonts', fontUpload.array('fonts'), async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No font files uploaded' });
+    }
+
+    const store = requestFontStore(req, res, { change: true });
+    if (!store) return;
+
+    let overrides;
+    try {
+        overrides = parseFontVariantFields(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const installed = await fontManager.installFontFiles(
+            files.map(file => ({ buffer: file.buffer, originalName: file.originalname })),
+            store.layers,
+            overrides
+        );
+        res.status(201).json({ installed, fonts: fontManager.listInstalledFonts(store.layers) });
+    } catch (error) {
+        console.error('Font upload failed:', error);
+        res.status(400).json({ error: `Could not install font: ${error.message}` });
+    }
+});
+
+// Download a Google Fonts family ahead of time: { family, variants: ["regular", "700italic"] }.
+// Google Fonts are public, so they always go in the shared fonts
+app.post('/fonts/google', express.json(), express.urlencoded({ extended: false }), async (req, res) => {
+    const store = requestFontStore(req, res);
+    if (!store) return;
+
+    const body = req.body || {};
+    const family = String(body.family || '').trim();
+    if (!FAMILY_NAME_PATTERN.test(family)) {
+        return res.status(400).json({ error: 'A font family name is required' });
+    }
+
+    let variants = body.variants || null;
+    if (typeof variants === 'string') {
+        variants = variants.split(',').map(key => key.trim()).filter(Boolean);
+    }
+
+    try {
+        const result = await fontManager.prefetchGoogleFont(family, store.layers, variants && variants.length > 0 ? variants : null);
+        res.status(201).json({ ...result, fonts: fontManager.listInstalledFonts(store.layers) });
+    } catch (error) {
+        console.error(`Prefetching ${family} failed:`, error.message);
+        const notFound = /not found in Google Fonts catalog/.test(error.message);
+        res.status(notFound ? 404 : 502).json({ error: error.message });
+    }
+});
+
+// Delete one font file (a tenant can only delete its own)
+app.delete('/fonts/files/:file', async (req, res) => {
+    const store = requestFontStore(req, res, { change: true });
+    if (!store) return;
+
+    const font = fontManager.listInstalledFonts(store.layers)
+        .flatMap(family => family.variants.map(variant => ({ ...variant, family: family.family })))
+        .find(variant => variant.file === req.params.file);
+    if (!font) {
+        return res.status(404).json({ error: 'Font file not found' });
+    }
+    if (font.shared) {
+        return res.status(403).json({ error: `${font.file} is a shared font - only the font admin can delete it` });
+    }
+
+    const deleted = await fontManager.deleteFont(font.family, store.layers, font.file);
+    res.json({ deleted });
+});
+
+// Delete every file of a font family (a tenant's own files only)
+app.delete('/fonts/:family', async (req, res) => {
+    const store = requestFontStore(req, res, { change: true });
+    if (!store) return;
+
+    const deleted = await fontManager.deleteFont(req.params.family, store.layers);
+    if (deleted.length === 0) {
+        return res.status(404).json({ error: `Font "${req.params.family}" is not installed` });
+    }
+
+    res.json({ deleted });
+});
+
+/**
+ * Get the font store a request works on: the tenant its X-Tenant-Token header authenticates, or the
+ * shared fonts when it sends no token. The tenant is never taken from a field or query parameter.
+ * Changing the shared fonts also takes the X-Font-Admin-Token header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response, answered with a 401 for an unknown or missing token, a 403 when
+ *   the shared fonts are read-only and a 400 when the request names a tenant itself
+ * @param {Object} options
+ * @param {boolean} options.change - The request uploads or deletes fonts
+ * @returns {Object|null} - Font store, or null when the response has been sent
+ */
+function requestFontStore(req, res, { change = false } = {}) {
+    if ((req.body && req.body.tenant !== undefined) || req.query.tenant !== undefined) {
+        res.status(400).json({ error: 'Send the tenant token in the X-Tenant-Token header - a tenant field or query parameter is not accepted' });
+        return null;
+    }
+
+    let store;
+    try {
+        store = fontStores.getFontStore(FONTS_DIR, fontStores.authenticateTenant(req.get('X-Tenant-Token')));
+    } catch (error) {
+        if (!(error instanceof AuthenticationError)) throw error;
+        res.status(401).json({ error: error.message });
+        return null;
+    }
+
+    if (change && !store.tenant && !fontStores.isAdminToken(req.get('X-Font-Admin-Token'))) {
+        if (fontStores.SHARED_FONTS_WRITABLE) {
+            res.status(401).json({ error: 'Changing the shared fonts needs the X-Font-Admin-Token header, or a tenant token to change that tenant\'s fonts' });
+        } else {
+            res.status(403).json({ error: 'The shared fonts are read-only - set FONT_ADMIN_TOKEN to manage them, or send a tenant token' });
+        }
+        return null;
+    }
+    return store;
+}
+
+/**
+ * Read the optional family, weight and style fields of a font upload
+ * @param {Object} body - Request fields
+ * @returns {{family?: string, weight?: number, style?: string}} - Only the fields given
+ */
+function parseFontVariantFields(body = {}) {
+    const fields = {};
+
+    if (body.family) {
+        fields.family = String(body.family).trim();
+        if (!FAMILY_NAME_PATTERN.test(fields.family)) {
+            throw new Error('Font family names may only contain letters, digits, spaces, dots, hyphens and underscores');
+        }
+    }
+
+    if (body.weight) {
+        fields.weight = Number(body.weight);
+        if (!Number.isInteger(fields.weight) || fields.weight < 1 || fields.weight > 1000) {
+            throw new Error('Font weight must be a whole number from 1 to 1000');
+        }
+    }
+
+    if (body.style) {
+        fields.style = String(body.style).toLowerCase();
+        if (!['normal', 'italic'].includes(fields.style)) {
+            throw new Error('Font style must be normal or italic');
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Parse the fields shared by batch conversions and template merges
+ * @param {Object} body - Request fields
+ * @returns {{output: string, page: Object, outputOptions: Object, imageOptions: Object, renderer: string|null, strictFonts: boolean}}
+ * @throws {Error} - When a field is invalid
+ */
+function parseBatchOptions(body) {
+    const output = body.output || 'zip';
+    if (!['zip', 'pdf'].includes(output)) {
+        throw new Error(`Unsupported batch output "${output}" - use zip or pdf`);
+    }
+    const page = pageSize.parsePageOptions(body);
+    const outputOptions = outputFormats.parseFormatOptions(body);
+    if (output === 'pdf' && outputOptions.format !== 'pdf') {
+        throw new Error(`A merged PDF can't be made from ${outputOptions.format} files - use output=zip`);
+    }
+
+    return {
+        output,
+        page,
+        outputOptions,
+        imageOptions: svgImages.parseImageOptions(body, outputOptions),
+        renderer: renderers.parseRendererName(body.renderer),
+        strictFonts: fontSubstitution.parseStrictOption(body.strictFonts)
+    };
+}
+
+/**
+ * Create a batch job for SVGs already on disk and queue it
+ * @param {Object} batchJob
+ * @param {string} batchJob.originalName - Description of the input, for the job status
+ * @param {{name: string, path: string}[]} batchJob.inputs - SVGs to convert, in output order
+ * @param {string} batchJob.outputPath - Where to write the ZIP or combined PDF
+ * @param {string} batchJob.downloadName - File name offered for download
+ * @param {Object} batchJob.options - parseBatchOptions() result, with the tenant from requestFontStore()
+ * @returns {Object} - The queued job
+ */
+function enqueueBatchJob({ originalName, inputs, outputPath, downloadName, options }) {
+    const job = jobs.createJob({
+        originalName,
+        batch: true,
+        inputs,
+        outputPath,
+        downloadName,
+        tempFiles: [outputPath, ...inputs.map(input => input.path)],
+        ...options,
+        onExpire: (job) => cleanup(...job.tempFiles)
+    });
+
+    // The whole batch holds one worker, so allow it one time limit per round of files
+    jobQueue.enqueue(job, (signal) => runBatchJob(job, signal), {
+        timeoutMs: jobQueue.JOB_TIMEOUT_MS * Math.ceil(inputs.length / BATCH_CONCURRENCY)
+    });
+    return job;
+}
+
+/**
+ * Status fields shared by the job endpoints
+ * @param {Object} job - The job
+ * @returns {{jobId: string, status: string, queuePosition: number|null, cancelUrl: string|null}}
+ */
+function describeQueuedJob(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        queuePosition: jobQueue.getQueuePosition(job),
+        cancelUrl: jobs.isFinished(job) ? null : `/jobs/${job.id}/cancel`
+    };
+}
+
+/**
+ * Describe the server's conversion capabilities
+ * @returns {Promise<Object>}
+ */
+async function buildCapabilities() {
+    const { probedAt } = await renderers.detectRenderers();
+
+    return {
+        renderers: await renderers.describeRenderers(),
+        rendererOrder: renderers.getRendererOrder(),
+        renderersProbedAt: probedAt,
+        fonts: fontManager.getFontDirectoryStatus(FONTS_DIR),
+        googleFontsApiKey: Boolean(process.env.GOOGLE_FONTS_API_KEY),
+        fontCatalog: fontCatalog.getCatalogStatus(),
+        strictFonts: fontSubstitution.STRICT_FONTS,
+        outputFormats: Object.values(outputFormats.OUTPUT_FORMATS),
+        pdfVersions: outputFormats.PDF_VERSIONS,
+        defaultDpi: outputFormats.DEFAULT_DPI,
+        imageFormats: svgImages.IMAGE_FORMATS,
+        downsampleImages: svgImages.DOWNSAMPLE_IMAGES,
+        batchOutputs: ['zip', 'pdf'],
+        units: Object.keys(pageSize.UNIT_TO_PT),
+        fitModes: pageSize.FIT_MODES
+    };
+}
+
+/**
+ * Run the font, preprocessing and Inkscape stages for a job, reporting progress as it goes
+ * @param {Object} job - The conversion job
+ * @param {AbortSignal} signal - Aborted by the queue on timeout or cancellation
+ * @returns {Promise<void>}
+ */
+async function runConversionJob(job, signal) {
+    const { inputPath, outputPath, page, outputOptions, imageOptions, renderer, strictFonts, tenant } = job;
+
+    try {
+        const { fontResults, imageReport, renderer: usedRenderer, sanitized } = await convertSvg(
+            { inputPath, outputPath, page, output: outputOptions, images: imageOptions, renderer, strictFonts, tenant, name: job.originalName, signal },
+            (stage, message) => jobs.reportProgress(job, stage, message)
+        );
+        
+        job.fontReport = fontResults.report;
+        job.imageReport = imageReport;
+        jobs.reportProgress(job, 'download', `${outputFormats.getFormat(outputOptions.format).label} ready for download`);
+        jobs.completeJob(job, {
+            downloadUrl: `/jobs/${job.id}/download`,
+            fileName: job.downloadName,
+            page,
+            format: outputOptions.format,
+            renderer: usedRenderer,
+            fonts: fontResults,
+            fontReport: fontResults.report,
+            imageReport,
+            sanitized
+        });
+    } catch (error) {
+        cleanup(inputPath, outputPath);
+        if (error instanceof JobCancelledError) {
+            console.log(`Job ${job.id} cancelled`);
+            jobs.cancelJob(job, { message: error.message });
+            return;
+        }
+
+        console.error('Error processing SVG:', error);
+        jobs.failJob(job, describeFailure(error));
+    }
+}
+
+/**
+ * Convert every SVG in a batch job with bounded concurrency, then package the results.
+ * A failed file is recorded in the manifest without stopping the rest of the batch.
+ * @param {Object} job - The batch job
+ * @param {AbortSignal} signal - Aborted by the queue on timeout or cancellation
+ * @returns {Promise<void>}
+ */
+async function runBatchJob(job, signal) {
+    const { inputs, page, outputOptions, imageOptions, renderer, strictFonts, tenant } = job;
+    const extension = outputFormats.getFormat(outputOptions.format).extension;
+    const total = inputs.length;
+    let finished = 0;
+
+    try {
+        jobs.reportProgress(job, 'batch', `Converting ${total} file(s), ${BATCH_CONCURRENCY} at a time...`);
+
+        const entries = await batch.mapWithConcurrency(inputs, BATCH_CONCURRENCY, async (input, index) => {
+            const outputPath = input.path.replace(/\.svg$/, `-out.${extension}`);
+            job.tempFiles.push(outputPath);
+            const prefix = `[${index + 1}/${total}] ${input.name}`;
+
+            try {
+                const { fontResults, imageReport, renderer: usedRenderer, sanitized } = await convertSvg(
+                    { inputPath: input.path, outputPath, page, output: outputOptions, images: imageOptions, renderer, strictFonts, tenant, name: input.name, signal },
+                    (stage, message) => jobs.reportProgress(job, stage, `${prefix}: ${message}`)
+                );
+                finished++;
+                jobs.reportProgress(job, 'batch', `✅ ${prefix} converted (${finished}/${total} done)`);
+
+                return {
+                    index,
+                    name: input.name,
+                    status: 'converted',
+                    outputName: outputFormats.outputFileName(input.name, outputOptions.format),
+                    outputPath,
+                    renderer: usedRenderer,
+                    fonts: fontResults,
+                    fontReport: fontResults.report,
+                    imageReport,
+                    sanitized
+                };
+            } catch (error) {
+                // A timeout or cancellation stops the whole batch, not just this file
+                if (signal.aborted) throw signal.reason;
+
+                console.error(`Error converting ${input.name}:`, error);
+                finished++;
+                const failure = describeFailure(error);
+                jobs.reportProgress(job, 'batch', `❌ ${prefix} failed: ${failure.error} (${finished}/${total} done)`);
+
+                return { index, name: input.name, status: 'failed', ...failure };
+            }
+        });
+
+        const converted = entries.filter(entry => entry.status === 'converted');
+        job.manifest = {
+            total,
+            converted: converted.length,
+            failed: total - converted.length,
+            page,
+            format: outputOptions.format,
+            files: entries.map(({ outputPath, ...entry }) => entry)
+        };
+
+        if (converted.length === 0) {
+            throw new ConversionError('No files in the batch could be converted');
+        }
+
+        jobs.reportProgress(job, 'download', job.output === 'zip' ?
+            `Packaging ${converted.length} file(s) into a ZIP...` :
+            `Merging ${converted.length} PDF(s) into one document...`);
+
+        if (job.output === 'zip') {
+            batch.createZip(
+                converted.map(entry => ({ name: entry.outputName, path: entry.outputPath })),
+                job.manifest,
+                job.outputPath
+            );
+        } else {
+            await batch.mergePdfs(converted.map(entry => entry.outputPath), job.outputPath, outputOptions.pdfVersion);
+        }
+
+        jobs.completeJob(job, {
+            downloadUrl: `/jobs/${job.id}/download`,
+            fileName: job.downloadName,
+            manifest: job.manifest
+        });
+    } catch (error) {
+        cleanup(...job.tempFiles);
+        if (error instanceof JobCancelledError) {
+            console.log(`Batch job ${job.id} cancelled`);
+            jobs.cancelJob(job, { message: error.message });
+            return;
+        }
+
+        console.error('Error processing batch:', error);
+        jobs.failJob(job, { ...describeFailure(error), manifest: job.manifest || null });
+    }
+}
+
+/**
+ * Convert one SVG: sanitise it, ensure fonts, preprocess and scale the SVG, check its embedded images, then render it
+ * to the output format
+ * @param {Object} conversion - Conversion settings
+ * @param {string} conversion.inputPath - Path to the SVG file (modified in place)
+ * @param {string} conversion.outputPath - Where to write the output file
+ * @param {{width: number, height: number, fit: string}} conversion.page - Output page size and fit mode
+ * @param {{format: string, dpi: number, background: string, pdfVersion: string}} conversion.output - Output format options (default PDF)
+ * @param {{downsample: boolean, dpi: number, minDpi: number, format: string}} conversion.images - Embedded image handling
+ * @param {string} conversion.name - Original file name, for logging
+ * @param {string|null} conversion.renderer - Preferred renderer name (falls back to the configured order)
+ * @param {boolean} conversion.strictFonts - Fail when a font isn't available as designed
+ * @param {string|null} conversion.tenant - Tenant whose fonts are used on top of the shared ones
+ * @param {AbortSignal} conversion.signal - Stops the conversion between stages and kills the renderer when aborted
+ * @param {Function} onProgress - Called with (stage, message) as the conversion advances
+ * @returns {Promise<{fontResults: Object, imageReport: Object, renderer: string, sanitized: string[]}>} - Font processing
+ *   results, the embedded image report, the renderer used and the unsafe content removed from the SVG
+ */
+async function convertSvg({ inputPath: inputSvgPath, outputPath, page, output = outputFormats.parseFormatOptions(), images = svgImages.parseImageOptions({}, output), name, renderer: rendererName = null, strictFonts = fontSubstitution.STRICT_FONTS, tenant = null, signal = new AbortController().signal }, onProgress = () => {}) {
+    const pageDescription = pageSize.describePage(page);
+    const formatDescription = outputFormats.describeFormat(output);
+    let fontResults = null;
+    let usedRenderer = null;
+
     try {
-        // Set font path environment variable with absolute path
-        const fontPath = path.resolve(__dirname, 'fonts');
+        // The tenant's own fonts, then the shared ones
+        const fontPath = fontStores.getFontStore(FONTS_DIR, tenant).layers;
+        
+        // Strip scripts, external references and declarations before anything reads the file
+        onProgress('sanitize', 'Checking SVG content...');
+        const sanitized = svgSanitizer.sanitizeSvgFile(inputSvgPath).removed;
+        if (sanitized.length > 0) {
+            console.log(`🧹 Removed from SVG: ${sanitized.join(', ')}`);
+            onProgress('sanitize', `Removed unsafe content: ${sanitized.join(', ')}`);
+        }
+        signal.throwIfAborted();
         
         // Check for fonts in the SVG and download if needed
         console.log('Checking for fonts in SVG...');
+        onProgress('fonts', 'Checking for fonts in SVG...');
         
-        // Create a status callback that sends updates to the client
+        // Forward font status updates to the client
         const fontStatusCallback = (message) => {
             console.log(`Font Status: ${message}`);
-            // For now, just log - we'll enhance this with SSE later
+            onProgress('fonts', message);
         };
         
-        const fontResults = await fontManager.ensureFontsAvailable(inputSvgPath, fontPath, fontStatusCallback);
+        fontResults = await fontManager.ensureFontsAvailable(inputSvgPath, fontPath, fontStatusCallback, { signal });
         
         // Report font processing results
         console.log('\n=== FONT PROCESSING SUMMARY ===');
@@ -78,222 +921,119 @@ app.post('/convert', upload.single('svg'), async (req, res) => {
                 console.log(`❌ Failed to obtain: ${fontResults.fontsFailed.join(', ')} (will use fallbacks)`);
                 fontResults.errors.forEach(error => console.log(`   ❌ ${error}`));
             }
+            const substituted = fontResults.variants.filter(variant => variant.status === 'substituted');
+            if (substituted.length > 0) {
+                console.log(`⚠️  Nearest variant used: ${substituted.map(v => `${v.family} ${v.weight} ${v.style} -> ${v.file}`).join(', ')}`);
+            }
+            const replaced = fontResults.variants.filter(variant => ['fallback', 'replaced', 'generic'].includes(variant.status));
+            if (replaced.length > 0) {
+                console.log(`🔁 Replaced: ${replaced.map(v => `${v.family} -> ${v.usedFamily} (${v.status})`).join(', ')}`);
+            }
+            for (const glyphs of fontResults.report.glyphs) {
+                console.log(`🔤 ${glyphs.usedFile} lacks ${glyphs.characters}: ${glyphs.fallbacks.map(f => `${f.characters} -> ${f.file}`).concat(glyphs.missing ? [`${glyphs.missing} missing`] : []).join(', ')}`);
+            }
         }
         console.log('===============================\n');
+        signal.throwIfAborted();
         
-        // Preprocess SVG to ensure viewBox is properly set
-        console.log('Preprocessing SVG structure...');
-        await preprocessSvg(inputSvgPath);
-        
-        // Modify SVG to have exact target dimensions
-        console.log('Applying proportional scaling for PDF output...');
-        await modifySvgDimensions(inputSvgPath, TARGET_PDF_SIZE);
-        
-        // Read SVG to check dimensions
-        const svgContent = fs.readFileSync(inputSvgPath, 'utf8');
-        
-        console.log(`Converting: ${req.file.originalname}`);
-        console.log(`Font path: ${fontPath}`);
-        console.log(`Input path: ${inputSvgPath}`);
-        console.log(`Output path: ${outputPath}`);
-        
-        // Check if we have text elements that need font handling
-        const hasTextElements = /<text[^>]*>/i.test(svgContent);
-        
-        if (hasTextElements) {
-            // Preprocess the SVG to enhance font handling
-            await preprocessSvgForBetterFonts(inputSvgPath);
+        // Strict mode: fonts that aren't available as designed stop the conversion
+        const unavailable = fontResults.variants.filter(variant => ['missing', 'fallback', 'replaced', 'generic'].includes(variant.status));
+        if (strictFonts && unavailable.length > 0) {
+            throw new ConversionError('Missing fonts',
+                `Strict font mode: ${unavailable.map(fontStyles.describeVariant).join(', ')} not available`);
         }
-        
-        // Check for Inkscape in various possible locations
-        const inkscapePaths = [
-            'flatpak run org.inkscape.Inkscape',   // Flatpak version (common on EC2)
-            '/usr/bin/inkscape',                    // Linux/Unix
-            '/usr/local/bin/inkscape',              // Homebrew on Intel Mac
-            '/opt/homebrew/bin/inkscape',           // Homebrew on Apple Silicon Mac
-            '/Applications/Inkscape.app/Contents/MacOS/inkscape', // macOS app
-            'C:\\Program Files\\Inkscape\\bin\\inkscape.exe',  // Windows
-        ];
-        
-        // Find the first existing Inkscape path
-        let inkscapePath = null;
-        for (const pathToCheck of inkscapePaths) {
-            if (pathToCheck.startsWith('flatpak')) {
-                // Check if flatpak can run Inkscape
-                try {
-                    execSync('flatpak list | grep org.inkscape.Inkscape', { encoding: 'utf8' });
-                    inkscapePath = pathToCheck;
-                    break;
-                } catch (e) {
-                    // Flatpak Inkscape not available, continue checking
-                    continue;
-                }
-            } else if (fs.existsSync(pathToCheck)) {
-                inkscapePath = pathToCheck;
-                break;
-            }
+        const missingGlyphs = fontResults.report.glyphs.filter(glyphs => glyphs.missing);
+        if (strictFonts && missingGlyphs.length > 0) {
+            throw new ConversionError('Missing glyphs',
+                `Strict font mode: no available font has glyphs for ${missingGlyphs.map(glyphs => `${glyphs.missing} (${glyphs.requested})`).join(', ')}`);
         }
         
-        if (!inkscapePath) {
-            // Try using PATH environment
-            try {
-                inkscapePath = execSync('which inkscape', { encoding: 'utf8' }).toString().trim();
-            } catch (e) {
-                console.error('Inkscape not found on system');
-                return res.status(500).json({ error: 'Inkscape is required but not installed on this system' });
-            }
+        // Preprocess the SVG: namespaces, viewBox, text hints, page fitting and font declarations
+        console.log('Preprocessing SVG structure...');
+        onProgress('preprocess', `Preprocessing SVG and scaling artwork to ${pageDescription} (${page.fit})...`);
+        try {
+            svgPipeline.transformSvgFile(inputSvgPath, svgPipeline.DEFAULT_PASSES, {
+                page,
+                fontPath,
+                fontResolutions: fontResults.resolutions
+            });
+        } catch (error) {
+            throw new ConversionError('Could not process SVG', error.message);
         }
         
-        console.log(`Using Inkscape at: ${inkscapePath}`);
-        
-        // Check Inkscape version to determine correct parameters
-        let inkscapeVersion = "1.0"; // Default to 1.0+ to use new parameters
-        try {
-            const versionOutput = execSync(`${inkscapePath} --version`, { encoding: 'utf8' }).toString().trim();
-            console.log(`Inkscape version output: ${versionOutput}`);
-            
-            // Extract version number from output
-            const versionMatch = versionOutput.match(/Inkscape\s+(\d+\.\d+)/i);
-            if (versionMatch) {
-                inkscapeVersion = versionMatch[1];
-                console.log(`Extracted Inkscape version: ${inkscapeVersion}`);
-            } else {
-                console.log('Could not extract version number, using default 1.0+ parameters');
-            }
-        } catch (e) {
-            console.log('Could not determine Inkscape version, using default 1.0+ parameters');
+        // Work out the resolution embedded images print at, downsampling them when asked
+        const imageReport = await svgImages.processImages(inputSvgPath, images, { signal });
+        if (imageReport.images.length > 0) {
+            const optimized = imageReport.images.filter(image => image.optimized);
+            console.log(`🖼️  Embedded images: ${imageReport.images.map(image => `${image.id} ${image.width}x${image.height}px at ${image.effectiveDpi === null ? '?' : image.effectiveDpi} DPI`).join(', ')}`);
+            onProgress('images', `Checked ${imageReport.images.length} embedded image${imageReport.images.length === 1 ? '' : 's'}` +
+                (optimized.length > 0 ? `, recompressed ${optimized.length} (${Math.round(imageReport.bytesBefore / 1024)} KB -> ${Math.round(imageReport.bytesAfter / 1024)} KB)` : ''));
         }
+        for (const warning of imageReport.warnings) {
+            console.log(`⚠️  ${warning}`);
+            onProgress('images', `⚠️ ${warning}`);
+        }
+        signal.throwIfAborted();
         
-        // Set environment variables for font handling
-        const env = {
-            ...process.env,
-            // Add font directory to XDG_DATA_DIRS to help Inkscape find fonts
-            XDG_DATA_DIRS: `${fontPath}:${process.env.XDG_DATA_DIRS || ''}`,
-            // Set FONTCONFIG_PATH for font configuration
-            FONTCONFIG_PATH: fontPath,
-            // Set type.xml for font mapping (helps both Inkscape and ImageMagick)
-            MAGICK_TYPEMAP: path.join(fontPath, 'type.xml')
-        };
+        console.log(`Converting: ${name}`);
+        console.log(`Font path: ${fontPath.join(', ')}`);
+        console.log(`Input path: ${inputSvgPath}`);
+        console.log(`Output path: ${outputPath}`);
         
-        console.log(`Converting SVG with modified dimensions to produce exactly ${TARGET_PDF_SIZE}x${TARGET_PDF_SIZE}pt PDF output`);
+        // Pick the rendering backend: the requested one if available, else the first available
+        onProgress('render', 'Locating renderer...');
+        const { renderer, detection } = await renderers.selectRenderer(rendererName, output.format);
+        console.log(`Using ${renderer.label} at: ${detection.path}`);
         
-        // Use Inkscape to convert the dimension-modified SVG to PDF
-        let inkscapeOptions = [
-            '--export-filename', outputPath,
-            '--export-area-page',            // Export the entire SVG page (now sized to target dimensions)
-            '--export-dpi=72',               // 72 DPI = 1pt = 1px
-            '--export-text-to-path',         // Convert text to paths
-            '--export-pdf-version=1.5',      // PDF version
-            '--export-type=pdf',             // Output type
-            inputSvgPath
-        ];
+        console.log(`Converting SVG with modified dimensions to produce exactly ${pageDescription} ${formatDescription} output`);
+        onProgress('render', `Rendering ${formatDescription} with ${renderer.label}${detection.version ? ` ${detection.version}` : ''}...`);
         
-        console.log(`Using --export-area-page with SVG dimensions set to ${TARGET_PDF_SIZE}pt`);
+        signal.throwIfAborted();
+        await renderer.render({ inputPath: inputSvgPath, outputPath, fontPath, detection, output, signal });
+        usedRenderer = renderer.name;
         
-        console.log(`Inkscape command: ${inkscapePath} ${inkscapeOptions.join(' ')}`);
+        // Record the trim and bleed areas for the printer
+        if (output.format === 'pdf' && pageSize.hasPrintMarks(page)) {
+            onProgress('render', 'Setting PDF TrimBox and BleedBox...');
+            await pdfPostprocess.setPageBoxes(outputPath, page, output.pdfVersion);
+        }
         
-        console.log('Starting PDF conversion with Inkscape...');
+        console.log(`✅ ${formatDescription} conversion completed successfully`);
+        console.log(`📄 Generated: ${outputPath}`);
         
-        // Handle Flatpak command execution differently
-        if (inkscapePath.startsWith('flatpak')) {
-            // For Flatpak, we need to use exec instead of execFile
-            const fullCommand = `${inkscapePath} ${inkscapeOptions.join(' ')}`;
-            console.log(`Full Flatpak command: ${fullCommand}`);
-            exec(fullCommand, { env }, (error, stdout, stderr) => {
-                if (stderr) {
-                    console.log('Inkscape stderr:', stderr);
-                }
-                if (stdout) {
-                    console.log('Inkscape stdout:', stdout);
-                }
-                
-                if (error) {
-                    console.error('\n=== CONVERSION ERROR ===');
-                    console.error('Inkscape conversion failed:', error.message);
-                    console.error('Command:', fullCommand);
-                    if (error.code) console.error('Exit code:', error.code);
-                    if (error.signal) console.error('Signal:', error.signal);
-                    console.error('=======================\n');
-                    
-                    cleanup(inputSvgPath, outputPath);
-                    return res.status(500).json({ 
-                        error: 'PDF conversion failed', 
-                        details: error.message,
-                        fontIssues: fontResults.fontsFailed.length > 0 ? 
-                            `Missing fonts: ${fontResults.fontsFailed.join(', ')}` : null
-                    });
-                }
-                
-                console.log('✅ PDF conversion completed successfully');
-                console.log(`📄 Generated: ${outputPath}`);
-                
-                // Send the PDF file
-                res.download(outputPath, req.file.originalname.replace('.svg', '.pdf'), (err) => {
-                    if (err) {
-                        console.error('PDF download error:', err);
-                    } else {
-                        console.log('📤 PDF download started');
-                    }
-                    
-                    // Clean up files after download
-                    cleanup(inputSvgPath, outputPath);
-                });
-            });
-        } else {
-            // For regular executables, use execFile
-            execFile(inkscapePath, inkscapeOptions, { env }, (error, stdout, stderr) => {
-                if (stderr) {
-                    console.log('Inkscape stderr:', stderr);
-                }
-                if (stdout) {
-                    console.log('Inkscape stdout:', stdout);
-                }
-                
-                if (error) {
-                    console.error('\n=== CONVERSION ERROR ===');
-                    console.error('Inkscape conversion failed:', error.message);
-                    console.error('Command:', inkscapePath, inkscapeOptions.join(' '));
-                    if (error.code) console.error('Exit code:', error.code);
-                    if (error.signal) console.error('Signal:', error.signal);
-                    console.error('=======================\n');
-                    
-                    cleanup(inputSvgPath, outputPath);
-                    return res.status(500).json({ 
-                        error: 'PDF conversion failed', 
-                        details: error.message,
-                        fontIssues: fontResults.fontsFailed.length > 0 ? 
-                            `Missing fonts: ${fontResults.fontsFailed.join(', ')}` : null
-                    });
-                }
-                
-                console.log('✅ PDF conversion completed successfully');
-                console.log(`📄 Generated: ${outputPath}`);
-                
-                // Send the PDF file
-                res.download(outputPath, req.file.originalname.replace('.svg', '.pdf'), (err) => {
-                    if (err) {
-                        console.error('PDF download error:', err);
-                    } else {
-                        console.log('📤 PDF download started');
-                    }
-                    
-                    // Clean up files after download
-                    cleanup(inputSvgPath, outputPath);
-                });
-            });
-        }
+        return { fontResults, imageReport, renderer: usedRenderer, sanitized };
     } catch (error) {
-        console.error('Error processing SVG:', error);
-        cleanup(inputSvgPath, outputPath);
-        return res.status(500).json({ error: 'Processing failed' });
+        // Keep the font results so failures can report missing fonts
+        error.fontResults = fontResults;
+        throw error;
     }
-});
+}
+
+/**
+ * Build the client-facing description of a failed conversion
+ * @param {Error} error - The error thrown by the conversion
+ * @returns {{error: string, details: string|null, fontIssues: string|null}}
+ */
+function describeFailure(error) {
+    const failure = error instanceof ConversionError
+        ? { error: error.message, details: error.details }
+        : { error: 'Processing failed', details: null };
+    
+    const fontResults = error.fontResults;
+    return {
+        ...failure,
+        fontIssues: fontResults && fontResults.fontsFailed.length > 0 ?
+            `Missing fonts: ${fontResults.fontsFailed.join(', ')}` : null,
+        fontReport: fontResults ? fontResults.report : null
+    };
+}
 
 // Clean up temporary files
-function cleanup(inputPath, outputPath) {
+function cleanup(...filePaths) {
     try {
-        if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        for (const filePath of filePaths) {
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
     } catch (err) {
         console.error('Cleanup error:', err);
     }
@@ -324,350 +1064,11 @@ function cleanupTempFolder() {
 app.listen(PORT, () => {
     console.log(`SVG to PDF converter running on port ${PORT}`);
     cleanupTempFolder();
+    
+    // Probe the rendering backends once up front; conversions reuse the cached results
+    renderers.detectRenderers().catch(error => console.error('Renderer detection failed:', error));
 });
 
-/**
- * Preprocess SVG file to ensure viewBox is properly set and helps with PDF sizing
- * @param {string} svgPath - Path to the SVG file
- * @returns {Promise<void>}
- */
-async function preprocessSvg(svgPath) {
-    try {
-        console.log(`Preprocessing SVG: ${svgPath}`);
-        let svgContent = fs.readFileSync(svgPath, 'utf8');
-        
-        // Check if SVG has a viewBox attribute
-        const hasViewBox = /<svg[^>]*viewBox\s*=\s*["'][^"']*["']/i.test(svgContent);
-        const svgTagMatch = svgContent.match(/<svg[^>]*>/i);
-        
-        if (svgTagMatch && !hasViewBox) {
-            console.log('No viewBox found, adding viewBox based on width/height');
-            
-            // Try to extract width and height
-            const widthMatch = svgContent.match(/<svg[^>]*width\s*=\s*["']([^"']*)["']/i);
-            const heightMatch = svgContent.match(/<svg[^>]*height\s*=\s*["']([^"']*)["']/i);
-            
-            if (widthMatch && heightMatch) {
-                // Extract numeric part and unit
-                const widthValue = widthMatch[1].trim();
-                const heightValue = heightMatch[1].trim();
-                
-                // Strip units if present and convert to number
-                const width = parseFloat(widthValue);
-                const height = parseFloat(heightValue);
-                
-                if (!isNaN(width) && !isNaN(height) && width > 0 && height > 0) {
-                    // Add viewBox attribute
-                    const viewBox = `0 0 ${width} ${height}`;
-                    const newSvgTag = svgTagMatch[0].replace(/>$/, ` viewBox="${viewBox}">`);
-                    svgContent = svgContent.replace(svgTagMatch[0], newSvgTag);
-                    console.log(`Added viewBox: ${viewBox}`);
-                }
-            }
-        }
-        
-        // Extract existing viewBox values for debugging
-        if (hasViewBox) {
-            const viewBoxMatch = svgContent.match(/viewBox\s*=\s*["']([^"']*)["']/i);
-            if (viewBoxMatch) {
-                console.log(`Original viewBox: ${viewBoxMatch[1]}`);
-            }
-        }
-        
-        // Save the modified SVG content
-        fs.writeFileSync(svgPath, svgContent, 'utf8');
-        
-        // Find and modify text elements to use embedded (non-system) fonts and improve rendering
-        const textElements = svgContent.match(/<text[^>]*>[^<]*<\/text>/gi) || [];
-        
-        if (textElements.length > 0) {
-            console.log(`Found ${textElements.length} text elements, optimizing for PDF rendering`);
-            
-            // Get the SVG tag 
-            const svgTagMatch = svgContent.match(/<svg[^>]*>/i);
-            
-            // Add SVG attributes to help with text rendering
-            if (svgTagMatch && !svgContent.includes('text-rendering')) {
-                const textRenderingAttr = 'text-rendering="geometricPrecision" shape-rendering="geometricPrecision"';
-                const newSvgTag = svgTagMatch[0].replace(/>$/, ` ${textRenderingAttr}>`);
-                svgContent = svgContent.replace(svgTagMatch[0], newSvgTag);
-                console.log('Added rendering attributes to SVG for better text handling');
-            }
-            
-            // Enhance text elements for better rendering
-            for (const textElement of textElements) {
-                // Add font-weight and font-style if not present to ensure proper rendering
-                if (!textElement.includes('font-weight') && !textElement.includes('font-style')) {
-                    const enhancedText = textElement.replace(/<text/, '<text font-weight="normal" font-style="normal"');
-                    svgContent = svgContent.replace(textElement, enhancedText);
-                }
-            }
-            
-            // Save the modified SVG content again with text enhancements
-            fs.writeFileSync(svgPath, svgContent, 'utf8');
-            console.log('Enhanced text elements for better rendering');
-        }
-    } catch (error) {
-        console.error(`Error preprocessing SVG: ${error.message}`);
-    }
-}
-
-/**
- * Special preprocessing for better font rendering with Inkscape
- * @param {string} svgPath - Path to the SVG file
- * @returns {Promise<void>}
- */
-async function preprocessSvgForBetterFonts(svgPath) {
-    try {
-        console.log(`Enhancing SVG for better font rendering: ${svgPath}`);
-        let svgContent = fs.readFileSync(svgPath, 'utf8');
-        let modified = false;
-        
-        // Find all text elements
-        const textElements = svgContent.match(/<text[^>]*>.*?<\/text>/gis) || [];
-        
-        if (textElements.length === 0) {
-            console.log('No text elements found to enhance');
-            return;
-        }
-        
-        console.log(`Found ${textElements.length} text elements to enhance`);
-        
-        // Get font directory absolute path
-        const fontPath = path.resolve(__dirname, 'fonts');
-        
-        // Check if type.xml exists - this is created by the font-manager
-        const typeXmlPath = path.join(fontPath, 'type.xml');
-        let fontMappings = [];
-        
-        if (fs.existsSync(typeXmlPath)) {
-            // Read the type.xml file to get font mappings
-            const typeXmlContent = fs.readFileSync(typeXmlPath, 'utf8');
-            
-            // Extract font mappings
-            const fontEntryRegex = /<type\s+name="([^"]+)"\s+[^>]*?family="([^"]+)"[^>]*?glyphs="([^"]+)"/gi;
-            let match;
-            while ((match = fontEntryRegex.exec(typeXmlContent)) !== null) {
-                fontMappings.push({
-                    name: match[1],
-                    family: match[2],
-                    path: match[3]
-                });
-            }
-            
-            console.log(`Found ${fontMappings.length} font mappings in type.xml`);
-        }
-        
-        // Get list of available TTF fonts
-        const availableFonts = fs.readdirSync(fontPath)
-            .filter(file => file.toLowerCase().endsWith('.ttf'))
-            .map(file => {
-                // Extract normalized font name from filename
-                const fontName = path.basename(file, '.ttf')
-                    .replace(/-.*$/, '') // Remove weight/style suffixes
-                    .replace(/([A-Z])/g, ' $1') // Add spaces before capital letters
-                    .trim();
-                return {
-                    fileName: file,
-                    fontName: fontName
-                };
-            });
-        
-        console.log(`Available TTF fonts: ${availableFonts.map(f => f.fontName).join(', ')}`);
-        
-        // Add a style block with font-face declarations
-        const fontFamilies = new Set();
-        
-        // Collect all font families from text elements
-        for (const text of textElements) {
-            const fontMatch = text.match(/font-family\s*=\s*["']([^"']*)["']/i) || 
-                              text.match(/font-family\s*:\s*([^;]*)/i);
-            if (fontMatch) {
-                // Get the primary font name (before any commas)
-                const fontFamily = fontMatch[1].trim().split(',')[0].replace(/['"]*/g, '');
-                fontFamilies.add(fontFamily);
-            }
-        }
-        
-        // If we have fonts, create @font-face declarations
-        if (fontFamilies.size > 0) {
-            let styleBlock = '<style type="text/css">\n';
-            
-            // Add font declarations for each font we found
-            for (const fontFamily of fontFamilies) {
-                // Find a matching font mapping from type.xml
-                const exactMapping = fontMappings.find(m => 
-                    m.family.toLowerCase() === fontFamily.toLowerCase()
-                );
-                
-                const similarMapping = fontMappings.find(m => 
-                    m.family.toLowerCase().includes(fontFamily.toLowerCase()) ||
-                    fontFamily.toLowerCase().includes(m.family.toLowerCase())
-                );
-                
-                const mapping = exactMapping || similarMapping;
-                
-                if (mapping) {
-                    // Use the font mapping from type.xml
-                    styleBlock += `@font-face {\n`;
-                    styleBlock += `  font-family: '${fontFamily}';\n`;
-                    styleBlock += `  font-style: normal;\n`;
-                    styleBlock += `  font-weight: normal;\n`;
-                    styleBlock += `  src: url("${mapping.path}") format("truetype");\n`;
-                    styleBlock += `}\n`;
-                    console.log(`Added @font-face for ${fontFamily} using type.xml mapping to ${mapping.path}`);
-                } else {
-                    // No mapping in type.xml, try to find a matching TTF file
-                    const matchingFont = availableFonts.find(font => 
-                        font.fontName.toLowerCase() === fontFamily.toLowerCase() ||
-                        fontFamily.toLowerCase().includes(font.fontName.toLowerCase()) ||
-                        font.fontName.toLowerCase().includes(fontFamily.toLowerCase())
-                    );
-                    
-                    if (matchingFont) {
-                        // Create a font-face rule with absolute path to the TTF file
-                        const absoluteFontPath = path.join(fontPath, matchingFont.fileName);
-                        styleBlock += `@font-face {\n`;
-                        styleBlock += `  font-family: '${fontFamily}';\n`;
-                        styleBlock += `  font-style: normal;\n`;
-                        styleBlock += `  font-weight: normal;\n`;
-                        styleBlock += `  src: url("${absoluteFontPath}") format("truetype");\n`;
-                        styleBlock += `}\n`;
-                        console.log(`Added @font-face for ${fontFamily} pointing to ${matchingFont.fileName}`);
-                    } else {
-                        console.log(`No matching TTF font found for ${fontFamily}`);
-                        styleBlock += `@font-face {\n`;
-                        styleBlock += `  font-family: '${fontFamily}';\n`;
-                        styleBlock += `  font-style: normal;\n`;
-                        styleBlock += `  font-weight: normal;\n`;
-                        styleBlock += `}\n`;
-                    }
-                }
-            }
-            
-            styleBlock += '</style>';
-            
-            // Remove any existing style blocks with font-face declarations
-            svgContent = svgContent.replace(/<style[^>]*>[\s\S]*?@font-face[\s\S]*?<\/style>/gi, '');
-            
-            // Insert our new style block after the SVG opening tag
-            const svgOpeningMatch = svgContent.match(/<svg[^>]*>/i);
-            if (svgOpeningMatch) {
-                const pos = svgOpeningMatch.index + svgOpeningMatch[0].length;
-                svgContent = svgContent.slice(0, pos) + '\n' + styleBlock + svgContent.slice(pos);
-                modified = true;
-                console.log('Added style block with font-face declarations');
-            }
-        }
-        
-        // Process each text element to enhance it
-        for (const originalText of textElements) {
-            // Check if font-family is specified
-            const fontFamilyMatch = originalText.match(/font-family\s*=\s*["']([^"']*)["']/i) || 
-                                    originalText.match(/font-family\s*:\s*([^;]*)/i);
-            
-            if (fontFamilyMatch) {
-                const fontFamily = fontFamilyMatch[1].trim().split(',')[0];
-                
-                // Add or update attributes for better rendering
-                let newText = originalText;
-                
-                // Add font-weight if missing
-                if (!originalText.includes('font-weight')) {
-                    newText = newText.replace(/<text/, `<text font-weight="bold"`);
-                }
-                
-                // Add specific styling with the font-family to ensure Inkscape uses it
-                const fontStyle = `font-family: '${fontFamily}', sans-serif; text-rendering: geometricPrecision;`;
-                
-                if (newText.includes('style="')) {
-                    // Append to existing style attribute
-                    newText = newText.replace(/style="([^"]*)"/i, `style="$1; ${fontStyle}"`);
-                } else {
-                    // Add new style attribute
-                    newText = newText.replace(/<text/, `<text style="${fontStyle}"`);
-                }
-                
-                // Replace the original element with our enhanced version
-                if (newText !== originalText) {
-                    svgContent = svgContent.replace(originalText, newText);
-                    modified = true;
-                }
-            }
-        }
-        
-        if (modified) {
-            console.log('Enhanced SVG text elements for better font rendering with Inkscape');
-            fs.writeFileSync(svgPath, svgContent, 'utf8');
-        }
-    } catch (error) {
-        console.error(`Error enhancing SVG for fonts: ${error.message}`);
-    }
-}
-
-/**
- * Modify SVG dimensions to exact target size for precise PDF output with proportional scaling
- * @param {string} svgPath - Path to the SVG file
- * @param {number} targetSize - Target size in points
- * @returns {Promise<void>}
- */
-async function modifySvgDimensions(svgPath, targetSize) {
-    try {
-        console.log(`Modifying SVG dimensions to ${targetSize}pt with proportional scaling for precise PDF output`);
-        let svgContent = fs.readFileSync(svgPath, 'utf8');
-        
-        // Extract original width and height from the SVG
-        const widthMatch = svgContent.match(/width="([^"]+)"/i);
-        const heightMatch = svgContent.match(/height="([^"]+)"/i);
-        
-        let originalWidth = 151.1712; // Default fallback
-        let originalHeight = 151.1712; // Default fallback
-        
-        if (widthMatch && heightMatch) {
-            originalWidth = parseFloat(widthMatch[1]);
-            originalHeight = parseFloat(heightMatch[1]);
-            console.log(`Detected original dimensions: ${originalWidth} x ${originalHeight}`);
-        }
-        
-        // Calculate scale factor to fit content proportionally
-        const scaleFactor = targetSize / Math.max(originalWidth, originalHeight);
-        console.log(`Scale factor: ${scaleFactor.toFixed(4)} (${Math.round(scaleFactor * 100)}%)`);
-        
-        // Find the SVG opening tag and replace it with exact dimensions and scaling
-        const svgTagMatch = svgContent.match(/<svg[^>]*>/i);
-        if (svgTagMatch) {
-            // Create new SVG tag with target dimensions and proportional viewBox
-            const newSvgTag = `<svg width="${targetSize}pt" height="${targetSize}pt" viewBox="0 0 ${targetSize} ${targetSize}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:cc="http://creativecommons.org/ns#" xmlns:se="http://www.pixopa.com">`;
-            
-            // Find the content after the opening SVG tag
-            const contentAfterSvgTag = svgContent.substring(svgTagMatch.index + svgTagMatch[0].length);
-            
-            // Calculate center translation to center the scaled content within the target viewBox
-            const scaledWidth = originalWidth * scaleFactor;
-            const scaledHeight = originalHeight * scaleFactor;
-            const centerX = (targetSize - scaledWidth) / 2;
-            const centerY = (targetSize - scaledHeight) / 2;
-            
-            // Wrap all content in a transform group for scaling and centering
-            const scaledContent = `<g transform="translate(${centerX}, ${centerY}) scale(${scaleFactor})">` + 
-                                 contentAfterSvgTag.replace('</svg>', '') + 
-                                 '</g></svg>';
-            
-            // Combine the new SVG tag with the scaled content
-            svgContent = newSvgTag + scaledContent;
-            
-            // Save the modified SVG
-            fs.writeFileSync(svgPath, svgContent, 'utf8');
-            console.log(`Modified SVG to ${targetSize}pt x ${targetSize}pt with proportional scaling`);
-            console.log(`Content scaled by ${Math.round(scaleFactor * 100)}% and centered within ${targetSize}x${targetSize}pt artboard`);
-        } else {
-            console.log('Could not find SVG opening tag to modify');
-        }
-    } catch (error) {
-        console.error(`Error modifying SVG dimensions: ${error.message}`);
-    }
-}
-
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\nShutting down server...');
@@ -0,0 +1,239 @@
+/**
+ * SVG viewport geometry: lengths and units, viewBox, preserveAspectRatio and transforms
+ */
+const { UNIT_TO_PT } = require('./page-size');
+
+// Points per SVG length unit. Unitless lengths are user units, i.e. CSS px
+const SVG_UNIT_TO_PT = {
+  '': UNIT_TO_PT.px,
+  ...UNIT_TO_PT,
+  pc: 12
+};
+
+// Root font size used to resolve em/ex when none is declared (CSS default of 16px)
+const DEFAULT_FONT_SIZE_PT = 16 * UNIT_TO_PT.px;
+
+// Size assumed for SVGs that declare neither a viewBox nor width/height (in px)
+const DEFAULT_SVG_SIZE = 151.1712;
+
+const ALIGN_VALUES = [
+  'none',
+  'xMinYMin', 'xMidYMin', 'xMaxYMin',
+  'xMinYMid', 'xMidYMid', 'xMaxYMid',
+  'xMinYMax', 'xMidYMax', 'xMaxYMax'
+];
+
+/**
+ * Parse an SVG length into points
+ * @param {string} value - Length attribute value (e.g. "151.17", "40mm", "2in", "10em", "100%")
+ * @param {Object} options - Resolution context
+ * @param {number} options.fontSize - Font size in points for em/ex
+ * @param {number} options.percentBase - Length in points that 100% refers to
+ * @returns {number|null} - Length in points, or null if missing or unresolvable
+ */
+function parseLength(value, { fontSize = DEFAULT_FONT_SIZE_PT, percentBase = null } = {}) {
+  if (value === null || value === undefined) return null;
+
+  const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z%]*)$/i);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+
+  if (unit === '%') return percentBase === null ? null : number / 100 * percentBase;
+  if (unit === 'em') return number * fontSize;
+  if (unit === 'ex') return number * fontSize / 2;
+  if (unit in SVG_UNIT_TO_PT) return number * SVG_UNIT_TO_PT[unit];
+
+  return null;
+}
+
+/**
+ * Parse a viewBox attribute
+ * @param {string} value - viewBox attribute value
+ * @returns {{minX: number, minY: number, width: number, height: number}|null}
+ */
+function parseViewBox(value) {
+  if (!value) return null;
+
+  const parts = value.trim().split(/[\s,]+/).map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN) || parts[2] <= 0 || parts[3] <= 0) {
+    return null;
+  }
+
+  const [minX, minY, width, height] = parts;
+  return { minX, minY, width, height };
+}
+
+/**
+ * Parse a preserveAspectRatio attribute (defaults to "xMidYMid meet")
+ * @param {string} value - preserveAspectRatio attribute value
+ * @returns {{align: string, meetOrSlice: string}}
+ */
+function parsePreserveAspectRatio(value) {
+  const parts = (value || '').trim().split(/\s+/).filter(part => part !== 'defer');
+  const align = ALIGN_VALUES.includes(parts[0]) ? parts[0] : 'xMidYMid';
+  const meetOrSlice = parts[1] === 'slice' ? 'slice' : 'meet';
+  return { align, meetOrSlice };
+}
+
+/**
+ * Compute the transform that maps a viewBox onto a viewport, per the SVG spec
+ * @param {{minX: number, minY: number, width: number, height: number}} viewBox - The viewBox
+ * @param {{width: number, height: number}} viewport - Viewport size
+ * @param {{align: string, meetOrSlice: string}} preserveAspectRatio - Parsed preserveAspectRatio
+ * @returns {{scaleX: number, scaleY: number, translateX: number, translateY: number}}
+ */
+function viewBoxTransform(viewBox, viewport, { align, meetOrSlice }) {
+  let scaleX = viewport.width / viewBox.width;
+  let scaleY = viewport.height / viewBox.height;
+
+  if (align !== 'none') {
+    scaleX = scaleY = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  }
+
+  let translateX = -viewBox.minX * scaleX;
+  let translateY = -viewBox.minY * scaleY;
+
+  const spareWidth = viewport.width - viewBox.width * scaleX;
+  const spareHeight = viewport.height - viewBox.height * scaleY;
+
+  if (align.includes('xMid')) translateX += spareWidth / 2;
+  if (align.includes('xMax')) translateX += spareWidth;
+  if (align.includes('YMid')) translateY += spareHeight / 2;
+  if (align.includes('YMax')) translateY += spareHeight;
+
+  return { scaleX, scaleY, translateX, translateY };
+}
+
+/**
+ * Resolve the geometry of an SVG root element: its viewport size in points and how
+ * user coordinates map into that viewport.
+ * @param {Element} root - The <svg> root element
+ * @returns {{viewport: {width: number, height: number}, viewBox: Object|null, transform: Object}}
+ */
+function resolveRootGeometry(root) {
+  const viewBox = parseViewBox(root.getAttribute('viewBox'));
+  const fontSize = parseLength(root.getAttribute('font-size')) || DEFAULT_FONT_SIZE_PT;
+
+  // A missing or percentage size means "fill the viewport", which for a standalone
+  // file is the viewBox size in px (or the default size without a viewBox)
+  const intrinsicWidth = (viewBox ? viewBox.width : DEFAULT_SVG_SIZE) * SVG_UNIT_TO_PT.px;
+  const intrinsicHeight = (viewBox ? viewBox.height : DEFAULT_SVG_SIZE) * SVG_UNIT_TO_PT.px;
+
+  let width = parseLength(root.getAttribute('width'), { fontSize, percentBase: intrinsicWidth });
+  let height = parseLength(root.getAttribute('height'), { fontSize, percentBase: intrinsicHeight });
+
+  // With only one dimension given, keep the viewBox aspect ratio
+  if (viewBox && width > 0 && !(height > 0)) height = width * viewBox.height / viewBox.width;
+  if (viewBox && height > 0 && !(width > 0)) width = height * viewBox.width / viewBox.height;
+
+  const viewport = {
+    width: width > 0 ? width : intrinsicWidth,
+    height: height > 0 ? height : intrinsicHeight
+  };
+
+  // Without a viewBox, user units are px from the top-left corner
+  const transform = viewBox
+    ? viewBoxTransform(viewBox, viewport, parsePreserveAspectRatio(root.getAttribute('preserveAspectRatio')))
+    : { scaleX: SVG_UNIT_TO_PT.px, scaleY: SVG_UNIT_TO_PT.px, translateX: 0, translateY: 0 };
+
+  return { viewport, viewBox, transform };
+}
+
+/**
+ * Compose two scale/translate transforms: the result applies `inner` first, then `outer`
+ * @param {Object} outer - {scaleX, scaleY, translateX, translateY}
+ * @param {Object} inner - {scaleX, scaleY, translateX, translateY}
+ * @returns {Object} - {scaleX, scaleY, translateX, translateY}
+ */
+function composeTransforms(outer, inner) {
+  return {
+    scaleX: outer.scaleX * inner.scaleX,
+    scaleY: outer.scaleY * inner.scaleY,
+    translateX: outer.translateX + outer.scaleX * inner.translateX,
+    translateY: outer.translateY + outer.scaleY * inner.translateY
+  };
+}
+
+/**
+ * Multiply two affine matrices [a, b, c, d, e, f]: the result applies `inner` first, then `outer`
+ * @param {number[]} outer - Matrix
+ * @param {number[]} inner - Matrix
+ * @returns {number[]}
+ */
+function multiplyMatrices(outer, inner) {
+  const [a1, b1, c1, d1, e1, f1] = outer;
+  const [a2, b2, c2, d2, e2, f2] = inner;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Parse an SVG transform attribute into one affine matrix
+ * @param {string} value - Transform list (e.g. "translate(10 20) rotate(45) scale(2)")
+ * @returns {number[]} - Matrix [a, b, c, d, e, f]; the identity when missing or invalid
+ */
+function parseTransform(value) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+  for (const [, name, argumentList] of String(value || '').matchAll(pattern)) {
+    const args = argumentList.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (args.some(Number.isNaN)) return [1, 0, 0, 1, 0, 0];
+
+    const radians = (args[0] || 0) * Math.PI / 180;
+    let step;
+    if (name === 'matrix' && args.length === 6) {
+      step = args;
+    } else if (name === 'translate') {
+      step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    } else if (name === 'scale') {
+      step = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+    } else if (name === 'rotate') {
+      const [cx = 0, cy = 0] = args.slice(1);
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+    } else if (name === 'skewX') {
+      step = [1, 0, Math.tan(radians), 1, 0, 0];
+    } else if (name === 'skewY') {
+      step = [1, Math.tan(radians), 0, 1, 0, 0];
+    } else {
+      return [1, 0, 0, 1, 0, 0];
+    }
+    matrix = multiplyMatrices(matrix, step);
+  }
+
+  return matrix;
+}
+
+/**
+ * Format a scale/translate transform as an SVG transform attribute value
+ * @param {Object} transform - {scaleX, scaleY, translateX, translateY}
+ * @returns {string}
+ */
+function formatTransform({ scaleX, scaleY, translateX, translateY }) {
+  const round = (n) => +n.toFixed(6);
+  return `matrix(${round(scaleX)} 0 0 ${round(scaleY)} ${round(translateX)} ${round(translateY)})`;
+}
+
+module.exports = {
+  SVG_UNIT_TO_PT,
+  DEFAULT_SVG_SIZE,
+  parseLength,
+  parseViewBox,
+  parsePreserveAspectRatio,
+  viewBoxTransform,
+  resolveRootGeometry,
+  composeTransforms,
+  multiplyMatrices,
+  parseTransform,
+  formatTransform
+};
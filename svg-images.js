@@ -0,0 +1,448 @@
+/**
+ * Embedded raster images: finds the data: URI images in an SVG, works out the resolution each one
+ * prints at on the output page, and optionally downsamples and recompresses them with ImageMagick
+ * (converting CMYK JPEGs to RGB on the way, which some renderers draw with inverted colours)
+ */
+const fs = require('fs');
+const { execFile } = require('child_process');
+const svgPipeline = require('./svg-pipeline');
+const geometry = require('./svg-geometry');
+const outputFormats = require('./output-formats');
+
+// ImageMagick command used to resample images (ImageMagick 6 installs it as "convert")
+const IMAGEMAGICK_COMMAND = process.env.IMAGEMAGICK || 'magick';
+
+// Downsample embedded images unless the request says otherwise
+const DOWNSAMPLE_IMAGES = /^(1|true|yes)$/i.test(process.env.DOWNSAMPLE_IMAGES || '');
+
+// Resolution images are downsampled to when the output has none of its own (PNG output uses its DPI)
+const DEFAULT_IMAGE_DPI = parseInt(process.env.IMAGE_DPI, 10) || 300;
+
+// Images printing below this resolution are reported
+const DEFAULT_MIN_IMAGE_DPI = parseInt(process.env.MIN_IMAGE_DPI, 10) || 150;
+
+// Only images above this multiple of the target resolution are resampled; below it little is saved
+const DOWNSAMPLE_ABOVE = 1.5;
+
+// JPEG quality of recompressed images
+const JPEG_QUALITY = parseInt(process.env.IMAGE_JPEG_QUALITY, 10) || 85;
+
+// Recompression formats: auto keeps transparent images in PNG and picks JPEG for photographic ones
+const IMAGE_FORMATS = ['auto', 'png', 'jpeg'];
+
+// Give up on resampling one image after this long
+const RESAMPLE_TIMEOUT_MS = 60000;
+
+// Containers whose content is drawn elsewhere (or not at all), so the printed size isn't known
+const INDIRECT_ELEMENTS = ['defs', 'symbol', 'pattern', 'mask', 'clipPath', 'marker'];
+
+/**
+ * Build the image settings from request parameters
+ * @param {Object} params - Request fields (downsampleImages, imageDpi, minImageDpi, imageFormat)
+ * @param {{format: string, dpi: number}} output - Output format options
+ * @returns {{downsample: boolean, dpi: number, minDpi: number, format: string}}
+ */
+function parseImageOptions(params = {}, output = outputFormats.parseFormatOptions()) {
+  const downsample = params.downsampleImages === undefined || params.downsampleImages === ''
+    ? DOWNSAMPLE_IMAGES
+    : /^(1|true|yes|on)$/i.test(String(params.downsampleImages));
+
+  const dpi = params.imageDpi ? Number(params.imageDpi) : (output.format === 'png' ? output.dpi : DEFAULT_IMAGE_DPI);
+  if (!Number.isFinite(dpi) || dpi < outputFormats.MIN_DPI || dpi > outputFormats.MAX_DPI) {
+    throw new Error(`Image DPI must be between ${outputFormats.MIN_DPI} and ${outputFormats.MAX_DPI}`);
+  }
+
+  const minDpi = params.minImageDpi ? Number(params.minImageDpi) : Math.min(DEFAULT_MIN_IMAGE_DPI, dpi);
+  if (!Number.isFinite(minDpi) || minDpi < 0 || minDpi > outputFormats.MAX_DPI) {
+    throw new Error(`Minimum image DPI must be between 0 and ${outputFormats.MAX_DPI}`);
+  }
+
+  const format = params.imageFormat ? String(params.imageFormat).toLowerCase() : 'auto';
+  if (!IMAGE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported image format "${params.imageFormat}" - use one of ${IMAGE_FORMATS.join(', ')}`);
+  }
+
+  return { downsample, dpi, minDpi, format };
+}
+
+/**
+ * Decode a data: URI
+ * @param {string} uri - href value
+ * @returns {{mimeType: string, buffer: Buffer}|null} - null when it isn't a data: URI
+ */
+function parseDataUri(uri) {
+  const match = uri.trim().match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/is);
+  if (!match) return null;
+
+  try {
+    const buffer = /;base64/i.test(match[2])
+      ? Buffer.from(match[3].replace(/\s/g, ''), 'base64')
+      : Buffer.from(decodeURIComponent(match[3]), 'latin1');
+    return { mimeType: match[1].trim().toLowerCase(), buffer };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read an image's format, pixel size and colour space from its header
+ * @param {Buffer} buffer - PNG, JPEG, GIF, WebP or BMP data
+ * @returns {{format: string, width: number, height: number, colorSpace: string, alpha: boolean}|null} - colorSpace
+ *   is rgb, gray, indexed or cmyk; null when the format isn't recognised
+ */
+function readImageInfo(buffer) {
+  if (buffer.length >= 26 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('latin1', 12, 16) === 'IHDR') {
+    const colorType = buffer[25];
+    let hasTransparency = false;
+    for (let offset = 8; offset + 8 <= buffer.length; ) {
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      if (type === 'tRNS') hasTransparency = true;
+      if (type === 'IDAT' || type === 'IEND') break;
+      offset += 12 + buffer.readUInt32BE(offset);
+    }
+    return {
+      format: 'png',
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+      colorSpace: { 0: 'gray', 3: 'indexed', 4: 'gray' }[colorType] || 'rgb',
+      alpha: colorType === 4 || colorType === 6 || hasTransparency
+    };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the markers to the start of frame, which holds the size and component count
+    for (let offset = 2; offset + 9 < buffer.length; ) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+        offset += 2;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        const components = buffer[offset + 9];
+        return {
+          format: 'jpeg',
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+          colorSpace: components === 1 ? 'gray' : components === 4 ? 'cmyk' : 'rgb',
+          alpha: false
+        };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 4) === 'GIF8') {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), colorSpace: 'indexed', alpha: true };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8X') {
+      return {
+        format: 'webp',
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1,
+        colorSpace: 'rgb',
+        alpha: Boolean(buffer[20] & 0x10)
+      };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1, colorSpace: 'rgb', alpha: Boolean((bits >> 28) & 1) };
+    }
+    if (chunk === 'VP8 ') {
+      return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff, colorSpace: 'rgb', alpha: false };
+    }
+    return null;
+  }
+
+  if (buffer.length >= 26 && buffer.toString('latin1', 0, 2) === 'BM') {
+    return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)), colorSpace: 'rgb', alpha: false };
+  }
+
+  return null;
+}
+
+/**
+ * Work out how large an image prints and at what resolution. Run after the page passes, when user
+ * units of the root are points on the page.
+ * @param {Element} image - The <image> element
+ * @param {{width: number, height: number}} info - Image pixel size
+ * @returns {{widthPt: number, heightPt: number, dpi: number}|null} - dpi is the lower of the two axes;
+ *   null when the image isn't drawn where it stands (e.g. inside <defs> or a pattern)
+ */
+function placeImage(image, info) {
+  const toUserUnits = (value) => {
+    const points = geometry.parseLength(value);
+    return points > 0 ? points / geometry.SVG_UNIT_TO_PT.px : null;
+  };
+
+  // The image and its ancestors, outermost first
+  const chain = [];
+  for (let node = image; node && node.nodeType === 1; node = node.parentNode) {
+    if (node !== image && INDIRECT_ELEMENTS.includes(node.localName)) return null;
+    chain.unshift(node);
+  }
+
+  let matrix = [1, 0, 0, 1, 0, 0];
+  for (const element of chain) {
+    matrix = geometry.multiplyMatrices(matrix, geometry.parseTransform(element.getAttribute('transform')));
+
+    if (element.localName !== 'svg') continue;
+    let viewportTransform;
+    if (element === chain[0]) {
+      viewportTransform = geometry.resolveRootGeometry(element).transform;
+    } else {
+      // Nested viewport: only its position and viewBox scaling matter here
+      const viewBox = geometry.parseViewBox(element.getAttribute('viewBox'));
+      const width = toUserUnits(element.getAttribute('width'));
+      const height = toUserUnits(element.getAttribute('height'));
+      viewportTransform = viewBox && width && height
+        ? geometry.viewBoxTransform(viewBox, { width, height }, geometry.parsePreserveAspectRatio(element.getAttribute('preserveAspectRatio')))
+        : { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+      viewportTransform.translateX += toUserUnits(element.getAttribute('x')) || 0;
+      viewportTransform.translateY += toUserUnits(element.getAttribute('y')) || 0;
+    }
+    const { scaleX, scaleY, translateX, translateY } = viewportTransform;
+    matrix = geometry.multiplyMatrices(matrix, [scaleX, 0, 0, scaleY, translateX, translateY]);
+  }
+
+  // The image box, sized from the pixels when width/height are missing (SVG 2 auto sizing)
+  let width = toUserUnits(image.getAttribute('width'));
+  let height = toUserUnits(image.getAttribute('height'));
+  if (!width && !height) {
+    width = info.width;
+    height = info.height;
+  } else if (!width) {
+    width = height * info.width / info.height;
+  } else if (!height) {
+    height = width * info.height / info.width;
+  }
+
+  // User units per image pixel, as preserveAspectRatio fits the pixels into the box
+  const { align, meetOrSlice } = geometry.parsePreserveAspectRatio(image.getAttribute('preserveAspectRatio'));
+  let unitsPerPixelX = width / info.width;
+  let unitsPerPixelY = height / info.height;
+  if (align !== 'none') {
+    unitsPerPixelX = unitsPerPixelY = meetOrSlice === 'slice'
+      ? Math.max(unitsPerPixelX, unitsPerPixelY)
+      : Math.min(unitsPerPixelX, unitsPerPixelY);
+  }
+
+  const pointsPerPixelX = unitsPerPixelX * Math.hypot(matrix[0], matrix[1]);
+  const pointsPerPixelY = unitsPerPixelY * Math.hypot(matrix[2], matrix[3]);
+  if (!(pointsPerPixelX > 0 && pointsPerPixelY > 0)) return null;
+
+  return {
+    widthPt: info.width * pointsPerPixelX,
+    heightPt: info.height * pointsPerPixelY,
+    dpi: Math.min(72 / pointsPerPixelX, 72 / pointsPerPixelY)
+  };
+}
+
+/**
+ * Work out the pixel size to resample an image to: scaled down to the target resolution when it
+ * prints well above it, else its own size (it is still recompressed)
+ * @param {{width: number, height: number}} info - Image pixel size
+ * @param {{dpi: number}|null} placement - placeImage() result
+ * @param {{dpi: number}} options - parseImageOptions() result
+ * @returns {{width: number, height: number}}
+ */
+function findResampleSize(info, placement, options) {
+  const scale = placement && placement.dpi > options.dpi * DOWNSAMPLE_ABOVE ? options.dpi / placement.dpi : 1;
+  return { width: Math.max(1, Math.ceil(info.width * scale)), height: Math.max(1, Math.ceil(info.height * scale)) };
+}
+
+/**
+ * Run ImageMagick on image data
+ * @param {Buffer} input - Image data (read from stdin)
+ * @param {string} inputFormat - Format readImageInfo() found, so ImageMagick decodes it as nothing else
+ * @param {string[]} args - Options, ending with the output (e.g. "png:-")
+ * @param {AbortSignal|null} signal - Kills the process when aborted
+ * @returns {Promise<Buffer>} - The output image
+ */
+function runImageMagick(input, inputFormat, args, signal) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(IMAGEMAGICK_COMMAND, [`${inputFormat}:-`, ...args], {
+      encoding: 'buffer',
+      maxBuffer: 512 * 1024 * 1024,
+      timeout: RESAMPLE_TIMEOUT_MS,
+      killSignal: 'SIGKILL',
+      signal: signal || undefined
+    }, (error, stdout) => (error ? reject(error) : resolve(stdout)));
+
+    // ImageMagick may exit before reading all of its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Resample and recompress an image
+ * @param {Buffer} buffer - Image data
+ * @param {Object} info - readImageInfo() result
+ * @param {{width: number, height: number}} size - Target pixel size
+ * @param {string} format - auto, png or jpeg
+ * @param {AbortSignal|null} signal - Stops ImageMagick when aborted
+ * @returns {Promise<{format: string, buffer: Buffer}>}
+ */
+async function recompressImage(buffer, info, size, format, signal) {
+  const formats = format !== 'auto' ? [format]
+    : info.alpha ? ['png']
+    : info.format === 'jpeg' ? ['jpeg']
+    : ['png', 'jpeg'];
+
+  const args = [];
+  if (size.width !== info.width || size.height !== info.height) args.push('-resize', `${size.width}x${size.height}!`);
+  if (info.colorSpace === 'cmyk') args.push('-colorspace', 'sRGB');
+  args.push('-strip');
+
+  const candidates = [];
+  for (const candidate of formats) {
+    const formatArgs = candidate === 'jpeg'
+      ? ['-background', 'white', '-alpha', 'remove', '-quality', String(JPEG_QUALITY), 'jpeg:-']
+      : ['png:-'];
+    candidates.push({ format: candidate, buffer: await runImageMagick(buffer, info.format, [...args, ...formatArgs], signal) });
+  }
+
+  // JPEG only replaces PNG when it is much smaller: flat artwork keeps PNG's sharp edges
+  const [png, jpeg] = candidates;
+  return jpeg && jpeg.buffer.length < png.buffer.length / 2 ? jpeg : png;
+}
+
+/**
+ * Find the embedded images of a document and work out how each one prints
+ * @param {Document} document - The SVG document, after the page passes
+ * @param {{minDpi: number}} options - parseImageOptions() result
+ * @returns {{found: Object[], warnings: string[]}} - found holds each image's report entry with the
+ *   element's href attribute, decoded data, header info and placement
+ */
+function findEmbeddedImages(document, options) {
+  const found = [];
+  const warnings = [];
+
+  for (const [index, image] of svgPipeline.findElements(document.documentElement, 'image').entries()) {
+    const href = Array.from(image.attributes).find(attribute => (attribute.localName || attribute.name) === 'href');
+    const data = href && parseDataUri(href.value);
+    if (!data) continue;
+
+    const label = image.getAttribute('id') || `image ${index + 1}`;
+    const info = readImageInfo(data.buffer);
+    if (!info || !(info.width > 0 && info.height > 0)) {
+      warnings.push(`${label}: unrecognised image data`);
+      continue;
+    }
+
+    const placement = placeImage(image, info);
+    const entry = {
+      id: label,
+      format: info.format,
+      width: info.width,
+      height: info.height,
+      colorSpace: info.colorSpace,
+      bytes: data.buffer.length,
+      printedWidthPt: placement ? +placement.widthPt.toFixed(2) : null,
+      printedHeightPt: placement ? +placement.heightPt.toFixed(2) : null,
+      effectiveDpi: placement ? Math.round(placement.dpi) : null,
+      lowResolution: Boolean(placement && placement.dpi < options.minDpi),
+      optimized: null
+    };
+    if (entry.lowResolution) {
+      warnings.push(`${label} (${info.width} x ${info.height}px) prints at ${entry.effectiveDpi} DPI, below ${options.minDpi} DPI`);
+    }
+    found.push({ entry, href, data, info, placement });
+  }
+
+  return { found, warnings };
+}
+
+/**
+ * Summarise the images of a document
+ * @param {Object[]} entries - Image report entries
+ * @param {string[]} warnings - Warnings
+ * @returns {{images: Object[], warnings: string[], bytesBefore: number, bytesAfter: number}}
+ */
+function buildImageReport(entries, warnings) {
+  return {
+    images: entries,
+    warnings,
+    bytesBefore: entries.reduce((total, entry) => total + entry.bytes, 0),
+    bytesAfter: entries.reduce((total, entry) => total + (entry.optimized ? entry.optimized.bytes : entry.bytes), 0)
+  };
+}
+
+/**
+ * Report the resolution of every embedded image in a document without changing it
+ * @param {Document} document - The SVG document, after the page passes
+ * @param {{minDpi: number}} options - parseImageOptions() result
+ * @returns {{images: Object[], warnings: string[], bytesBefore: number, bytesAfter: number}} - See processImages()
+ */
+function inspectImages(document, options) {
+  const { found, warnings } = findEmbeddedImages(document, options);
+  return buildImageReport(found.map(image => image.entry), warnings);
+}
+
+/**
+ * Report the resolution of every embedded image in an SVG file and, when asked, downsample images
+ * above the target resolution and recompress them, rewriting the file in place
+ * @param {string} svgPath - Path to the preprocessed SVG file
+ * @param {{downsample: boolean, dpi: number, minDpi: number, format: string}} options - parseImageOptions() result
+ * @param {Object} [runOptions]
+ * @param {AbortSignal} [runOptions.signal] - Stops resampling when aborted
+ * @returns {Promise<{images: Object[], warnings: string[], bytesBefore: number, bytesAfter: number}>} - Each image
+ *   has its id, format, pixel size, colour space, byte size, printed size in points, effective DPI (null when
+ *   unknown), whether it is below the minimum, and the optimized format, size and bytes when it was replaced
+ */
+async function processImages(svgPath, options, { signal = null } = {}) {
+  const document = svgPipeline.parseSvg(fs.readFileSync(svgPath, 'utf8'));
+  const { found, warnings } = findEmbeddedImages(document, options);
+  let canResample = options.downsample;
+  let changed = false;
+
+  for (const { entry, href, data, info, placement } of found) {
+    if (!canResample) break;
+
+    const size = findResampleSize(info, placement, options);
+
+    try {
+      const result = await recompressImage(data.buffer, info, size, options.format, signal);
+      // Keep the original unless the new image is smaller or had to leave CMYK
+      if (result.buffer.length < data.buffer.length || info.colorSpace === 'cmyk') {
+        href.value = `data:image/${result.format};base64,${result.buffer.toString('base64')}`;
+        entry.optimized = { format: result.format, width: size.width, height: size.height, bytes: result.buffer.length };
+        changed = true;
+      }
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (error.code === 'ENOENT') {
+        canResample = false;
+        warnings.push('ImageMagick is not installed - images were not downsampled');
+      } else {
+        warnings.push(`${entry.id} could not be resampled: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  if (changed) {
+    fs.writeFileSync(svgPath, svgPipeline.serializeSvg(document), 'utf8');
+  }
+  return buildImageReport(found.map(image => image.entry), warnings);
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  DOWNSAMPLE_IMAGES,
+  parseImageOptions,
+  parseDataUri,
+  readImageInfo,
+  placeImage,
+  findResampleSize,
+  inspectImages,
+  processImages
+};
@@ -0,0 +1,567 @@
+/**
+ * SVG preprocessing pipeline: composable passes over a parsed SVG document
+ */
+const fs = require('fs');
+const path = require('path');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const pageSize = require('./page-size');
+const geometry = require('./svg-geometry');
+const fontStyles = require('./font-styles');
+const fontFiles = require('./font-files');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+// Root children that don't render and stay outside the scaling group
+const NON_RENDERING_ELEMENTS = ['defs', 'style', 'title', 'desc', 'metadata'];
+
+// Crop and registration mark drawing (in points)
+const MARK_STROKE_WIDTH = 0.25;
+const MARK_GAP = 3; // Distance between the bleed edge and the start of a crop mark
+const MAX_REGISTRATION_RADIUS = 5;
+
+/**
+ * Parse SVG markup into a DOM document
+ * @param {string} svgContent - The SVG file content
+ * @returns {Document} - The parsed document
+ */
+function parseSvg(svgContent) {
+  let document;
+  try {
+    document = new DOMParser().parseFromString(svgContent, 'image/svg+xml');
+  } catch (error) {
+    throw new Error(`Invalid SVG: ${error.message.split('\n')[0]}`);
+  }
+
+  const root = document.documentElement;
+  if (!root || root.localName !== 'svg') {
+    throw new Error('Invalid SVG: root element is not <svg>');
+  }
+
+  return document;
+}
+
+/**
+ * Serialize a DOM document back to SVG markup
+ * @param {Document} document - The document
+ * @returns {string} - SVG markup
+ */
+function serializeSvg(document) {
+  return new XMLSerializer().serializeToString(document);
+}
+
+/**
+ * Run a list of passes over SVG markup
+ * @param {string} svgContent - The SVG file content
+ * @param {Function[]} passes - Passes, each called with (document, context)
+ * @param {Object} context - Options shared by all passes (e.g. page, fontPath)
+ * @returns {string} - The transformed SVG markup
+ */
+function transformSvg(svgContent, passes, context = {}) {
+  const document = parseSvg(svgContent);
+
+  for (const pass of passes) {
+    pass(document, context);
+  }
+
+  return serializeSvg(document);
+}
+
+/**
+ * Run a list of passes over an SVG file, rewriting it in place
+ * @param {string} svgPath - Path to the SVG file
+ * @param {Function[]} passes - Passes, each called with (document, context)
+ * @param {Object} context - Options shared by all passes
+ */
+function transformSvgFile(svgPath, passes, context = {}) {
+  const svgContent = fs.readFileSync(svgPath, 'utf8');
+  fs.writeFileSync(svgPath, transformSvg(svgContent, passes, context), 'utf8');
+}
+
+/**
+ * Find all descendant elements with the given local name
+ * @param {Node} node - Node to search under
+ * @param {string} localName - Element name without prefix (e.g. "text")
+ * @returns {Element[]}
+ */
+function findElements(node, localName) {
+  const found = [];
+  const walk = (parent) => {
+    for (let child = parent.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+      if (child.localName === localName) found.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+/**
+ * Pass: declare the SVG and XLink namespaces on the root so renderers parse the output as SVG
+ * @param {Document} document - The SVG document
+ */
+function ensureNamespaces(document) {
+  const root = document.documentElement;
+
+  if (!root.namespaceURI && !root.hasAttribute('xmlns')) {
+    root.setAttributeNS(XMLNS_NS, 'xmlns', SVG_NS);
+  }
+  if (!root.hasAttribute('xmlns:xlink')) {
+    root.setAttributeNS(XMLNS_NS, 'xmlns:xlink', XLINK_NS);
+  }
+}
+
+/**
+ * Pass: add a viewBox based on width/height when the SVG has none
+ * @param {Document} document - The SVG document
+ */
+function ensureViewBox(document) {
+  const root = document.documentElement;
+
+  if (root.hasAttribute('viewBox')) {
+    console.log(`Original viewBox: ${root.getAttribute('viewBox')}`);
+    return;
+  }
+
+  console.log('No viewBox found, adding viewBox based on width/height');
+
+  // Without a viewBox user units are px, so convert the size to px
+  const pxPerPt = 1 / geometry.SVG_UNIT_TO_PT.px;
+  const width = geometry.parseLength(root.getAttribute('width'));
+  const height = geometry.parseLength(root.getAttribute('height'));
+
+  if (width > 0 && height > 0) {
+    const viewBox = `0 0 ${+(width * pxPerPt).toFixed(6)} ${+(height * pxPerPt).toFixed(6)}`;
+    root.setAttribute('viewBox', viewBox);
+    console.log(`Added viewBox: ${viewBox}`);
+  }
+}
+
+/**
+ * Pass: set geometric rendering hints on SVGs that contain text
+ * @param {Document} document - The SVG document
+ */
+function addTextRenderingHints(document) {
+  const root = document.documentElement;
+  const textElements = findElements(root, 'text');
+
+  if (textElements.length === 0) return;
+
+  console.log(`Found ${textElements.length} text elements, optimizing for PDF rendering`);
+
+  // Add SVG attributes to help with text rendering
+  if (!root.hasAttribute('text-rendering')) {
+    root.setAttribute('text-rendering', 'geometricPrecision');
+    root.setAttribute('shape-rendering', 'geometricPrecision');
+    console.log('Added rendering attributes to SVG for better text handling');
+  }
+}
+
+/**
+ * Pass: resize the root to the output page and wrap the artwork in a group that fits it to the page.
+ * The original width/height units, viewBox origin and preserveAspectRatio are honoured, and the
+ * artwork is clipped to its original viewport. All other root attributes and namespace
+ * declarations are kept.
+ * @param {Document} document - The SVG document
+ * @param {Object} context - Pipeline context
+ * @param {{width: number, height: number, fit: string}} context.page - Output page size in points and fit mode
+ */
+function fitToPage(document, { page }) {
+  const root = document.documentElement;
+  const svgNs = root.namespaceURI || SVG_NS;
+  const pageDescription = pageSize.describePage(page);
+  console.log(`Modifying SVG dimensions to ${pageDescription} with "${page.fit}" fit for precise PDF output`);
+
+  // Where the artwork's user coordinates land within its own viewport (in points)
+  const { viewport, viewBox, transform: contentTransform } = geometry.resolveRootGeometry(root);
+  console.log(`Detected original viewport: ${+viewport.width.toFixed(2)} x ${+viewport.height.toFixed(2)}pt` +
+              (viewBox ? `, viewBox ${viewBox.minX} ${viewBox.minY} ${viewBox.width} ${viewBox.height}` : ''));
+
+  // Where that viewport lands on the page
+  const placement = pageSize.computeFit(viewport.width, viewport.height, page);
+  console.log(`Scale factor: ${placement.scaleX.toFixed(4)} x ${placement.scaleY.toFixed(4)} (${Math.round(placement.scaleX * 100)}% x ${Math.round(placement.scaleY * 100)}%)`);
+
+  // Move the rendered content into a group mapping user coordinates straight to page points
+  const group = wrapRenderedContent(document);
+  group.setAttribute('transform', geometry.formatTransform(geometry.composeTransforms(placement, contentTransform)));
+
+  // Content outside the original viewport was never visible; clip it unless the page edge already does
+  const placed = {
+    x: placement.translateX,
+    y: placement.translateY,
+    width: viewport.width * placement.scaleX,
+    height: viewport.height * placement.scaleY
+  };
+  const epsilon = 1e-6;
+  const coversPage = placed.x <= epsilon && placed.y <= epsilon &&
+                     placed.x + placed.width >= page.width - epsilon &&
+                     placed.y + placed.height >= page.height - epsilon;
+
+  if (coversPage) {
+    root.appendChild(group);
+  } else {
+    const clipId = uniqueId(document, 'artwork-viewport-clip');
+    const defs = document.createElementNS(svgNs, 'defs');
+    const clipPath = document.createElementNS(svgNs, 'clipPath');
+    const rect = document.createElementNS(svgNs, 'rect');
+
+    clipPath.setAttribute('id', clipId);
+    clipPath.setAttribute('clipPathUnits', 'userSpaceOnUse');
+    for (const [name, value] of Object.entries(placed)) {
+      rect.setAttribute(name, `${+value.toFixed(6)}`);
+    }
+    clipPath.appendChild(rect);
+    defs.appendChild(clipPath);
+
+    const clipGroup = document.createElementNS(svgNs, 'g');
+    clipGroup.setAttribute('clip-path', `url(#${clipId})`);
+    clipGroup.appendChild(group);
+
+    root.appendChild(defs);
+    root.appendChild(clipGroup);
+  }
+
+  // Size the root to the page, with a viewBox in points
+  root.setAttribute('width', `${page.width}pt`);
+  root.setAttribute('height', `${page.height}pt`);
+  root.setAttribute('viewBox', `0 0 ${page.width} ${page.height}`);
+  root.removeAttribute('preserveAspectRatio');
+
+  console.log(`Modified SVG to ${pageDescription} with "${page.fit}" fit`);
+}
+
+/**
+ * Move the rendered (non-defs/style/metadata) children of the root into a new group
+ * @param {Document} document - The SVG document
+ * @returns {Element} - The new group, not yet attached to the document
+ */
+function wrapRenderedContent(document) {
+  const root = document.documentElement;
+  const group = document.createElementNS(root.namespaceURI || SVG_NS, 'g');
+
+  for (const child of Array.from(root.childNodes)) {
+    if (child.nodeType === 1 && NON_RENDERING_ELEMENTS.includes(child.localName)) continue;
+    group.appendChild(child);
+  }
+
+  return group;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {Document} document - The SVG document
+ * @param {string} name - Element name
+ * @param {Object} attributes - Attribute values (numbers are rounded)
+ * @returns {Element}
+ */
+function createElement(document, name, attributes = {}) {
+  const element = document.createElementNS(document.documentElement.namespaceURI || SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, typeof value === 'number' ? `${+value.toFixed(6)}` : value);
+  }
+  return element;
+}
+
+/**
+ * Pass: grow the page by the bleed and slug, clip the artwork to the bleed box and draw
+ * crop and registration marks in the slug. Runs after fitToPage, so the trim box is the
+ * page fitToPage produced. Does nothing unless the page asks for bleed, slug or marks.
+ * @param {Document} document - The SVG document
+ * @param {Object} context - Pipeline context
+ * @param {{width: number, height: number, bleed: number, slug: number, marks: boolean}} context.page - Output page
+ */
+function addPrintMarks(document, { page }) {
+  if (!pageSize.hasPrintMarks(page)) return;
+
+  const root = document.documentElement;
+  const { width, height, bleed, slug } = page;
+  const offset = bleed + slug;
+  console.log(`Adding ${+bleed.toFixed(2)}pt bleed and ${+slug.toFixed(2)}pt slug${page.marks ? ' with crop marks' : ''}`);
+
+  // Artwork stays positioned on the trim box and may extend into the bleed, but no further
+  const clipId = uniqueId(document, 'bleed-clip');
+  const defs = createElement(document, 'defs');
+  const clipPath = createElement(document, 'clipPath', { id: clipId, clipPathUnits: 'userSpaceOnUse' });
+  clipPath.appendChild(createElement(document, 'rect', {
+    x: -bleed, y: -bleed, width: width + 2 * bleed, height: height + 2 * bleed
+  }));
+  defs.appendChild(clipPath);
+
+  const artwork = createElement(document, 'g', { id: uniqueId(document, 'print-artwork'), transform: `translate(${offset}, ${offset})` });
+  const clipped = wrapRenderedContent(document);
+  clipped.setAttribute('clip-path', `url(#${clipId})`);
+  artwork.appendChild(clipped);
+
+  root.appendChild(defs);
+  root.appendChild(artwork);
+
+  const markLength = slug - MARK_GAP;
+  if (page.marks && markLength > 0) {
+    const marks = createElement(document, 'g', {
+      id: uniqueId(document, 'print-marks'),
+      transform: `translate(${offset}, ${offset})`,
+      fill: 'none',
+      stroke: '#000000',
+      'stroke-width': MARK_STROKE_WIDTH
+    });
+    const line = (x1, y1, x2, y2) => marks.appendChild(createElement(document, 'line', { x1, y1, x2, y2 }));
+
+    // Crop marks: extend each trim edge outwards from every corner, starting clear of the bleed
+    const start = bleed + MARK_GAP;
+    const end = offset;
+    for (const x of [0, width]) {
+      for (const y of [0, height]) {
+        const dirX = x === 0 ? -1 : 1;
+        const dirY = y === 0 ? -1 : 1;
+        line(x + dirX * start, y, x + dirX * end, y);
+        line(x, y + dirY * start, x, y + dirY * end);
+      }
+    }
+
+    // Registration targets centred in the slug on each side
+    const radius = Math.min(MAX_REGISTRATION_RADIUS, (slug - MARK_GAP) / 2);
+    if (radius >= 1) {
+      const centre = bleed + MARK_GAP + radius;
+      const targets = [
+        [width / 2, -centre], [width / 2, height + centre],
+        [-centre, height / 2], [width + centre, height / 2]
+      ];
+      for (const [cx, cy] of targets) {
+        marks.appendChild(createElement(document, 'circle', { cx, cy, r: radius / 2 }));
+        line(cx - radius, cy, cx + radius, cy);
+        line(cx, cy - radius, cx, cy + radius);
+      }
+    }
+
+    root.appendChild(marks);
+  } else if (page.marks) {
+    console.log('Slug too small for crop marks, skipping them');
+  }
+
+  // Grow the page to the media box
+  const mediaWidth = width + 2 * offset;
+  const mediaHeight = height + 2 * offset;
+  root.setAttribute('width', `${mediaWidth}pt`);
+  root.setAttribute('height', `${mediaHeight}pt`);
+  root.setAttribute('viewBox', `0 0 ${mediaWidth} ${mediaHeight}`);
+}
+
+/**
+ * Pick an element id that isn't already used in the document
+ * @param {Document} document - The SVG document
+ * @param {string} base - Preferred id
+ * @returns {string}
+ */
+function uniqueId(document, base) {
+  let id = base;
+  for (let n = 2; document.getElementById(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Read font mappings from the type.xml maintained by the font manager
+ * @param {string} fontPath - Path to the fonts directory
+ * @returns {{name: string, family: string, weight: number, style: string, path: string}[]}
+ */
+function readFontMappings(fontPath) {
+  const typeXmlPath = path.join(fontPath, 'type.xml');
+  if (!fs.existsSync(typeXmlPath)) return [];
+
+  const typeMap = new DOMParser().parseFromString(fs.readFileSync(typeXmlPath, 'utf8'), 'text/xml');
+  const mappings = findElements(typeMap, 'type').map(type => ({
+    name: type.getAttribute('name'),
+    family: type.getAttribute('family'),
+    weight: Number(type.getAttribute('weight')) || 400,
+    style: /italic|oblique/i.test(type.getAttribute('style')) ? 'italic' : 'normal',
+    path: type.getAttribute('glyphs')
+  }));
+
+  console.log(`Found ${mappings.length} font mappings in type.xml`);
+  return mappings;
+}
+
+/**
+ * List the local font files with their family, weight and style: the files in the fonts
+ * directory (or a font store's layers), then any type.xml mappings to files elsewhere
+ * @param {string|string[]} fontPath - Path to the fonts directory, or a font store's layers (highest first)
+ * @returns {{family: string, weight: number, style: string, weightRange: number[]|null, path: string}[]}
+ */
+function listLocalFonts(fontPath) {
+  const fonts = fontFiles.listFontFiles(fontPath).map(font => ({ ...font, path: path.resolve(font.path) }));
+  const knownPaths = new Set(fonts.map(font => font.path));
+
+  for (const layer of fontFiles.fontLayers(fontPath)) {
+    for (const mapping of readFontMappings(layer)) {
+      if (!mapping.path || knownPaths.has(path.resolve(mapping.path))) continue;
+      knownPaths.add(path.resolve(mapping.path));
+      fonts.push({ ...mapping, weightRange: null });
+    }
+  }
+
+  return fonts;
+}
+
+/**
+ * Remove @font-face rules from the document's style sheets, dropping style elements left empty
+ * @param {Element} root - The SVG root element
+ */
+function removeFontFaceRules(root) {
+  for (const style of findElements(root, 'style')) {
+    if (!style.textContent.includes('@font-face')) continue;
+
+    const css = style.textContent.replace(/@font-face\s*\{[^}]*\}/g, '');
+    if (css.trim() === '') {
+      style.parentNode.removeChild(style);
+    } else {
+      while (style.firstChild) style.removeChild(style.firstChild);
+      style.appendChild(root.ownerDocument.createTextNode(css));
+    }
+  }
+}
+
+/**
+ * Format a font-family list for CSS, quoting names and ending with a generic family
+ * @param {string[]} families - Family names
+ * @returns {string}
+ */
+function formatFontFamilies(families) {
+  const generic = fontStyles.GENERIC_FAMILIES;
+  const list = families.map(family => generic.includes(family) ? family : `'${family}'`);
+  if (!generic.includes(families[families.length - 1])) list.push('sans-serif');
+  return list.join(', ');
+}
+
+/**
+ * Pass: declare an @font-face rule for each font variant (family, weight, style) the text uses,
+ * pointing at the closest local file, and restate each text run's computed font inline so every
+ * renderer picks the same face whatever its CSS support
+ * @param {Document} document - The SVG document
+ * @param {Object} context - Pipeline context
+ * @param {string|string[]} context.fontPath - Path to the fonts directory, or a font store's layers
+ * @param {Object} context.fontResolutions - Families the font manager resolved, by fontStyles.fontRunKey:
+ *   the family to use, then the ones that draw the characters it has no glyph for
+ */
+function embedFontFaces(document, { fontPath, fontResolutions = {} }) {
+  const root = document.documentElement;
+  const runs = fontStyles.resolveTextFonts(document);
+
+  // The families the font manager settled on go first in each run's list, and each gets a face
+  for (const run of runs) {
+    const used = fontResolutions[fontStyles.fontRunKey(run)] || run.families.slice(0, 1);
+    const usedNames = used.map(family => family.toLowerCase());
+    run.families = [...used, ...run.families.filter(family => !usedNames.includes(family.toLowerCase()))];
+    run.faceFamilies = used;
+  }
+
+  if (runs.length === 0) {
+    console.log('No text elements found to enhance');
+    return;
+  }
+
+  console.log(`Found ${runs.length} text runs to enhance`);
+
+  const localFonts = listLocalFonts(fontPath);
+  const chooseFont = (variant) => {
+    const available = localFonts.filter(font => fontStyles.sameFamily(font.family, variant.family));
+    return fontStyles.findNearestVariant(available, variant);
+  };
+
+  const variants = new Map();
+  for (const run of runs) {
+    for (const family of run.faceFamilies) {
+      const variant = { family, weight: run.weight, style: run.style };
+      variants.set(fontStyles.variantKey(variant), variant);
+    }
+  }
+
+  const faces = new Map();
+  for (const variant of variants.values()) {
+    const font = chooseFont(variant);
+
+    if (!font) {
+      console.log(`No matching font file found for ${fontStyles.describeVariant(variant)}`);
+      continue;
+    }
+
+    console.log(`Using ${path.basename(font.path)} for ${fontStyles.describeVariant(variant)}`);
+    faces.set(`${fontStyles.normalizeFamily(variant.family)}|${font.path}`, {
+      family: variant.family,
+      weight: font.weightRange ? font.weightRange.join(' ') : font.weight,
+      style: font.style,
+      path: font.path
+    });
+  }
+
+  // Replace any @font-face rules from the upload with ones for the local files
+  removeFontFaceRules(root);
+
+  if (faces.size > 0) {
+    let css = '\n';
+    for (const face of faces.values()) {
+      const format = face.path.toLowerCase().endsWith('.otf') ? 'opentype' : 'truetype';
+      css += `@font-face {\n`;
+      css += `  font-family: '${face.family}';\n`;
+      css += `  font-style: ${face.style};\n`;
+      css += `  font-weight: ${face.weight};\n`;
+      css += `  src: url("${face.path}") format("${format}");\n`;
+      css += `}\n`;
+    }
+
+    // Insert our new style block as the first child of the root
+    const style = document.createElementNS(root.namespaceURI || SVG_NS, 'style');
+    style.setAttribute('type', 'text/css');
+    style.appendChild(document.createTextNode(css));
+    root.insertBefore(style, root.firstChild);
+    console.log(`Added style block with ${faces.size} font-face declarations`);
+  }
+
+  // Restate each run's computed font inline so class rules and inheritance survive every renderer
+  for (const run of runs) {
+    const properties = { 'font-weight': String(run.weight), 'font-style': run.style };
+    if (run.families.length > 0) {
+      properties['font-family'] = formatFontFamilies(run.families);
+
+      // Variable fonts: ask for the weight through the axis too, for renderers that don't map font-weight
+      const font = chooseFont({ family: run.families[0], weight: run.weight, style: run.style });
+      if (font && font.weightRange) {
+        properties['font-variation-settings'] = `'wght' ${run.weight}`;
+      }
+    }
+    fontStyles.setStyleProperties(run.element, properties);
+  }
+
+  console.log('Enhanced SVG text runs with their resolved font variants');
+}
+
+// Passes applied to every upload before rendering, in order
+const DEFAULT_PASSES = [
+  ensureNamespaces,
+  ensureViewBox,
+  addTextRenderingHints,
+  fitToPage,
+  addPrintMarks,
+  embedFontFaces
+];
+
+module.exports = {
+  SVG_NS,
+  XLINK_NS,
+  DEFAULT_PASSES,
+  parseSvg,
+  serializeSvg,
+  transformSvg,
+  transformSvgFile,
+  findElements,
+  listLocalFonts,
+  uniqueId,
+  ensureNamespaces,
+  ensureViewBox,
+  addTextRenderingHints,
+  fitToPage,
+  addPrintMarks,
+  embedFontFaces
+};
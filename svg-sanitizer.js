@@ -0,0 +1,355 @@
+/**
+ * SVG sanitiser: the first stage of every conversion. Uploaded SVGs are handed to external renderers
+ * that follow references, run XML declarations and read local files, so anything that can load or
+ * execute something outside the document is removed before the file reaches them, and documents too
+ * large or deep to process safely are rejected.
+ *
+ * Allowlist:
+ * - Elements: the SVG rendering, structure, paint server, filter and text elements in ALLOWED_ELEMENTS.
+ *   Other SVG elements (script, foreignObject, animation, ...) are removed with their content.
+ *   Elements in other namespaces are removed too, except editor data (Inkscape, Sodipodi) and
+ *   anything inside <metadata>.
+ * - Attributes: the names in ALLOWED_ATTRIBUTES for their namespace - SVG attributes, the design tool's
+ *   own (template_text, imagetype, ...), xml:space/lang, xlink and the Inkscape/Sodipodi attributes that
+ *   only hold editor state - and namespace declarations. Everything else is removed, including event
+ *   handlers (on*), xml:base and editor attributes that name files (sodipodi:absref, sodipodi:docname,
+ *   inkscape:export-filename, ...).
+ * - References (href, xlink:href, url(...) in attributes and CSS): fragments (#id) and data: images
+ *   in RASTER_IMAGE_TYPES; <a> links may also point to http(s) and mailto URLs, which renderers only
+ *   record as link targets. @import rules are removed from CSS. CSS escapes (u\72l(...)) are decoded
+ *   first, so an escaped url( or @import is caught like a plain one.
+ * - Declarations: the DOCTYPE (with any entity declarations or external DTD) and processing
+ *   instructions such as xml-stylesheet are removed.
+ */
+const fs = require('fs');
+const svgPipeline = require('./svg-pipeline');
+const { ConversionError } = require('./errors');
+
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+const SODIPODI_NS = 'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+// The design tool's own namespace (se:newline on text lines)
+const DESIGN_TOOL_NS = 'http://www.pixopa.com';
+
+// Deepest element nesting accepted (renderers and the preprocessing passes recurse per level)
+const MAX_DEPTH = parseInt(process.env.SVG_MAX_DEPTH, 10) || 200;
+
+// Most elements accepted in one document
+const MAX_ELEMENTS = parseInt(process.env.SVG_MAX_ELEMENTS, 10) || 100000;
+
+// Largest embedded (data: URI) image accepted, decoded
+const MAX_IMAGE_BYTES = (parseFloat(process.env.SVG_MAX_IMAGE_MB) || 10) * 1024 * 1024;
+
+const ALLOWED_ELEMENTS = new Set([
+  // Structure
+  'svg', 'g', 'defs', 'symbol', 'use', 'switch', 'a', 'view', 'title', 'desc', 'metadata', 'style',
+  // Shapes, text and images
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath', 'image',
+  // Paint servers, clipping, masking and markers
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  // Filters
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood',
+  'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence'
+]);
+
+// SVG presentation attributes: CSS values, so they go through sanitizeCss like style
+const PRESENTATION_ATTRIBUTES = new Set([
+  'alignment-baseline', 'baseline-shift', 'clip', 'clip-path', 'clip-rule', 'color', 'color-interpolation',
+  'color-interpolation-filters', 'color-rendering', 'direction', 'display', 'dominant-baseline',
+  'enable-background', 'fill', 'fill-opacity', 'fill-rule', 'filter', 'flood-color', 'flood-opacity', 'font',
+  'font-family', 'font-size', 'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight',
+  'glyph-orientation-horizontal', 'glyph-orientation-vertical', 'image-rendering', 'isolation', 'kerning',
+  'letter-spacing', 'lighting-color', 'line-height', 'marker', 'marker-end', 'marker-mid', 'marker-start', 'mask',
+  'mix-blend-mode', 'opacity', 'overflow', 'paint-order', 'pointer-events', 'shape-rendering', 'stop-color',
+  'stop-opacity', 'stroke', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+  'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'text-anchor', 'text-decoration', 'text-rendering',
+  'transform-origin', 'unicode-bidi', 'vector-effect', 'visibility', 'white-space', 'word-spacing', 'writing-mode'
+]);
+
+// Unprefixed attributes kept, besides the presentation attributes and data-*
+const UNPREFIXED_ATTRIBUTES = new Set([
+  // Core, structure and links
+  'id', 'class', 'style', 'lang', 'tabindex', 'version', 'baseProfile', 'zoomAndPan', 'viewBox',
+  'preserveAspectRatio', 'transform', 'href', 'target', 'type', 'media', 'title', 'requiredFeatures',
+  'requiredExtensions', 'systemLanguage',
+  // Geometry and text
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr', 'width', 'height', 'd',
+  'points', 'pathLength', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset', 'method', 'spacing',
+  'side',
+  // Paint servers, clipping, masking and markers
+  'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'patternUnits', 'patternContentUnits',
+  'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits', 'markerUnits', 'markerWidth',
+  'markerHeight', 'refX', 'refY', 'orient',
+  // Filters
+  'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'mode', 'values', 'operator', 'k1', 'k2', 'k3', 'k4',
+  'order', 'kernelMatrix', 'divisor', 'bias', 'targetX', 'targetY', 'edgeMode', 'kernelUnitLength',
+  'preserveAlpha', 'surfaceScale', 'diffuseConstant', 'specularConstant', 'specularExponent', 'scale',
+  'xChannelSelector', 'yChannelSelector', 'stdDeviation', 'azimuth', 'elevation', 'z', 'pointsAtX', 'pointsAtY',
+  'pointsAtZ', 'limitingConeAngle', 'radius', 'baseFrequency', 'numOctaves', 'seed', 'stitchTiles',
+  'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+  // The design tool's template and layout data
+  'aspect', 'attr_rs', 'dpi', 'font_size', 'imagetype', 'isMultiline', 'line-spacing', 'orig_h', 'orig_w',
+  'placeholder', 'resized', 'skew_x', 'skew_y', 'template_text',
+  // Inkscape's <sodipodi:namedview> page and guide settings
+  'pagecolor', 'bordercolor', 'borderopacity', 'objecttolerance', 'gridtolerance', 'guidetolerance', 'showgrid',
+  'showguides', 'showborder', 'units', 'position', 'orientation'
+]);
+
+// Attributes kept, by namespace; unprefixed ones are UNPREFIXED_ATTRIBUTES, PRESENTATION_ATTRIBUTES and data-*
+const ALLOWED_ATTRIBUTES = new Map([
+  [XML_NS, new Set(['space', 'lang'])],
+  [svgPipeline.XLINK_NS, new Set(['href', 'title', 'show', 'actuate', 'type', 'role', 'arcrole'])],
+  [INKSCAPE_NS, new Set([
+    'label', 'groupmode', 'version', 'collect', 'connector-curvature', 'transform-center-x', 'transform-center-y',
+    'original-d', 'path-effect', 'flatsided', 'rounded', 'randomized', 'font-specification', 'swatch', 'isstock',
+    'stockid', 'pageopacity', 'pageshadow', 'pagecheckerboard', 'deskcolor', 'zoom', 'cx', 'cy', 'window-width',
+    'window-height', 'window-x', 'window-y', 'window-maximized', 'current-layer', 'document-units', 'locked',
+    'insensitive', 'export-xdpi', 'export-ydpi'
+  ])],
+  [SODIPODI_NS, new Set([
+    'type', 'nodetypes', 'role', 'cx', 'cy', 'rx', 'ry', 'start', 'end', 'open', 'arc-type', 'sides', 'r1', 'r2',
+    'arg1', 'arg2', 'argument', 'radius', 'revolution', 'expansion', 't0', 'insensitive', 'linespacing',
+    'nonprintable'
+  ])],
+  [RDF_NS, new Set(['about', 'resource', 'parseType', 'nodeID', 'datatype'])],
+  [DESIGN_TOOL_NS, new Set(['newline'])]
+]);
+
+// Namespaces of editor data kept outside <metadata>
+const EDITOR_NAMESPACES = new Set([INKSCAPE_NS, SODIPODI_NS]);
+
+// data: image types renderers decode themselves (SVG images could carry their own references)
+const RASTER_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp', 'image/bmp'];
+
+/**
+ * Check whether a reference stays inside the document
+ * @param {string} value - href or url() target
+ * @param {boolean} isLink - The reference is an <a> link target
+ * @returns {boolean}
+ */
+function isSafeReference(value, isLink = false) {
+  const target = value.trim();
+  if (target === '' || target.startsWith('#')) return true;
+
+  const dataMatch = target.match(/^data:([^;,]*)/i);
+  if (dataMatch) return RASTER_IMAGE_TYPES.includes(dataMatch[1].trim().toLowerCase());
+
+  return isLink && /^(https?:|mailto:)/i.test(target);
+}
+
+/**
+ * Decoded size of a data: URI
+ * @param {string} uri - data: URI
+ * @returns {number} - Bytes
+ */
+function dataUriSize(uri) {
+  const comma = uri.indexOf(',');
+  if (comma === -1) return 0;
+
+  const payload = uri.slice(comma + 1);
+  if (/;base64$/i.test(uri.slice(0, comma))) {
+    return Math.floor(payload.replace(/\s/g, '').length * 3 / 4);
+  }
+  return payload.length;
+}
+
+/**
+ * Check whether an attribute is in the allowlist
+ * @param {Attr} attribute - The attribute
+ * @returns {boolean}
+ */
+function isAllowedAttribute(attribute) {
+  const namespace = attribute.namespaceURI;
+  const local = attribute.localName || attribute.name;
+
+  if (namespace === XMLNS_NS || attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) return true;
+  if (!namespace) {
+    return UNPREFIXED_ATTRIBUTES.has(local) || PRESENTATION_ATTRIBUTES.has(local) || /^data-[\w.-]+$/.test(local);
+  }
+  return ALLOWED_ATTRIBUTES.has(namespace) && ALLOWED_ATTRIBUTES.get(namespace).has(local);
+}
+
+/**
+ * Decode CSS escapes (\72, \000072 , \r) so the CSS can be checked as the renderer will read it.
+ * Escaped quotes, backslashes and line breaks stay escaped, as they would end a string or the value.
+ * @param {string} css - CSS
+ * @returns {string}
+ */
+function unescapeCss(css) {
+  return css.replace(/\\(?:([0-9a-f]{1,6})(?:\r\n|[ \t\r\n\f])?|([^0-9a-f\r\n\f]))/gi, (escape, hex, char) => {
+    let decoded = char;
+    if (hex) {
+      const codePoint = parseInt(hex, 16);
+      decoded = codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)
+        ? '\ufffd'
+        : String.fromCodePoint(codePoint);
+    }
+    return /["'\\\r\n\f]/.test(decoded) ? escape : decoded;
+  });
+}
+
+/**
+ * Remove @import rules and external url() references from CSS. Escapes are decoded first.
+ * @param {string} css - Style sheet or style attribute
+ * @param {Function} onRemove - Called with a description of each removal
+ * @returns {string} - Cleaned CSS
+ */
+function sanitizeCss(css, onRemove) {
+  return (css.includes('\\') ? unescapeCss(css) : css)
+    .replace(/@import\b[^;]*;?/gi, (rule) => {
+      onRemove(`CSS ${rule.trim()}`);
+      return '';
+    })
+    .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (reference, quote, target) => {
+      if (isSafeReference(target)) return reference;
+      onRemove(`CSS reference ${reference}`);
+      return 'none';
+    });
+}
+
+/**
+ * Remove unsafe content from a parsed SVG and check it against the limits
+ * @param {Document} document - The SVG document (modified in place)
+ * @returns {{removed: string[], rejected: string[]}} - What was removed, and why the document can't be
+ *   converted (empty when it can)
+ */
+function sanitizeDocument(document) {
+  const removed = [];
+  const rejected = [];
+  const remove = (description) => {
+    if (!removed.includes(description)) removed.push(description);
+  };
+
+  // Declarations and processing instructions around the root
+  for (let node = document.firstChild; node; ) {
+    const next = node.nextSibling;
+    if (node.nodeType === 10) {
+      remove(node.internalSubset ? 'DOCTYPE with entity declarations' : 'DOCTYPE');
+      document.removeChild(node);
+    } else if (node.nodeType === 7 && node.target !== 'xml') {
+      remove(`<?${node.target}?> instruction`);
+      document.removeChild(node);
+    }
+    node = next;
+  }
+
+  let elementCount = 0;
+  let maxDepthReached = false;
+  let oversizedImages = 0;
+
+  const sanitizeAttributes = (element) => {
+    const isLink = element.localName === 'a';
+    for (const attribute of Array.from(element.attributes)) {
+      const name = attribute.name;
+      const value = attribute.value;
+      const local = attribute.localName || name;
+
+      if (!isAllowedAttribute(attribute)) {
+        remove(/^on/i.test(local) ? `${name} event handler` : `${name} attribute`);
+        element.removeAttributeNode(attribute);
+      } else if (local === 'href') {
+        if (!isSafeReference(value, isLink)) {
+          remove(`${name}="${value.length > 60 ? `${value.slice(0, 60)}...` : value}" on <${element.localName}>`);
+          element.removeAttributeNode(attribute);
+        } else if (/^data:/i.test(value.trim()) && dataUriSize(value) > MAX_IMAGE_BYTES) {
+          oversizedImages++;
+        }
+      } else if ((local === 'style' || PRESENTATION_ATTRIBUTES.has(local)) && /url\(|@import|\\/i.test(value)) {
+        const cleaned = sanitizeCss(value, remove);
+        if (cleaned !== value) attribute.value = cleaned;
+      }
+    }
+  };
+
+  const walk = (parent, depth, inMetadata) => {
+    for (let child = parent.firstChild; child; ) {
+      const next = child.nextSibling;
+
+      if (child.nodeType === 7) {
+        remove(`<?${child.target}?> instruction`);
+        parent.removeChild(child);
+      } else if (child.nodeType === 1) {
+        const namespace = child.namespaceURI;
+        const isSvg = !namespace || namespace === svgPipeline.SVG_NS;
+        const allowed = isSvg ? ALLOWED_ELEMENTS.has(child.localName) : (inMetadata || EDITOR_NAMESPACES.has(namespace));
+
+        if (!allowed) {
+          remove(`<${child.tagName}> element`);
+          parent.removeChild(child);
+        } else {
+          elementCount++;
+          if (depth > MAX_DEPTH) {
+            maxDepthReached = true;
+          } else {
+            sanitizeAttributes(child);
+            walk(child, depth + 1, inMetadata || (isSvg && child.localName === 'metadata'));
+          }
+        }
+      } else if ((child.nodeType === 3 || child.nodeType === 4) && parent.localName === 'style') {
+        const cleaned = sanitizeCss(child.data, remove);
+        if (cleaned !== child.data) child.data = cleaned;
+      }
+
+      if (maxDepthReached || elementCount > MAX_ELEMENTS) return;
+      child = next;
+    }
+  };
+
+  const root = document.documentElement;
+  sanitizeAttributes(root);
+  walk(root, 1, false);
+
+  if (maxDepthReached) {
+    rejected.push(`Elements are nested more than ${MAX_DEPTH} levels deep`);
+  }
+  if (elementCount > MAX_ELEMENTS) {
+    rejected.push(`More than ${MAX_ELEMENTS} elements`);
+  }
+  if (oversizedImages > 0) {
+    rejected.push(`${oversizedImages} embedded image${oversizedImages === 1 ? ' is' : 's are'} larger than ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`);
+  }
+
+  return { removed, rejected };
+}
+
+/**
+ * Sanitise an SVG file in place
+ * @param {string} svgPath - Path to the SVG file
+ * @returns {{removed: string[]}} - Descriptions of the content removed
+ * @throws {ConversionError} - When the file isn't an SVG or breaks a limit; details list the reasons
+ */
+function sanitizeSvgFile(svgPath) {
+  let document;
+  try {
+    document = svgPipeline.parseSvg(fs.readFileSync(svgPath, 'utf8'));
+  } catch (error) {
+    throw new ConversionError('SVG rejected', error.message);
+  }
+
+  const { removed, rejected } = sanitizeDocument(document);
+  if (rejected.length > 0) {
+    throw new ConversionError('SVG rejected', rejected.join('; '));
+  }
+
+  if (removed.length > 0) {
+    fs.writeFileSync(svgPath, svgPipeline.serializeSvg(document), 'utf8');
+  }
+  return { removed };
+}
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_ELEMENTS,
+  MAX_IMAGE_BYTES,
+  ALLOWED_ELEMENTS,
+  ALLOWED_ATTRIBUTES,
+  isSafeReference,
+  sanitizeCss,
+  sanitizeDocument,
+  sanitizeSvgFile
+};
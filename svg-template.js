@@ -0,0 +1,335 @@
+/**
+ * Template merge: fills the text and images of a template SVG from a data set, one SVG per record.
+ *
+ * Templates come from the design tool, which marks personalisable elements: `template_text` on text
+ * elements and `imagetype` (e.g. "image1", "backimage1") on images. A record's fields are matched to
+ * text (<text>, <tspan>, <textPath>) and <image> elements by element id, by `imagetype`, or by
+ * `template_text` when it holds a field name rather than true/false.
+ *
+ * - Text: the value replaces the element's text. Line breaks start new lines, laid out like the
+ *   template's own lines (the tool writes one <tspan> per line, each with its x and dy)
+ * - Images: the value is a data: URI or the name of an uploaded image file, which is embedded
+ */
+const fs = require('fs');
+const path = require('path');
+const svgPipeline = require('./svg-pipeline');
+const svgSanitizer = require('./svg-sanitizer');
+const svgImages = require('./svg-images');
+
+// Most records merged from one data set
+const MAX_RECORDS = parseInt(process.env.MERGE_MAX_RECORDS, 10) || 500;
+
+// Elements whose text a field replaces
+const TEXT_ELEMENTS = ['text', 'tspan', 'textPath'];
+
+// Line advance for new lines in text that has no line of its own to copy
+const DEFAULT_LINE_HEIGHT = '1.2em';
+
+/**
+ * Split CSV into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows, blank lines left out
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse a data set into records
+ * @param {string} text - JSON (an array of objects, or { records: [...] }) or CSV with a header row
+ * @param {string|null} format - json or csv; guessed from the content when null
+ * @returns {Object[]} - Records, each mapping field names to values
+ */
+function parseRecords(text, format = null) {
+  const dataFormat = format ? String(format).toLowerCase() : (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+  let records;
+
+  if (dataFormat === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON data: ${error.message}`);
+    }
+    records = Array.isArray(data) ? data : data && data.records;
+    if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+      throw new Error('JSON data must be an array of records (objects), or { "records": [...] }');
+    }
+  } else if (dataFormat === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      throw new Error('CSV data is empty');
+    }
+    const columns = header.map(name => name.trim());
+    records = rows.map(row => Object.fromEntries(columns.map((name, index) => [name, row[index] === undefined ? '' : row[index]])));
+  } else {
+    throw new Error(`Unsupported data format "${format}" - use json or csv`);
+  }
+
+  if (records.length === 0) {
+    throw new Error('The data set has no records');
+  }
+  if (records.length > MAX_RECORDS) {
+    throw new Error(`The data set has ${records.length} records - the limit is ${MAX_RECORDS}`);
+  }
+  return records;
+}
+
+/**
+ * Find the template's fields: the text and image elements a record can fill, by field name
+ * @param {Document} document - The template document
+ * @returns {Map<string, {kind: string, elements: Element[]}>} - kind is text or image
+ */
+function findFields(document) {
+  const fields = new Map();
+  const add = (name, kind, element) => {
+    if (!name) return;
+    if (!fields.has(name)) fields.set(name, { kind, elements: [] });
+    const field = fields.get(name);
+    if (field.kind === kind && !field.elements.includes(element)) field.elements.push(element);
+  };
+
+  for (const name of TEXT_ELEMENTS) {
+    for (const element of svgPipeline.findElements(document.documentElement, name)) {
+      const templateText = element.getAttribute('template_text');
+      if (!['', 'true', 'false'].includes(templateText)) add(templateText, 'text', element);
+      add(element.getAttribute('id'), 'text', element);
+    }
+  }
+  for (const element of svgPipeline.findElements(document.documentElement, 'image')) {
+    add(element.getAttribute('imagetype'), 'image', element);
+    add(element.getAttribute('id'), 'image', element);
+  }
+
+  return fields;
+}
+
+/**
+ * Describe the template's fields, for the API
+ * @param {Document} document - The template document
+ * @returns {{name: string, kind: string, elements: number}[]}
+ */
+function listFields(document) {
+  return Array.from(findFields(document), ([name, field]) => ({ name, kind: field.kind, elements: field.elements.length }));
+}
+
+/**
+ * Replace an element's text, laying extra lines out like the template's own
+ * @param {Element} element - <text>, <tspan> or <textPath>
+ * @param {string} value - New text; line breaks start new lines
+ */
+function setText(element, value) {
+  const document = element.ownerDocument;
+  const lines = value.split(/\r\n|\r|\n/);
+  const templateLines = element.localName === 'text'
+    ? Array.from(element.childNodes).filter(child => child.nodeType === 1 && child.localName === 'tspan')
+    : [];
+
+  while (element.firstChild) element.removeChild(element.firstChild);
+
+  // Plain text, or an element that can't hold lines of its own
+  if (element.localName !== 'text' || (lines.length === 1 && templateLines.length === 0)) {
+    element.appendChild(document.createTextNode(lines.join(' ')));
+    return;
+  }
+
+  // One <tspan> per line: the template's lines first, then copies of its last line
+  const lastLine = templateLines[templateLines.length - 1] || null;
+  lines.forEach((line, index) => {
+    let tspan;
+    if (index < templateLines.length) {
+      tspan = templateLines[index];
+      while (tspan.firstChild) tspan.removeChild(tspan.firstChild);
+    } else if (lastLine) {
+      tspan = lastLine.cloneNode(false);
+      if (templateLines.length === 1) tspan.setAttribute('dy', DEFAULT_LINE_HEIGHT);
+      if (tspan.hasAttribute('id')) tspan.setAttribute('id', svgPipeline.uniqueId(document, `${tspan.getAttribute('id')}-${index + 1}`));
+    } else {
+      tspan = document.createElementNS(element.namespaceURI || svgPipeline.SVG_NS, 'tspan');
+      if (element.hasAttribute('x')) tspan.setAttribute('x', element.getAttribute('x'));
+      tspan.setAttribute('dy', index === 0 ? '0' : DEFAULT_LINE_HEIGHT);
+    }
+    tspan.appendChild(document.createTextNode(line));
+    element.appendChild(tspan);
+  });
+}
+
+/**
+ * Turn an image field's value into a data: URI
+ * @param {string} value - data: URI, or the name of an uploaded image
+ * @param {Map<string, string>} images - Uploaded images: original name to path on disk
+ * @returns {string}
+ */
+function resolveImage(value, images) {
+  if (/^data:/i.test(value)) {
+    if (!svgSanitizer.isSafeReference(value)) {
+      throw new Error('only PNG, JPEG, GIF, WebP or BMP data: URIs can be embedded');
+    }
+    return value;
+  }
+
+  const imagePath = images.get(value) || images.get(path.basename(value));
+  if (!imagePath) {
+    throw new Error(`no uploaded image is named "${value}"`);
+  }
+  const buffer = fs.readFileSync(imagePath);
+  const info = svgImages.readImageInfo(buffer);
+  if (!info) {
+    throw new Error(`${value} isn't a PNG, JPEG, GIF, WebP or BMP image`);
+  }
+  return `data:image/${info.format};base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Fill a template document from one record
+ * @param {Document} document - Template document (modified in place)
+ * @param {Object} record - Field values; null, missing and (for images) empty values keep the template's content
+ * @param {Map<string, string>} images - Uploaded images: original name to path on disk
+ */
+function mergeRecord(document, record, images) {
+  const fields = findFields(document);
+
+  for (const [name, value] of Object.entries(record)) {
+    const field = fields.get(name);
+    if (!field || value === null || value === undefined) continue;
+    if (typeof value === 'object') {
+      throw new Error(`"${name}" must be text, not ${Array.isArray(value) ? 'a list' : 'an object'}`);
+    }
+
+    const text = String(value);
+    if (field.kind === 'text') {
+      field.elements.forEach(element => setText(element, text));
+    } else if (text.trim() !== '') {
+      let uri;
+      try {
+        uri = resolveImage(text.trim(), images);
+      } catch (error) {
+        throw new Error(`"${name}": ${error.message}`);
+      }
+      for (const element of field.elements) {
+        const href = Array.from(element.attributes).find(attribute => (attribute.localName || attribute.name) === 'href');
+        if (href) {
+          href.value = uri;
+        } else {
+          element.setAttributeNS(svgPipeline.XLINK_NS, 'xlink:href', uri);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * File name for a record's output: its name field when it has one, else record-N
+ * @param {Object} record - Field values
+ * @param {number} index - Record index
+ * @param {string|null} nameField - Field naming the record
+ * @returns {string} - SVG file name
+ */
+function recordFileName(record, index, nameField) {
+  const name = nameField && record[nameField] !== undefined && record[nameField] !== null
+    ? String(record[nameField]).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim()
+    : '';
+  return `${name || `record-${index + 1}`}.svg`;
+}
+
+/**
+ * Merge every record into its own copy of the template, checking the data against the template first
+ * @param {string} templatePath - Path to the template SVG
+ * @param {Object[]} records - parseRecords() result
+ * @param {Object} options
+ * @param {Map<string, string>} options.images - Uploaded images: original name to path on disk
+ * @param {string} options.tempDir - Directory to write the merged SVGs to
+ * @param {string} options.baseName - File name prefix for the merged SVGs in tempDir
+ * @param {string|null} options.nameField - Field naming each record's output file (default: record-N)
+ * @returns {{inputs: {name: string, path: string}[], fields: Object[]}} - Merged SVGs in record order, as
+ *   batch inputs, and the template's fields (listFields())
+ */
+function mergeTemplateFile(templatePath, records, { images = new Map(), tempDir, baseName, nameField = null }) {
+  const template = fs.readFileSync(templatePath, 'utf8');
+  let document;
+  try {
+    document = svgPipeline.parseSvg(template);
+  } catch (error) {
+    throw new Error(`Invalid template: ${error.message}`);
+  }
+
+  // Every column has to fill something, so a misspelt field doesn't go unnoticed
+  const fields = findFields(document);
+  const fieldList = listFields(document);
+  const columns = new Set(records.flatMap(record => Object.keys(record)));
+  if (nameField) columns.delete(nameField);
+  const unknown = Array.from(columns).filter(name => !fields.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`No template element matches ${unknown.map(name => `"${name}"`).join(', ')} - ` +
+      (fields.size > 0 ? `the template's fields are ${Array.from(fields.keys()).join(', ')}` : 'the template has no fields'));
+  }
+
+  const written = [];
+  try {
+    records.forEach((record, index) => {
+      const merged = index === 0 ? document : svgPipeline.parseSvg(template);
+      try {
+        mergeRecord(merged, record, images);
+      } catch (error) {
+        throw new Error(`Record ${index + 1}: ${error.message}`);
+      }
+
+      const svgPath = path.join(tempDir, `${baseName}-${index}.svg`);
+      fs.writeFileSync(svgPath, svgPipeline.serializeSvg(merged), 'utf8');
+      written.push({ name: recordFileName(record, index, nameField), path: svgPath });
+    });
+  } catch (error) {
+    written.forEach(input => fs.rmSync(input.path, { force: true }));
+    throw error;
+  }
+
+  return { inputs: written, fields: fieldList };
+}
+
+module.exports = {
+  MAX_RECORDS,
+  parseCsv,
+  parseRecords,
+  findFields,
+  listFields,
+  mergeRecord,
+  mergeTemplateFile
+};
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const batch = require('../batch');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>';
+
+describe('expandUploads', () => {
+  let tempDir;
+
+  // Write an upload the way multer leaves it: a file named after its filename in the temp directory
+  function upload(filename, originalname, data) {
+    const filePath = path.join(tempDir, filename);
+    fs.writeFileSync(filePath, data);
+    return { filename, originalname, path: filePath, mimetype: originalname.endsWith('.zip') ? 'application/zip' : 'image/svg+xml' };
+  }
+
+  function zipOf(entries) {
+    const zip = new AdmZip();
+    for (const [name, data] of entries) zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data));
+    return zip.toBuffer();
+  }
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('unpacks SVGs and ZIPs, uploads in order', () => {
+    const inputs = batch.expandUploads([
+      upload('a', 'first.svg', SVG),
+      upload('b', 'more.zip', zipOf([['one.svg', SVG], ['dir/two.svg', SVG], ['notes.txt', 'x'], ['__MACOSX/one.svg', SVG]]))
+    ], tempDir);
+
+    assert.equal(inputs[0].name, 'first.svg');
+    assert.deepEqual(inputs.slice(1).map(input => input.name).sort(), ['one.svg', 'two.svg']);
+    for (const input of inputs) assert.equal(fs.readFileSync(input.path, 'utf8'), SVG);
+    assert.deepEqual(fs.readdirSync(tempDir).sort(), inputs.map(input => path.basename(input.path)).sort());
+  });
+
+  it('removes what it unpacked when a later ZIP has an oversized entry', () => {
+    const files = [
+      upload('a', 'first.svg', SVG),
+      upload('b', 'good.zip', zipOf([['one.svg', SVG], ['two.svg', SVG]])),
+      upload('c', 'bad.zip', zipOf([['small.svg', SVG], ['huge.svg', Buffer.alloc(10 * 1024 * 1024 + 1, 32)]]))
+    ];
+
+    assert.throws(() => batch.expandUploads(files, tempDir), /huge\.svg in bad\.zip is larger than 10MB/);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+
+  it('removes what it unpacked when a later ZIP has too many entries', () => {
+    const entries = Array.from({ length: 501 }, (_, index) => [`${index}.svg`, SVG]);
+    const files = [
+      upload('a', 'good.zip', zipOf([['one.svg', SVG]])),
+      upload('b', 'many.zip', zipOf(entries))
+    ];
+
+    assert.throws(() => batch.expandUploads(files, tempDir), /contains 501 SVGs/);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+
+  it('removes what it unpacked when a later upload is not a valid ZIP', () => {
+    const files = [
+      upload('a', 'first.svg', SVG),
+      upload('b', 'broken.zip', 'not a zip')
+    ];
+
+    assert.throws(() => batch.expandUploads(files, tempDir));
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+});
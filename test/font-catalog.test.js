@@ -0,0 +1,40 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fontCatalog = require('../font-catalog');
+const { JobCancelledError } = require('../errors');
+
+describe('fetchFontFile', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    // Sends the headers and part of the body, then stalls
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Length': 100 });
+      res.write('partial');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('stops a stalled download when the signal aborts, with the signal\'s reason', async () => {
+    const controller = new AbortController();
+    const download = fontCatalog.fetchFontFile(`${baseUrl}/s/stalled/v1/Stalled-Regular.ttf`, { signal: controller.signal });
+    setTimeout(() => controller.abort(new JobCancelledError()), 50);
+
+    await assert.rejects(download, JobCancelledError);
+  });
+
+  it('does not start when the signal has already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new JobCancelledError());
+    await assert.rejects(fontCatalog.fetchFontFile(`${baseUrl}/s/stalled/v1/Stalled-Regular.ttf`, { signal: controller.signal }), JobCancelledError);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fontFiles = require('../font-files');
+
+/**
+ * A font holding only a format 12 cmap (Windows full Unicode) with the given groups
+ * @param {number[][]} groups - [start, end, first glyph] groups
+ */
+function format12Font(groups) {
+  const subtable = Buffer.alloc(16 + groups.length * 12);
+  subtable.writeUInt16BE(12, 0);
+  subtable.writeUInt32BE(subtable.length, 4);
+  subtable.writeUInt32BE(groups.length, 12);
+  groups.forEach(([start, end, glyph], i) => {
+    subtable.writeUInt32BE(start, 16 + i * 12);
+    subtable.writeUInt32BE(end, 20 + i * 12);
+    subtable.writeUInt32BE(glyph, 24 + i * 12);
+  });
+
+  const cmapHeader = Buffer.alloc(12);
+  cmapHeader.writeUInt16BE(1, 2);
+  cmapHeader.writeUInt16BE(3, 4);
+  cmapHeader.writeUInt16BE(10, 6);
+  cmapHeader.writeUInt32BE(12, 8);
+  const cmap = Buffer.concat([cmapHeader, subtable]);
+
+  const header = Buffer.alloc(28);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(1, 4);
+  header.write('cmap', 12, 'latin1');
+  header.writeUInt32BE(header.length, 20);
+  header.writeUInt32BE(cmap.length, 24);
+  return Buffer.concat([header, cmap]);
+}
+
+describe('readCharacterMap', () => {
+  it('keeps format 12 groups as merged ranges', () => {
+    const map = fontFiles.readCharacterMap(format12Font([[0x4e00, 0x9fff, 100], [0x20, 0x7e, 1], [0x7f, 0xff, 96]]));
+    assert.deepEqual(map.ranges, [[0x20, 0xff], [0x4e00, 0x9fff]]);
+    for (const codePoint of [0x20, 0x41, 0xff, 0x4e00, 0x6f22, 0x9fff]) assert.equal(map.has(codePoint), true);
+    for (const codePoint of [0x1f, 0x100, 0x4dff, 0xa000, 0x1f600]) assert.equal(map.has(codePoint), false);
+  });
+
+  it('leaves out a code point mapped to .notdef', () => {
+    const map = fontFiles.readCharacterMap(format12Font([[0x41, 0x43, 0]]));
+    assert.deepEqual(map.ranges, [[0x42, 0x43]]);
+  });
+
+  it('cuts a group off at the end of Unicode instead of expanding it', () => {
+    const map = fontFiles.readCharacterMap(format12Font([[0x10fff0, 0xffffffff, 5]]));
+    assert.deepEqual(map.ranges, [[0x10fff0, 0x10ffff]]);
+    assert.equal(map.has(0x110000), false);
+  });
+
+  it('skips groups that run backwards or start past the end of Unicode', () => {
+    const map = fontFiles.readCharacterMap(format12Font([[0x50, 0x40, 5], [0x110000, 0x120000, 5], [0x61, 0x61, 9]]));
+    assert.deepEqual(map.ranges, [[0x61, 0x61]]);
+  });
+});
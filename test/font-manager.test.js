@@ -0,0 +1,54 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fontManager = require('../font-manager');
+
+describe('ensureFontsAvailable with system fonts', () => {
+  let tempDir;
+  let fontsDir;
+
+  function writeSvg(name, fontFamily) {
+    const svgPath = path.join(tempDir, `${name}.svg`);
+    fs.writeFileSync(svgPath, '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="20">' +
+      `<text x="0" y="15" font-family="${fontFamily}" font-weight="bold">Hello</text></svg>`);
+    return svgPath;
+  }
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-manager-test-'));
+    fontsDir = path.join(tempDir, 'fonts');
+    fs.mkdirSync(fontsDir);
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  for (const download of [true, false]) {
+    it(`leaves a system font to the renderer instead of substituting it (${download ? 'conversion' : 'preflight'})`, async () => {
+      const messages = [];
+      const results = await fontManager.ensureFontsAvailable(writeSvg('arial', 'arial'), fontsDir,
+        message => messages.push(message), { download });
+
+      assert.equal(results.variants.length, 1);
+      assert.equal(results.variants[0].status, 'system');
+      assert.equal(results.variants[0].usedFamily, 'arial');
+      assert.equal(results.variants[0].file, null);
+      assert.deepEqual(results.fontsReplaced, []);
+      assert.deepEqual(results.fontsFailed, []);
+      assert.deepEqual(results.errors, []);
+      assert.deepEqual(results.report, { substituted: [], missing: [], glyphs: [] });
+      assert.ok(messages.some(message => message.includes('arial 700 is a system font')), messages.join('\n'));
+    });
+  }
+
+  it('uses the system font when a fallback list gets to it', async () => {
+    const results = await fontManager.ensureFontsAvailable(writeSvg('fallback', "'Times New Roman', serif"), fontsDir, null);
+    assert.equal(results.variants[0].status, 'system');
+    assert.equal(results.variants[0].usedFamily, 'Times New Roman');
+  });
+});
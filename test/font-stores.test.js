@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fontStores = require('../font-stores');
+const { AuthenticationError } = require('../errors');
+
+const ACME_TOKEN = 'acme-0123456789abcdef';
+const GLOBEX_TOKEN = 'globex-0123456789abcdef';
+
+describe('parseTenantTokens', () => {
+  it('maps token hashes to lower-case tenants', () => {
+    const tokens = fontStores.parseTenantTokens(` Acme:${ACME_TOKEN} , globex:${GLOBEX_TOKEN},acme:acme-second-token-0000`);
+    assert.deepEqual(Array.from(new Set(tokens.values())).sort(), ['acme', 'globex']);
+    assert.equal(tokens.size, 3);
+    assert.ok(!Array.from(tokens.keys()).includes(ACME_TOKEN), 'tokens are kept as hashes');
+  });
+
+  it('is empty without a configuration', () => {
+    assert.equal(fontStores.parseTenantTokens(undefined).size, 0);
+    assert.equal(fontStores.parseTenantTokens('').size, 0);
+  });
+
+  const invalid = [
+    ['a pair without a token', 'acme'],
+    ['a short token', 'acme:short'],
+    ['an invalid tenant', `../acme:${ACME_TOKEN}`],
+    ['an empty tenant', `:${ACME_TOKEN}`]
+  ];
+
+  for (const [name, value] of invalid) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => fontStores.parseTenantTokens(value), /FONT_TENANT_TOKENS entry 1 is invalid/);
+    });
+  }
+
+  it('rejects a token shared by two tenants', () => {
+    assert.throws(() => fontStores.parseTenantTokens(`acme:${ACME_TOKEN},globex:${ACME_TOKEN}`), /acme and globex the same token/);
+  });
+
+  it('never echoes a token in its errors', () => {
+    assert.throws(() => fontStores.parseTenantTokens('acme:secret'), error => !error.message.includes('secret'));
+  });
+});
+
+describe('authenticateTenant', () => {
+  const tokens = fontStores.parseTenantTokens(`acme:${ACME_TOKEN},globex:${GLOBEX_TOKEN}`);
+
+  it('returns the tenant a token belongs to', () => {
+    assert.equal(fontStores.authenticateTenant(ACME_TOKEN, tokens), 'acme');
+    assert.equal(fontStores.authenticateTenant(` ${GLOBEX_TOKEN} `, tokens), 'globex');
+  });
+
+  it('returns null without a token', () => {
+    for (const token of [undefined, null, '', '  ']) {
+      assert.equal(fontStores.authenticateTenant(token, tokens), null);
+    }
+  });
+
+  it('rejects unknown tokens, including tenant names', () => {
+    for (const token of ['acme', `${ACME_TOKEN}x`, ACME_TOKEN.toUpperCase()]) {
+      assert.throws(() => fontStores.authenticateTenant(token, tokens), AuthenticationError);
+    }
+  });
+
+  it('rejects every token when none are configured', () => {
+    assert.throws(() => fontStores.authenticateTenant(ACME_TOKEN, new Map()), /Unknown tenant token/);
+  });
+});
+
+describe('getFontStore', () => {
+  it('layers a tenant directory over the base directory', () => {
+    const store = fontStores.getFontStore('/fonts', 'acme');
+    assert.equal(store.dir, path.join(fontStores.TENANTS_DIR, 'acme'));
+    assert.deepEqual(store.layers, [store.dir, '/fonts']);
+  });
+
+  it('uses only the base directory without a tenant', () => {
+    assert.deepEqual(fontStores.getFontStore('/fonts', null).layers, ['/fonts']);
+  });
+});
+
+describe('isAdminToken', () => {
+  const ADMIN_TOKEN = 'admin-0123456789abcdef';
+
+  it('accepts only the configured token', () => {
+    assert.equal(fontStores.isAdminToken(ADMIN_TOKEN, ADMIN_TOKEN), true);
+    assert.equal(fontStores.isAdminToken(` ${ADMIN_TOKEN} `, ADMIN_TOKEN), true);
+    assert.equal(fontStores.isAdminToken(`${ADMIN_TOKEN}x`, ADMIN_TOKEN), false);
+    assert.equal(fontStores.isAdminToken(undefined, ADMIN_TOKEN), false);
+  });
+
+  it('accepts nothing when no admin token is configured', () => {
+    assert.equal(fontStores.isAdminToken('', null), false);
+    assert.equal(fontStores.isAdminToken(ADMIN_TOKEN, null), false);
+  });
+
+  it('rejects a short admin token in the configuration', () => {
+    assert.equal(fontStores.parseAdminToken(''), null);
+    assert.equal(fontStores.parseAdminToken(ADMIN_TOKEN), ADMIN_TOKEN);
+    assert.throws(() => fontStores.parseAdminToken('short'), /at least 16 characters/);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fontStyles = require('../font-styles');
+const fontFiles = require('../font-files');
+const fontManager = require('../font-manager');
+
+describe('normalizeFamily', () => {
+  const cases = [
+    ['Open Sans', 'opensans'],
+    ['open-sans', 'opensans'],
+    ['Noto_Sans_JP', 'notosansjp'],
+    ['源ノ角ゴシック', '源ノ角ゴシック'],
+    ['나눔고딕', '나눔고딕'],
+    ['Шрифт Один', 'шрифтодин'],
+    ['Ｏｐｅｎ Ｓａｎｓ', 'opensans'],
+    ['-- --', '']
+  ];
+
+  for (const [family, expected] of cases) {
+    it(`${JSON.stringify(family)} -> ${JSON.stringify(expected)}`, () => {
+      assert.equal(fontStyles.normalizeFamily(family), expected);
+    });
+  }
+});
+
+describe('sameFamily', () => {
+  const cases = [
+    ['Open Sans', 'OpenSans', true],
+    ['源ノ角ゴシック', '源ノ角ゴシック', true],
+    ['源ノ角ゴシック', '나눔고딕', false],
+    ['Шрифт', 'Шрифт Два', false],
+    ['Arial', 'Arimo', false],
+    ['--', '--', false],
+    ['', '', false]
+  ];
+
+  for (const [a, b, expected] of cases) {
+    it(`${JSON.stringify(a)} / ${JSON.stringify(b)} -> ${expected}`, () => {
+      assert.equal(fontStyles.sameFamily(a, b), expected);
+    });
+  }
+});
+
+describe('font layers with non-Latin family names', () => {
+  // Font files named after their family; the contents aren't a font, so the name is all there is to go on
+  function layers() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'font-styles-test-'));
+    const tenantDir = path.join(root, 'tenant');
+    const baseDir = path.join(root, 'base');
+    fs.mkdirSync(tenantDir);
+    fs.mkdirSync(baseDir);
+    fs.writeFileSync(path.join(tenantDir, '源ノ角ゴシック-Regular.ttf'), 'not a font');
+    fs.writeFileSync(path.join(baseDir, '나눔고딕-Regular.ttf'), 'not a font');
+    fs.writeFileSync(path.join(baseDir, 'Шрифт-Bold.ttf'), 'not a font');
+    return { root, layers: [tenantDir, baseDir] };
+  }
+
+  it('does not hide unrelated shared families behind a tenant family', () => {
+    const { root, layers: fontLayers } = layers();
+    try {
+      const families = fontFiles.listFontFiles(fontLayers).map(font => font.family).sort();
+      assert.deepEqual(families, ['Шрифт', '나눔고딕', '源ノ角ゴシック'].sort());
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('finds only the variants of the family asked for', () => {
+    const { root, layers: fontLayers } = layers();
+    try {
+      assert.deepEqual(fontManager.findLocalFontVariants('나눔고딕', fontLayers).map(font => font.file), ['나눔고딕-Regular.ttf']);
+      assert.deepEqual(fontManager.findLocalFontVariants('Noto Sans', fontLayers), []);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
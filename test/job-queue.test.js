@@ -0,0 +1,131 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jobs = require('../jobs');
+const jobQueue = require('../job-queue');
+const { ConversionError, JobCancelledError } = require('../errors');
+
+/**
+ * A task that runs until released, then completes its job the way the server's tasks do
+ */
+function blockingTask(job) {
+  const task = { started: false, signal: null };
+  const released = new Promise(resolve => { task.release = resolve; });
+  task.run = async (signal) => {
+    task.started = true;
+    task.signal = signal;
+    await released;
+    jobs.completeJob(job, {});
+  };
+  return task;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function lastEvent(job) {
+  return job.events[job.events.length - 1];
+}
+
+describe('job queue', () => {
+  before(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  it('runs at most WORKER_COUNT jobs at once and starts the next when one finishes', async () => {
+    const entries = Array.from({ length: jobQueue.WORKER_COUNT + 1 }, () => {
+      const job = jobs.createJob();
+      return { job, task: blockingTask(job) };
+    });
+    for (const { job, task } of entries) jobQueue.enqueue(job, task.run);
+    const last = entries[entries.length - 1];
+
+    await waitFor(() => entries.slice(0, -1).every(({ task }) => task.started));
+    assert.equal(last.task.started, false);
+    assert.equal(jobQueue.getQueueStatus().running, jobQueue.WORKER_COUNT);
+    assert.equal(jobQueue.getQueuePosition(last.job), 1);
+    assert.equal(lastEvent(last.job).type, 'queued');
+    assert.equal(lastEvent(last.job).data.position, 1);
+
+    entries[0].task.release();
+    await waitFor(() => last.task.started);
+    assert.equal(jobQueue.getQueuePosition(last.job), null);
+
+    for (const { task } of entries) task.release();
+    await waitFor(() => entries.every(({ job }) => job.status === 'complete'));
+    await waitFor(() => jobQueue.getQueueStatus().running === 0);
+  });
+
+  it('fails a job that ignores its timeout and frees its worker', async () => {
+    const stuck = jobs.createJob();
+    const stuckTask = blockingTask(stuck);
+    jobQueue.enqueue(stuck, stuckTask.run, { timeoutMs: 20, graceMs: 20 });
+
+    await waitFor(() => stuck.status === 'failed');
+    assert.ok(stuckTask.signal.aborted);
+    assert.ok(stuckTask.signal.reason instanceof ConversionError);
+    assert.equal(lastEvent(stuck).data.error, 'Conversion timed out');
+    assert.match(lastEvent(stuck).data.details, /Stopped after 0.02 seconds/);
+    assert.equal(jobQueue.getQueueStatus().running, 0);
+
+    // The worker is free for other jobs while the stuck task is still going
+    const next = jobs.createJob();
+    const nextTask = blockingTask(next);
+    jobQueue.enqueue(next, nextTask.run);
+    await waitFor(() => nextTask.started);
+    nextTask.release();
+    await waitFor(() => next.status === 'complete');
+
+    // A result reported after the job was given up on doesn't change it
+    stuckTask.release();
+    await waitFor(() => jobQueue.getQueueStatus().running === 0);
+    assert.equal(stuck.status, 'failed');
+    assert.equal(lastEvent(stuck).type, 'failed');
+  });
+
+  it('cancels a queued job without running it', async () => {
+    const blockers = Array.from({ length: jobQueue.WORKER_COUNT }, () => {
+      const job = jobs.createJob();
+      return { job, task: blockingTask(job) };
+    });
+    for (const { job, task } of blockers) jobQueue.enqueue(job, task.run);
+    const queued = jobs.createJob();
+    const queuedTask = blockingTask(queued);
+    jobQueue.enqueue(queued, queuedTask.run);
+    assert.equal(jobQueue.getQueuePosition(queued), 1);
+
+    assert.equal(jobQueue.cancel(queued), true);
+    assert.equal(queued.status, 'cancelled');
+    assert.equal(lastEvent(queued).data.message, 'Cancelled before conversion started');
+    assert.equal(jobQueue.getQueuePosition(queued), null);
+    assert.equal(jobQueue.getQueueStatus().waiting, 0);
+
+    for (const { task } of blockers) task.release();
+    await waitFor(() => blockers.every(({ job }) => job.status === 'complete'));
+    assert.equal(queuedTask.started, false);
+    assert.equal(jobQueue.cancel(queued), false);
+  });
+
+  it('aborts a running job and frees its worker once the task stops', async () => {
+    const job = jobs.createJob();
+    let reason = null;
+    jobQueue.enqueue(job, (signal) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        reason = signal.reason;
+        jobs.cancelJob(job, { message: reason.message });
+        resolve();
+      });
+    }));
+    await waitFor(() => jobQueue.getQueueStatus().running === 1);
+
+    assert.equal(jobQueue.cancel(job), true);
+    await waitFor(() => jobQueue.getQueueStatus().running === 0);
+    assert.ok(reason instanceof JobCancelledError);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(jobQueue.cancel(job), false);
+  });
+});
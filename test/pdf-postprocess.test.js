@@ -0,0 +1,75 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFKit = require('pdfkit');
+const { PDFDocument } = require('pdf-lib');
+const pdfPostprocess = require('../pdf-postprocess');
+const batch = require('../batch');
+
+const PAGE = { width: 100, height: 50, bleed: 9, slug: 18, marks: true };
+
+// A one-page PDF as the PDFKit renderer writes it, in the given version
+function renderPdf(pdfPath, pdfVersion) {
+  return new Promise((resolve, reject) => {
+    const offset = PAGE.bleed + PAGE.slug;
+    const doc = new PDFKit({ size: [PAGE.width + 2 * offset, PAGE.height + 2 * offset], margin: 0, pdfVersion });
+    const stream = fs.createWriteStream(pdfPath);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+    doc.rect(offset, offset, PAGE.width, PAGE.height).fill('#000000');
+    doc.end();
+  });
+}
+
+function header(pdfPath) {
+  return fs.readFileSync(pdfPath).toString('latin1', 0, 8);
+}
+
+function usesObjectStreams(pdfPath) {
+  return fs.readFileSync(pdfPath).toString('latin1').includes('/ObjStm');
+}
+
+describe('pdf-postprocess', () => {
+  let tempDir;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-postprocess-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  for (const pdfVersion of ['1.4', '1.5']) {
+    it(`keeps PDF ${pdfVersion} when setting the page boxes`, async () => {
+      const pdfPath = path.join(tempDir, `boxes-${pdfVersion}.pdf`);
+      await renderPdf(pdfPath, pdfVersion);
+      assert.equal(header(pdfPath), `%PDF-${pdfVersion}`);
+
+      await pdfPostprocess.setPageBoxes(pdfPath, PAGE, pdfVersion);
+
+      assert.equal(header(pdfPath), `%PDF-${pdfVersion}`);
+      if (pdfVersion === '1.4') assert.equal(usesObjectStreams(pdfPath), false);
+
+      const [page] = (await PDFDocument.load(fs.readFileSync(pdfPath))).getPages();
+      assert.deepEqual(page.getTrimBox(), { x: 27, y: 27, width: 100, height: 50 });
+      assert.deepEqual(page.getBleedBox(), { x: 18, y: 18, width: 118, height: 68 });
+    });
+
+    it(`writes merged PDFs as PDF ${pdfVersion}`, async () => {
+      const sources = [0, 1].map(index => path.join(tempDir, `source-${pdfVersion}-${index}.pdf`));
+      for (const source of sources) await renderPdf(source, pdfVersion);
+      const mergedPath = path.join(tempDir, `merged-${pdfVersion}.pdf`);
+
+      assert.equal(await batch.mergePdfs(sources, mergedPath, pdfVersion), 2);
+
+      assert.equal(header(mergedPath), `%PDF-${pdfVersion}`);
+      if (pdfVersion === '1.4') assert.equal(usesObjectStreams(mergedPath), false);
+      assert.equal((await PDFDocument.load(fs.readFileSync(mergedPath))).getPageCount(), 2);
+    });
+  }
+});
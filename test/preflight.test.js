@@ -0,0 +1,152 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Resolve fonts from local files only: no catalog, so nothing is looked up on Google Fonts
+process.env.FONTS_OFFLINE = '1';
+process.env.FONT_CATALOG_CACHE = path.join(os.tmpdir(), 'preflight-test-no-catalog.json');
+delete process.env.FONT_CATALOG_SEED;
+
+const preflight = require('../preflight');
+const pageSize = require('../page-size');
+
+const IMAGES = { downsample: false, dpi: 300, minDpi: 150, format: 'auto' };
+
+/**
+ * The header of an RGB PNG of a given pixel size (all the image inspection looks at)
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(45);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  buffer[24] = 8;
+  buffer[25] = 2;
+  buffer.write('IEND', 37, 'latin1');
+  return buffer;
+}
+
+describe('analyzeSvgFile', () => {
+  let tempDir;
+  let fontsDir;
+
+  // A 2 inch square artwork on a page of the same size, so its user units are points on the page
+  async function analyze(name, content, options = {}) {
+    const svgPath = path.join(tempDir, `${name}.svg`);
+    fs.writeFileSync(svgPath, '<svg xmlns="http://www.w3.org/2000/svg" width="144pt" height="144pt" viewBox="0 0 144 144">' +
+      `${content}</svg>`);
+    return preflight.analyzeSvgFile(svgPath, {
+      page: pageSize.parsePageOptions({ width: 144, height: 144, fit: 'contain' }),
+      images: IMAGES,
+      fontPath: fontsDir,
+      ...options
+    });
+  }
+
+  function sectionsOf(result) {
+    return Object.keys(result).sort();
+  }
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-test-'));
+    fontsDir = path.join(tempDir, 'fonts');
+    fs.mkdirSync(fontsDir);
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('passes a file with nothing to report', async () => {
+    const result = await analyze('clean', '<rect width="144" height="144" fill="#336699"/>');
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 0, info: 0 });
+    assert.deepEqual(result.issues, []);
+    assert.deepEqual(sectionsOf(result), ['dimensions', 'features', 'fonts', 'images', 'issues', 'ok', 'summary', 'text']);
+    assert.deepEqual(result.dimensions.scale, { x: 1, y: 1 });
+  });
+
+  const MISSING_FONT = '<text x="10" y="20" font-family="Nowhere Sans">Hello</text>';
+
+  it('warns about a missing font', async () => {
+    const result = await analyze('missing-font', MISSING_FONT);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 1, info: 0 });
+    assert.deepEqual(result.issues, [{
+      severity: 'warning',
+      category: 'fonts',
+      message: 'Nowhere Sans 400 is not installed or on Google Fonts - the renderer\'s default font is used'
+    }]);
+    assert.equal(result.fonts.variants[0].status, 'missing');
+    assert.deepEqual(result.fonts.report, { substituted: [], missing: ['Nowhere Sans 400'], glyphs: [] });
+    assert.deepEqual(result.text, [{ element: 'text', id: null, text: 'Hello', families: ['Nowhere Sans'], weight: 400, style: 'normal' }]);
+  });
+
+  it('fails a missing font in strict mode', async () => {
+    const result = await analyze('missing-font-strict', MISSING_FONT, { strictFonts: true });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.summary, { errors: 1, warnings: 0, info: 0 });
+    assert.equal(result.issues[0].severity, 'error');
+    assert.equal(result.issues[0].category, 'fonts');
+  });
+
+  it('warns about a raster image below the target resolution', async () => {
+    const uri = `data:image/png;base64,${pngHeader(100, 100).toString('base64')}`;
+    const result = await analyze('low-dpi', `<image id="photo" width="72" height="72" href="${uri}"/>`);
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 1, info: 0 });
+    assert.deepEqual(result.issues, [{
+      severity: 'warning',
+      category: 'images',
+      message: 'photo (100 x 100px) prints at 100 DPI, below 150 DPI'
+    }]);
+    assert.deepEqual(result.images.images, [{
+      id: 'photo',
+      format: 'png',
+      width: 100,
+      height: 100,
+      colorSpace: 'rgb',
+      bytes: 45,
+      printedWidthPt: 72,
+      printedHeightPt: 72,
+      effectiveDpi: 100,
+      lowResolution: true,
+      optimized: null
+    }]);
+  });
+
+  it('reports features the renderers draw differently and those removed before rendering', async () => {
+    const result = await analyze('features', '<filter id="blur"><feGaussianBlur stdDeviation="2"/></filter>' +
+      '<rect width="10" height="10" filter="url(#blur)"/>' +
+      '<foreignObject width="10" height="10"><div xmlns="http://www.w3.org/1999/xhtml">HTML</div></foreignObject>');
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.summary, { errors: 0, warnings: 2, info: 0 });
+    assert.deepEqual(result.issues, [
+      { severity: 'warning', category: 'features', message: 'Filters are rasterised in PDF and EPS output and ignored by PDFKit (1 <filter>)' },
+      { severity: 'warning', category: 'security', message: 'Removed before rendering: <foreignObject> element' }
+    ]);
+    assert.equal(result.features.counts.filter, 1);
+    assert.equal(result.features.counts.foreignObject, 1);
+    assert.deepEqual(result.features.removed, ['<foreignObject> element']);
+    assert.deepEqual(result.features.rejected, []);
+  });
+
+  it('fails a file that is not an SVG, with only the issues', async () => {
+    const svgPath = path.join(tempDir, 'broken.svg');
+    fs.writeFileSync(svgPath, '<html><body/></html>');
+    const result = await preflight.analyzeSvgFile(svgPath, { page: pageSize.parsePageOptions({}), images: IMAGES, fontPath: fontsDir });
+
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.summary, { errors: 1, warnings: 0, info: 0 });
+    assert.equal(result.issues[0].category, 'svg');
+    assert.deepEqual(sectionsOf(result), ['issues', 'ok', 'summary']);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const renderers = require('../renderers');
+const { ConversionError } = require('../errors');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="72pt" height="36pt" viewBox="0 0 72 36">' +
+  '<rect width="72" height="36" fill="#336699"/><text x="4" y="20" font-family="Nowhere Sans">Hi</text></svg>';
+
+describe('pdfkit renderer', () => {
+  const pdfkit = renderers.RENDERERS.pdfkit;
+  let tempDir;
+  let fontsDir;
+
+  function render(name, content, options = {}) {
+    const inputPath = path.join(tempDir, `${name}.svg`);
+    const outputPath = path.join(tempDir, `${name}.pdf`);
+    fs.writeFileSync(inputPath, content);
+    const rendering = pdfkit.render({ inputPath, outputPath, fontPath: [fontsDir], output: { format: 'pdf', pdfVersion: '1.4' }, ...options });
+    return { rendering, outputPath };
+  }
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'renderers-test-'));
+    fontsDir = path.join(tempDir, 'fonts');
+    fs.mkdirSync(fontsDir);
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('renders in a worker and resolves once the PDF is written', async () => {
+    const { rendering, outputPath } = render('ok', SVG);
+    await rendering;
+
+    const pdf = fs.readFileSync(outputPath, 'latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.match(pdf, /\/MediaBox \[0 0 72 36\]/);
+    assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+  });
+
+  it('rejects with a conversion error when the worker fails', async () => {
+    const { rendering } = render('broken', '<html><body/></html>');
+    await assert.rejects(rendering, (error) => {
+      assert.ok(error instanceof ConversionError);
+      assert.equal(error.message, 'PDFKit conversion failed');
+      assert.match(error.details, /root element is not <svg>/);
+      return true;
+    });
+  });
+
+  it('does not start when the signal has already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Conversion cancelled'));
+    const { rendering, outputPath } = render('cancelled', SVG, { signal: controller.signal });
+
+    await assert.rejects(rendering, /Conversion cancelled/);
+    assert.equal(fs.existsSync(outputPath), false);
+  });
+
+  it('terminates the worker when the signal aborts mid-render', async () => {
+    const controller = new AbortController();
+    const { rendering } = render('timeout', SVG, { signal: controller.signal });
+    setImmediate(() => controller.abort(new Error('Conversion timed out')));
+
+    const started = Date.now();
+    await assert.rejects(rendering, /Conversion timed out/);
+    assert.ok(Date.now() - started < 5000);
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const geometry = require('../svg-geometry');
+const svgPipeline = require('../svg-pipeline');
+
+const ALIGN_X = ['xMin', 'xMid', 'xMax'];
+const ALIGN_Y = ['YMin', 'YMid', 'YMax'];
+
+function assertTransform(actual, expected) {
+  for (const key of ['scaleX', 'scaleY', 'translateX', 'translateY']) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: expected ${expected[key]}, got ${actual[key]}`);
+  }
+}
+
+function rootOf(attributes) {
+  const markup = Object.entries(attributes).map(([name, value]) => ` ${name}="${value}"`).join('');
+  return svgPipeline.parseSvg(`<svg xmlns="http://www.w3.org/2000/svg"${markup}/>`).documentElement;
+}
+
+describe('parseLength', () => {
+  const cases = [
+    ['102', {}, 102 * 0.75],
+    ['96px', {}, 72],
+    ['72pt', {}, 72],
+    ['1in', {}, 72],
+    ['25.4mm', {}, 72],
+    ['2.54cm', {}, 72],
+    ['6pc', {}, 72],
+    ['2em', {}, 2 * 12],
+    ['2em', { fontSize: 10 }, 20],
+    ['2ex', { fontSize: 10 }, 10],
+    ['50%', { percentBase: 300 }, 150],
+    ['50%', {}, null],
+    [' 1.5e1 mm', {}, 15 * 72 / 25.4],
+    ['-10pt', {}, -10],
+    ['10vw', {}, null],
+    ['auto', {}, null],
+    [null, {}, null]
+  ];
+
+  for (const [value, options, expected] of cases) {
+    it(`${JSON.stringify(value)} ${JSON.stringify(options)} -> ${expected}`, () => {
+      const actual = geometry.parseLength(value, options);
+      if (expected === null) {
+        assert.equal(actual, null);
+      } else {
+        assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+      }
+    });
+  }
+});
+
+describe('parseViewBox', () => {
+  const cases = [
+    ['0 0 100 50', { minX: 0, minY: 0, width: 100, height: 50 }],
+    ['-10,20, 100 ,50', { minX: -10, minY: 20, width: 100, height: 50 }],
+    ['0 0 0 50', null],
+    ['0 0 100 -5', null],
+    ['0 0 100', null],
+    ['a b c d', null],
+    ['', null],
+    [null, null]
+  ];
+
+  for (const [value, expected] of cases) {
+    it(`${JSON.stringify(value)}`, () => {
+      assert.deepEqual(geometry.parseViewBox(value), expected);
+    });
+  }
+});
+
+describe('parsePreserveAspectRatio', () => {
+  const cases = [
+    [null, { align: 'xMidYMid', meetOrSlice: 'meet' }],
+    ['none', { align: 'none', meetOrSlice: 'meet' }],
+    ['xMinYMax slice', { align: 'xMinYMax', meetOrSlice: 'slice' }],
+    ['defer xMaxYMin meet', { align: 'xMaxYMin', meetOrSlice: 'meet' }],
+    ['bogus slice', { align: 'xMidYMid', meetOrSlice: 'slice' }]
+  ];
+
+  for (const [value, expected] of cases) {
+    it(`${JSON.stringify(value)}`, () => {
+      assert.deepEqual(geometry.parsePreserveAspectRatio(value), expected);
+    });
+  }
+});
+
+describe('viewBoxTransform', () => {
+  // A 2:1 viewBox in a square viewport: meet leaves 100pt spare vertically, slice overflows 200pt horizontally
+  const viewBox = { minX: 0, minY: 0, width: 100, height: 50 };
+  const viewport = { width: 200, height: 200 };
+  const offset = { none: 0, Min: 0, Mid: 0.5, Max: 1 };
+
+  for (const x of ALIGN_X) {
+    for (const y of ALIGN_Y) {
+      const align = `${x}${y}`;
+      const alignX = offset[x.slice(1)];
+      const alignY = offset[y.slice(1)];
+
+      it(`${align} meet`, () => {
+        assertTransform(geometry.viewBoxTransform(viewBox, viewport, { align, meetOrSlice: 'meet' }),
+          { scaleX: 2, scaleY: 2, translateX: 0, translateY: 100 * alignY });
+      });
+
+      it(`${align} slice`, () => {
+        assertTransform(geometry.viewBoxTransform(viewBox, viewport, { align, meetOrSlice: 'slice' }),
+          { scaleX: 4, scaleY: 4, translateX: -200 * alignX, translateY: 0 });
+      });
+
+      it(`${align} meet with a non-zero origin`, () => {
+        const shifted = { ...viewBox, minX: 10, minY: -20 };
+        assertTransform(geometry.viewBoxTransform(shifted, viewport, { align, meetOrSlice: 'meet' }),
+          { scaleX: 2, scaleY: 2, translateX: -20, translateY: 40 + 100 * alignY });
+      });
+    }
+  }
+
+  for (const meetOrSlice of ['meet', 'slice']) {
+    it(`none ${meetOrSlice} stretches each axis`, () => {
+      assertTransform(geometry.viewBoxTransform({ ...viewBox, minX: 5, minY: 5 }, viewport, { align: 'none', meetOrSlice }),
+        { scaleX: 2, scaleY: 4, translateX: -10, translateY: -20 });
+    });
+  }
+});
+
+describe('resolveRootGeometry', () => {
+  const px = 0.75;
+  const cases = [
+    {
+      name: 'px size without a viewBox',
+      attributes: { width: '200', height: '100' },
+      viewport: { width: 150, height: 75 },
+      transform: { scaleX: px, scaleY: px, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'no size and no viewBox',
+      attributes: {},
+      viewport: { width: geometry.DEFAULT_SVG_SIZE * px, height: geometry.DEFAULT_SVG_SIZE * px },
+      transform: { scaleX: px, scaleY: px, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'mm size with a matching viewBox',
+      attributes: { width: '100mm', height: '50mm', viewBox: '0 0 100 50' },
+      viewport: { width: 100 * 72 / 25.4, height: 50 * 72 / 25.4 },
+      transform: { scaleX: 72 / 25.4, scaleY: 72 / 25.4, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'in size with an offset viewBox',
+      attributes: { width: '2in', height: '1in', viewBox: '-10 -5 20 10' },
+      viewport: { width: 144, height: 72 },
+      transform: { scaleX: 7.2, scaleY: 7.2, translateX: 72, translateY: 36 }
+    },
+    {
+      name: 'pt size, slice into a different shape',
+      attributes: { width: '100pt', height: '50pt', viewBox: '0 0 10 10', preserveAspectRatio: 'xMidYMax slice' },
+      viewport: { width: 100, height: 50 },
+      transform: { scaleX: 10, scaleY: 10, translateX: 0, translateY: -50 }
+    },
+    {
+      name: 'pt size, meet into a different shape',
+      attributes: { width: '100pt', height: '50pt', viewBox: '0 0 10 10', preserveAspectRatio: 'xMaxYMid meet' },
+      viewport: { width: 100, height: 50 },
+      transform: { scaleX: 5, scaleY: 5, translateX: 50, translateY: 0 }
+    },
+    {
+      name: 'pt size, none stretches',
+      attributes: { width: '100pt', height: '50pt', viewBox: '0 0 10 10', preserveAspectRatio: 'none' },
+      viewport: { width: 100, height: 50 },
+      transform: { scaleX: 10, scaleY: 5, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'percentage size takes the viewBox size in px',
+      attributes: { width: '100%', height: '50%', viewBox: '0 0 200 100' },
+      viewport: { width: 150, height: 37.5 },
+      transform: { scaleX: 0.375, scaleY: 0.375, translateX: 37.5, translateY: 0 }
+    },
+    {
+      name: 'em size against the root font-size',
+      attributes: { width: '10em', height: '5em', 'font-size': '12pt', viewBox: '0 0 120 60' },
+      viewport: { width: 120, height: 60 },
+      transform: { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'only a width keeps the viewBox aspect ratio',
+      attributes: { width: '200pt', viewBox: '0 0 100 50' },
+      viewport: { width: 200, height: 100 },
+      transform: { scaleX: 2, scaleY: 2, translateX: 0, translateY: 0 }
+    },
+    {
+      name: 'only a viewBox',
+      attributes: { viewBox: '0 0 100 50' },
+      viewport: { width: 75, height: 37.5 },
+      transform: { scaleX: px, scaleY: px, translateX: 0, translateY: 0 }
+    }
+  ];
+
+  for (const { name, attributes, viewport, transform } of cases) {
+    it(name, () => {
+      const resolved = geometry.resolveRootGeometry(rootOf(attributes));
+      assert.ok(Math.abs(resolved.viewport.width - viewport.width) < 1e-9, `width: expected ${viewport.width}, got ${resolved.viewport.width}`);
+      assert.ok(Math.abs(resolved.viewport.height - viewport.height) < 1e-9, `height: expected ${viewport.height}, got ${resolved.viewport.height}`);
+      assertTransform(resolved.transform, transform);
+    });
+  }
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const svgPipeline = require('../svg-pipeline');
+const svgImages = require('../svg-images');
+
+const OPTIONS = { downsample: true, dpi: 300, minDpi: 150, format: 'auto' };
+
+/**
+ * The header of an RGB PNG of a given pixel size (all readImageInfo() looks at)
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(45);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  buffer[24] = 8;
+  buffer[25] = 2;
+  buffer.write('IEND', 37, 'latin1');
+  return buffer;
+}
+
+function image(id, pixels, attributes = 'width="72" height="72"') {
+  return `<image id="${id}" ${attributes} href="data:image/png;base64,${pngHeader(pixels, pixels).toString('base64')}"/>`;
+}
+
+// A 2 inch square page whose user units are points
+function inspect(content) {
+  const document = svgPipeline.parseSvg(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="144pt" height="144pt" viewBox="0 0 144 144">${content}</svg>`);
+  return svgImages.inspectImages(document, OPTIONS);
+}
+
+describe('inspectImages', () => {
+  it('reports the resolution each image prints at and flags those below the minimum', () => {
+    const report = inspect(image('low', 100) + image('sharp', 600));
+    const [low, sharp] = report.images;
+
+    assert.deepEqual(
+      { dpi: low.effectiveDpi, low: low.lowResolution, width: low.printedWidthPt },
+      { dpi: 100, low: true, width: 72 });
+    assert.deepEqual(
+      { dpi: sharp.effectiveDpi, low: sharp.lowResolution, width: sharp.printedWidthPt },
+      { dpi: 600, low: false, width: 72 });
+    assert.deepEqual(report.warnings, ['low (100 x 100px) prints at 100 DPI, below 150 DPI']);
+  });
+
+  it('takes transforms into account', () => {
+    const [scaled] = inspect(`<g transform="scale(2)">${image('scaled', 200)}</g>`).images;
+    assert.equal(scaled.printedWidthPt, 144);
+    assert.equal(scaled.effectiveDpi, 100);
+    assert.equal(scaled.lowResolution, true);
+  });
+
+  it('does not judge images whose printed size is unknown', () => {
+    const report = inspect(`<defs>${image('pattern', 10)}</defs>`);
+    assert.equal(report.images[0].effectiveDpi, null);
+    assert.equal(report.images[0].lowResolution, false);
+    assert.deepEqual(report.warnings, []);
+  });
+
+  it('warns about image data it cannot read', () => {
+    const report = inspect('<image id="broken" width="10" height="10" href="data:image/png;base64,AAAA"/>');
+    assert.deepEqual(report.images, []);
+    assert.deepEqual(report.warnings, ['broken: unrecognised image data']);
+  });
+});
+
+describe('findResampleSize', () => {
+  const info = { width: 1200, height: 600 };
+
+  it('downsamples an image printing above 1.5 times the target resolution to the target', () => {
+    assert.deepEqual(svgImages.findResampleSize(info, { dpi: 600 }, OPTIONS), { width: 600, height: 300 });
+  });
+
+  it('keeps the size of an image at or just above the target resolution', () => {
+    assert.deepEqual(svgImages.findResampleSize(info, { dpi: 450 }, OPTIONS), info);
+    assert.deepEqual(svgImages.findResampleSize(info, { dpi: 100 }, OPTIONS), info);
+  });
+
+  it('keeps the size when the printed size is unknown', () => {
+    assert.deepEqual(svgImages.findResampleSize(info, null, OPTIONS), info);
+  });
+
+  it('never goes below one pixel', () => {
+    assert.deepEqual(svgImages.findResampleSize({ width: 1, height: 4000 }, { dpi: 30000 }, OPTIONS), { width: 1, height: 40 });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const svgPipeline = require('../svg-pipeline');
+const geometry = require('../svg-geometry');
+
+const EXAMPLES_DIR = path.join(__dirname, '..', 'svg-examples');
+const FIXTURES = fs.readdirSync(EXAMPLES_DIR).filter(name => name.endsWith('.svg'));
+
+const PAGE = { width: 102, height: 102, fit: 'contain', bleed: 0, slug: 0, marks: false };
+
+// Attributes of every element, by id, outside the root
+function attributesById(document) {
+  const found = {};
+  const walk = (parent) => {
+    for (let child = parent.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+      if (child.getAttribute('id')) {
+        found[child.getAttribute('id')] = Object.fromEntries(Array.from(child.attributes).map(a => [a.name, a.value]));
+      }
+      walk(child);
+    }
+  };
+  walk(document.documentElement);
+  return found;
+}
+
+function parseMatrix(value) {
+  const match = value.match(/^matrix\(([^)]*)\)$/);
+  assert.ok(match, `not a matrix: ${value}`);
+  return match[1].trim().split(/\s+/).map(Number);
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-4, `${message}: expected ${expected}, got ${actual}`);
+}
+
+describe('svg-pipeline fixtures', () => {
+  let fontsDir;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    fontsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-pipeline-fonts-'));
+  });
+
+  after(() => {
+    fs.rmSync(fontsDir, { recursive: true, force: true });
+  });
+
+  it('has fixtures to test', () => {
+    assert.ok(FIXTURES.length > 0);
+  });
+
+  for (const name of FIXTURES) {
+    describe(name, () => {
+      const source = fs.readFileSync(path.join(EXAMPLES_DIR, name), 'utf8');
+
+      it('round-trips through parse and serialize', () => {
+        const output = svgPipeline.serializeSvg(svgPipeline.parseSvg(source));
+        assert.equal(svgPipeline.parseSvg(output).documentElement.localName, 'svg');
+      });
+
+      it('adds a viewBox in px from the root size, not an <image> size', () => {
+        const document = svgPipeline.parseSvg(source);
+        const root = document.documentElement;
+        svgPipeline.ensureViewBox(document);
+
+        const width = geometry.parseLength(root.getAttribute('width')) / geometry.SVG_UNIT_TO_PT.px;
+        const height = geometry.parseLength(root.getAttribute('height')) / geometry.SVG_UNIT_TO_PT.px;
+        assert.deepEqual(geometry.parseViewBox(root.getAttribute('viewBox')), {
+          minX: 0, minY: 0, width: +width.toFixed(6), height: +height.toFixed(6)
+        });
+      });
+
+      it('fits the artwork to the page and keeps root attributes, namespaces and element attributes', () => {
+        const original = svgPipeline.parseSvg(source);
+        const originalRoot = original.documentElement;
+        const originalElements = attributesById(original);
+        const { viewport, transform } = geometry.resolveRootGeometry(originalRoot);
+
+        const output = svgPipeline.transformSvg(source, svgPipeline.DEFAULT_PASSES, { page: PAGE, fontPath: fontsDir });
+        const document = svgPipeline.parseSvg(output);
+        const root = document.documentElement;
+
+        // The root is the page, in points
+        assert.equal(root.getAttribute('width'), `${PAGE.width}pt`);
+        assert.equal(root.getAttribute('height'), `${PAGE.height}pt`);
+        assert.equal(root.getAttribute('viewBox'), `0 0 ${PAGE.width} ${PAGE.height}`);
+
+        // Namespace declarations and other root attributes survive
+        for (const attribute of Array.from(originalRoot.attributes)) {
+          if (['width', 'height', 'viewBox', 'preserveAspectRatio'].includes(attribute.name)) continue;
+          assert.equal(root.getAttribute(attribute.name), attribute.value, `root ${attribute.name}`);
+        }
+
+        // Elements keep their own sizes (the old regex rewrote the first width= it found)
+        const outputElements = attributesById(document);
+        for (const [id, attributes] of Object.entries(originalElements)) {
+          for (const key of ['width', 'height', 'x', 'y']) {
+            if (key in attributes) assert.equal(outputElements[id][key], attributes[key], `${id} ${key}`);
+          }
+        }
+
+        // One group maps user units to page points with the contain fit
+        const groups = svgPipeline.findElements(root, 'g').filter(g => /^matrix\(/.test(g.getAttribute('transform') || ''));
+        assert.equal(groups.length, 1);
+        const [a, , , d, e, f] = parseMatrix(groups[0].getAttribute('transform'));
+        const scale = Math.min(PAGE.width / viewport.width, PAGE.height / viewport.height);
+        assertClose(a, scale * transform.scaleX, 'scale x');
+        assertClose(d, scale * transform.scaleY, 'scale y');
+        assertClose(e, (PAGE.width - viewport.width * scale) / 2 + scale * transform.translateX, 'translate x');
+        assertClose(f, (PAGE.height - viewport.height * scale) / 2 + scale * transform.translateY, 'translate y');
+      });
+
+      it('grows the page by the bleed and slug for print marks', () => {
+        const page = { ...PAGE, bleed: 9, slug: 18, marks: true };
+        const output = svgPipeline.transformSvg(source, svgPipeline.DEFAULT_PASSES, { page, fontPath: fontsDir });
+        const root = svgPipeline.parseSvg(output).documentElement;
+        const media = PAGE.width + 2 * (9 + 18);
+
+        assert.equal(root.getAttribute('width'), `${media}pt`);
+        assert.equal(root.getAttribute('viewBox'), `0 0 ${media} ${media}`);
+        assert.ok(output.includes('id="print-marks"'));
+      });
+    });
+  }
+
+  it('honours a viewBox with a non-zero origin', () => {
+    const source = '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="50 25 100 50"><rect x="50" y="25" width="100" height="50"/></svg>';
+    const output = svgPipeline.transformSvg(source, [svgPipeline.ensureViewBox, svgPipeline.fitToPage], { page: { ...PAGE, width: 300, height: 150 } });
+    const group = svgPipeline.findElements(svgPipeline.parseSvg(output).documentElement, 'g')
+      .find(g => /^matrix\(/.test(g.getAttribute('transform') || ''));
+
+    // 200px wide = 150pt, scaled to 300pt: 2x; the viewBox maps 100 user units to 150pt: 1.5pt per unit
+    const [a, , , d, e, f] = parseMatrix(group.getAttribute('transform'));
+    assertClose(a, 3, 'scale x');
+    assertClose(d, 3, 'scale y');
+    assertClose(e, -150, 'translate x');
+    assertClose(f, -75, 'translate y');
+  });
+
+  it('declares the SVG namespace on documents without one', () => {
+    const document = svgPipeline.parseSvg('<svg width="10" height="10"><rect width="10" height="10"/></svg>');
+    svgPipeline.ensureNamespaces(document);
+    const output = svgPipeline.serializeSvg(document);
+    assert.match(output, /xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(output, /xmlns:xlink="http:\/\/www\.w3\.org\/1999\/xlink"/);
+  });
+
+  it('rejects documents whose root is not <svg>', () => {
+    assert.throws(() => svgPipeline.parseSvg('<html><body/></html>'), /root element is not <svg>/);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const svgPipeline = require('../svg-pipeline');
+const svgSanitizer = require('../svg-sanitizer');
+
+const EXAMPLES_DIR = path.join(__dirname, '..', 'svg-examples');
+
+const NAMESPACES = [
+  'xmlns="http://www.w3.org/2000/svg"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+  'xmlns:sodipodi="http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd"'
+].join(' ');
+
+function sanitize(content, rootAttributes = '') {
+  const document = svgPipeline.parseSvg(`<svg ${NAMESPACES}${rootAttributes}>${content}</svg>`);
+  const result = svgSanitizer.sanitizeDocument(document);
+  return { ...result, document, output: svgPipeline.serializeSvg(document) };
+}
+
+function attributesOf(element) {
+  return Array.from(element.attributes).map(attribute => attribute.name);
+}
+
+describe('sanitizeDocument attributes', () => {
+  const removedCases = [
+    ['event handlers', '<rect onclick="alert(1)" width="1"/>', 'onclick', 'onclick event handler'],
+    ['xml:base', '<g xml:base="file:///etc/"/>', 'xml:base', 'xml:base attribute'],
+    ['sodipodi:absref', '<image sodipodi:absref="/etc/passwd" width="1"/>', 'sodipodi:absref', 'sodipodi:absref attribute'],
+    ['sodipodi:docname', '<g sodipodi:docname="secret.svg"/>', 'sodipodi:docname', 'sodipodi:docname attribute'],
+    ['inkscape:export-filename', '<g inkscape:export-filename="/tmp/out.png"/>', 'inkscape:export-filename', 'inkscape:export-filename attribute'],
+    ['unknown attributes', '<a ping="http://example.com/track"/>', 'ping', 'ping attribute'],
+    ['attributes in unknown namespaces', '<g xmlns:x="urn:x" x:src="file:///etc/passwd"/>', 'x:src', 'x:src attribute']
+  ];
+
+  for (const [name, markup, attribute, description] of removedCases) {
+    it(`removes ${name}`, () => {
+      const { removed, document } = sanitize(markup);
+      const element = document.documentElement.firstChild;
+      assert.ok(!attributesOf(element).includes(attribute), `${attribute} kept`);
+      assert.ok(removed.includes(description), `removed: ${removed.join(', ')}`);
+    });
+  }
+
+  it('keeps SVG, design tool, editor and namespace attributes', () => {
+    const markup = '<g xmlns:se="http://www.pixopa.com" id="layer" inkscape:label="Layer 1" inkscape:groupmode="layer" ' +
+      'sodipodi:insensitive="true" data-name="Front">' +
+      '<text x="10" y="20" font-family="Arial" font-size="12" text-anchor="middle" xml:space="preserve" ' +
+      'template_text="name" skew_x="0" orig_w="100" se:newline="true">Name</text>' +
+      '<path d="M0 0h10" sodipodi:nodetypes="cc" stroke-width="2" style="fill:#000"/>' +
+      '<image xlink:href="data:image/png;base64,AAAA" imagetype="image1" width="1" height="1" preserveAspectRatio="none"/>' +
+      '</g>';
+    const { removed, document } = sanitize(markup, ' version="1.1" width="10" height="10" viewBox="0 0 10 10"');
+
+    assert.deepEqual(removed, []);
+    const group = document.documentElement.firstChild;
+    assert.deepEqual(attributesOf(group), ['xmlns:se', 'id', 'inkscape:label', 'inkscape:groupmode', 'sodipodi:insensitive', 'data-name']);
+    assert.equal(attributesOf(group.firstChild).length, 10);
+  });
+
+  for (const name of fs.readdirSync(EXAMPLES_DIR).filter(file => file.endsWith('.svg'))) {
+    it(`removes nothing from ${name}`, () => {
+      const document = svgPipeline.parseSvg(fs.readFileSync(path.join(EXAMPLES_DIR, name), 'utf8'));
+      assert.deepEqual(svgSanitizer.sanitizeDocument(document), { removed: [], rejected: [] });
+    });
+  }
+});
+
+describe('sanitizeDocument references', () => {
+  const hrefCases = [
+    ['<use xlink:href="#shape"/>', true],
+    ['<image href="data:image/png;base64,AAAA" width="1"/>', true],
+    ['<a href="https://example.com"><rect width="1"/></a>', true],
+    ['<image xlink:href="file:///etc/passwd" width="1"/>', false],
+    ['<image href="http://example.com/a.png" width="1"/>', false],
+    ['<image href="data:image/svg+xml;base64,AAAA" width="1"/>', false],
+    ['<use href="other.svg#shape"/>', false],
+    ['<a href="javascript:alert(1)"><rect width="1"/></a>', false]
+  ];
+
+  for (const [markup, kept] of hrefCases) {
+    it(`${kept ? 'keeps' : 'removes'} ${markup}`, () => {
+      const { document } = sanitize(markup);
+      const element = document.documentElement.firstChild;
+      assert.equal(attributesOf(element).some(name => /href$/.test(name)), kept);
+    });
+  }
+});
+
+describe('sanitizeCss', () => {
+  const sanitizeCss = (css) => {
+    const removed = [];
+    return { css: svgSanitizer.sanitizeCss(css, description => removed.push(description)), removed };
+  };
+
+  const cases = [
+    ['fill:url(#gradient)', 'fill:url(#gradient)'],
+    ['fill:url("file:///etc/passwd")', 'fill:none'],
+    ['fill:url( http://example.com/a.svg#p )', 'fill:none'],
+    ['fill:u\\72l(file:///etc/passwd)', 'fill:none'],
+    ['fill:\\75\\72\\6c(file:///etc/passwd)', 'fill:none'],
+    ['fill:\\000075 rl(file:///etc/passwd)', 'fill:none'],
+    ['fill:u\\rl(file:///etc/passwd)', 'fill:none'],
+    ['fill:url\\28 file:///etc/passwd)', 'fill:none'],
+    ['fill:URL(file:///etc/passwd)', 'fill:none'],
+    ['@import url(file:///etc/x.css); rect{fill:red}', ' rect{fill:red}'],
+    ['@import"file:///etc/x.css";rect{fill:red}', 'rect{fill:red}'],
+    ['@\\69mport "file:///etc/x.css";', ''],
+    ['@\\49 MPORT "file:///etc/x.css";', '']
+  ];
+
+  for (const [css, expected] of cases) {
+    it(JSON.stringify(css), () => {
+      const result = sanitizeCss(css);
+      assert.equal(result.css, expected);
+      assert.equal(result.removed.length, css === expected ? 0 : 1);
+    });
+  }
+
+  it('keeps escaped quotes and backslashes escaped', () => {
+    assert.equal(sanitizeCss('font-family:"A\\"B\\\\C"').css, 'font-family:"A\\"B\\\\C"');
+    assert.equal(sanitizeCss("content:'\\27'").css, "content:'\\27'");
+  });
+
+  it('decodes escapes in style and presentation attributes', () => {
+    const { output, removed } = sanitize('<rect width="1" style="fill:u\\72l(file:///etc/passwd)" stroke="u\\72l(file:///x)"/>');
+    assert.equal(removed.length, 2);
+    assert.doesNotMatch(output, /file:/);
+  });
+
+  it('cleans <style> elements', () => {
+    const { output } = sanitize('<style>@\\69mport "file:///etc/x.css"; rect { fill: u\\72l(file:///etc/passwd) }</style>');
+    assert.doesNotMatch(output, /file:|@import/);
+  });
+});
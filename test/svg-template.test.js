@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const svgPipeline = require('../svg-pipeline');
+const svgTemplate = require('../svg-template');
+
+const TEMPLATE = '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100">' +
+  '<text id="name" x="10" y="20" template_text="true">Jane Doe</text>' +
+  '<text id="title" x="10" y="40" template_text="true">Designer</text></svg>';
+
+function merge(record) {
+  const document = svgPipeline.parseSvg(TEMPLATE);
+  svgTemplate.mergeRecord(document, record, new Map());
+  return svgPipeline.serializeSvg(document);
+}
+
+function textOf(svg, id) {
+  const document = svgPipeline.parseSvg(svg);
+  return svgPipeline.findElements(document.documentElement, 'text').find(element => element.getAttribute('id') === id).textContent;
+}
+
+describe('parseCsv', () => {
+  it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    const csv = 'name,quote\n"Doe, Jane","She said ""hi""\nthen left"\n';
+    assert.deepEqual(svgTemplate.parseCsv(csv), [
+      ['name', 'quote'],
+      ['Doe, Jane', 'She said "hi"\nthen left']
+    ]);
+  });
+
+  it('reads CRLF line endings, skipping blank lines and a byte order mark', () => {
+    const csv = '\uFEFFname,title\r\nJane,Designer\r\n\r\nJohn,"Line one\r\nLine two"\r\n';
+    assert.deepEqual(svgTemplate.parseCsv(csv), [
+      ['name', 'title'],
+      ['Jane', 'Designer'],
+      ['John', 'Line one\r\nLine two']
+    ]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(svgTemplate.parseCsv('a,,c\n,,\n'), [['a', '', 'c'], ['', '', '']]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.throws(() => svgTemplate.parseCsv('name\n"Jane'), /unterminated quoted field/);
+  });
+});
+
+describe('parseRecords', () => {
+  it('maps CSV rows to the header, filling a missing column with an empty value', () => {
+    assert.deepEqual(svgTemplate.parseRecords('name , title\nJane,Designer\nJohn\n'), [
+      { name: 'Jane', title: 'Designer' },
+      { name: 'John', title: '' }
+    ]);
+  });
+
+  it('reads JSON arrays and { records }', () => {
+    assert.deepEqual(svgTemplate.parseRecords('[{"name":"Jane"}]'), [{ name: 'Jane' }]);
+    assert.deepEqual(svgTemplate.parseRecords('{"records":[{"name":"Jane"}]}'), [{ name: 'Jane' }]);
+  });
+
+  it('rejects empty data sets', () => {
+    assert.throws(() => svgTemplate.parseRecords('name\n'), /no records/);
+    assert.throws(() => svgTemplate.parseRecords('', 'csv'), /CSV data is empty/);
+  });
+});
+
+describe('mergeRecord', () => {
+  it('escapes merged values in the XML', () => {
+    const value = '<tspan>Tom & "Jerry"</tspan> \'&amp;\'';
+    const svg = merge({ name: value });
+
+    assert.ok(svg.includes('&lt;tspan&gt;Tom &amp; "Jerry"&lt;/tspan&gt; \'&amp;amp;\''), svg);
+    assert.equal(textOf(svg, 'name'), value);
+    assert.equal(svgPipeline.findElements(svgPipeline.parseSvg(svg).documentElement, 'tspan').length, 0);
+  });
+
+  it('keeps the template text for fields the record leaves out', () => {
+    const svg = merge({ name: 'John Smith' });
+    assert.equal(textOf(svg, 'name'), 'John Smith');
+    assert.equal(textOf(svg, 'title'), 'Designer');
+  });
+
+  it('sets each line of a multi-line value in its own tspan', () => {
+    const document = svgPipeline.parseSvg(merge({ title: 'Line one\r\nLine two' }));
+    const lines = svgPipeline.findElements(document.documentElement, 'tspan');
+    assert.deepEqual(lines.map(line => line.textContent), ['Line one', 'Line two']);
+  });
+});
+
+describe('mergeTemplateFile', () => {
+  it('rejects a data column that no template field matches', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-template-test-'));
+    try {
+      const templatePath = path.join(tempDir, 'template.svg');
+      fs.writeFileSync(templatePath, TEMPLATE);
+      assert.throws(
+        () => svgTemplate.mergeTemplateFile(templatePath, [{ name: 'Jane', titel: 'Designer' }], { tempDir, baseName: 'merged' }),
+        /No template element matches "titel" - the template's fields are name, title/);
+      assert.deepEqual(fs.readdirSync(tempDir), ['template.svg']);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});